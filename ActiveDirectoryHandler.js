@@ -1,18 +1,110 @@
 "use strict";
 const _ = require("lodash");
 const assert = require("assert");
+const bitflags = require("./bitflags");
+const changeTracking = require("./changeTracking");
+const classSchema = require("./classSchema");
+const ConnectionPool = require("./connectionPool");
+const failover = require("./failover");
+const ldapcontrols = require("./ldapcontrols");
 const ldapfilter = require("./ldapfilter");
+const ldapfilterevaluator = require("./ldapfilterevaluator");
+const ldapfilteroptimizer = require("./ldapfilteroptimizer");
+const ldapfilterparser = require("./ldapfilterparser");
+const ldapformatting = require("./ldapformatting");
 const ldapjs = require("ldapjs");
 const ldapparsing = require("./ldapparsing");
+const mergeGenerators = require("./mergeGenerators");
 const futile = require("@fujitsusweden/futile");
 const { promisify } = require("util");
 const integrationTests = require("./integrationTests.js");
+const querybuilder = require("./querybuilder");
+const schemaCache = require("./schemaCache");
 
 const AttributeNameRE = ldapfilter.AttributeNameRE;
-const attributesNeededForInitialization = ["lDAPDisplayName", "attributeSyntax", "isSingleValued"];
+const attributesNeededForInitialization = ["lDAPDisplayName", "attributeSyntax", "isSingleValued", "rangeLower", "rangeUpper", "searchFlags", "isMemberOfPartialAttributeSet", "linkID"];
 const initialize_throttle_delay = 10000;
-const buffer_pause_at_length = 2000;
-const buffer_resume_at_length = 200;
+const modifyOperations = ["replace", "add", "delete"];
+const pagingOptions = ["pageSize", "bufferPauseAt", "bufferResumeAt"];
+const poolOptions = ["min", "max", "idleTimeout", "healthCheckInterval"];
+const retryOptions = ["retries", "minDelay", "maxDelay"];
+// The attributes returned by searchPeople by default
+const peopleAttributes = ["distinguishedName", "displayName", "sAMAccountName", "mail", "userPrincipalName"];
+const valueModes = ["formatted", "typed"];
+// The largest time limit, in seconds, that an LDAP search request can have
+const maxTimeLimit = 2 ** 31 - 1;
+const tlsOptions = ["ca", "cert", "key", "passphrase", "rejectUnauthorized", "servername", "startTLS"];
+// Map from each extraction formatter to the insertion formatter that reverses
+// it. Used to prepare values before writing them to the LDAP server.
+const insertionFormatters = new Map([
+  [ldapparsing.dateFormatter_ADGeneralizedTime, ldapformatting.dateToADGeneralizedTime],
+  [ldapparsing.dateFormatter_WinNT, ldapformatting.dateToWinNT],
+  [ldapparsing.dateFormatter_WinNTOrNever, ldapformatting.dateToWinNTOrNever],
+  [ldapparsing.dateFormatter_WinNTOrZero, ldapformatting.dateToWinNTOrNever],
+  [ldapparsing.int32, ldapformatting.int32],
+  [ldapparsing.ldapBool, ldapformatting.ldapBool],
+  [ldapparsing.ldapBufferToGenericOctetString, ldapformatting.genericOctetStringToLdapBuffer],
+  [ldapparsing.ldapBufferToGuid, ldapformatting.guidToLdapBuffer],
+  [ldapparsing.ldapBufferToSid, ldapformatting.sidToLdapBuffer],
+  // Parsed security descriptors can't be written back, but the raw value can.
+  [ldapparsing.ldapBufferToSecurityDescriptor, ldapformatting.genericOctetStringToLdapBuffer],
+  ...bitflags.insertionFormatters,
+]);
+// Map from extraction formatters to their variants for the "typed" value mode
+const typedExtractionFormatters = new Map([
+  [ldapparsing.dateFormatter_ADGeneralizedTime, ldapparsing.date_ADGeneralizedTime],
+  [ldapparsing.dateFormatter_WinNT, ldapparsing.date_WinNT],
+  [ldapparsing.dateFormatter_WinNTOrNever, ldapparsing.date_WinNTOrNever],
+  [ldapparsing.dateFormatter_WinNTOrZero, ldapparsing.date_WinNTOrZero],
+]);
+// A lot of the time, the correct parse method for an attribute can be
+// determined by the so-called attributeSyntax, which can be found in the
+// domain's schema. For attributes not present in the extractionFormatters set
+// up in the constructor, applyAttributeSchema will determine a parsing method
+// depending on the attributeSyntax. See https://ldapwiki.com/wiki/2.5.5.1 etc
+// for each attributeSyntax. A null value means we'll rely on ldapjs to parse.
+const extractionFormattersForAttributeSyntax = {
+  // DN
+  "2.5.5.1": null,
+  // OID Syntax. We assume but have not verified that ldapjs can handle it.
+  "2.5.5.2": null,
+  // CaseIgnoreString
+  "2.5.5.4": null,
+  // IA5 String / Printable String
+  "2.5.5.5": null,
+  // Numeric String. We assume but have not verified that ldapjs can handle it.
+  "2.5.5.6": null,
+  // DNWithOctetString
+  "2.5.5.7": null,
+  // Boolean
+  "2.5.5.8": ldapparsing.ldapBool,
+  // Signed 32-bit integer
+  "2.5.5.9": ldapparsing.int32,
+  // OctetString ("2.5.5.10") has special logic in applyAttributeSchema
+  // GeneralizedTime
+  "2.5.5.11": ldapparsing.dateFormatter_ADGeneralizedTime,
+  // DirectoryString
+  "2.5.5.12": null,
+  // Presentation Address. We assume but have not verified that ldapjs can
+  // handle it.
+  "2.5.5.13": null,
+  // Object(Access-Point). We assume but have not verified that ldapjs can
+  // handle it.
+  "2.5.5.14": null,
+  // NT-Sec-Desc. Parsed with ldapBufferToSecurityDescriptor instead if the
+  // decodeSecurityDescriptors config option is set.
+  "2.5.5.15": ldapparsing.ldapBufferToGenericOctetString,
+  // LargeInteger.
+  "2.5.5.16": null, // BigInt would be more correct
+  // Sid
+  "2.5.5.17": ldapparsing.ldapBufferToSid,
+};
+function isPEM(x) {
+  return _.isString(x) || Buffer.isBuffer(x);
+}
+function isPEMOrArrayOfPEM(x) {
+  return isPEM(x) || (_.isArray(x) && 1 <= x.length && _.every(x, isPEM));
+}
 function validDN(dn) {
   try {
     ldapjs.parseDN(dn);
@@ -24,6 +116,47 @@ function validDN(dn) {
     throw e;
   }
 }
+// Sleep for ms milliseconds, or until signal fires, then rejecting with its
+// reason
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+  });
+}
+// The orderBy option, either an attribute name or { attribute, descending }
+function parseOrderBy(orderBy) {
+  const { attribute, descending = false, ...rest } = _.isString(orderBy) ? { attribute: orderBy } : orderBy || {};
+  assert(_.isString(attribute) && attribute.match(AttributeNameRE) && _.isBoolean(descending) && _.isEmpty(rest), "orderBy must be an attribute name or an object { attribute, descending }");
+  return { attribute, descending };
+}
+// Key for the option that getPage uses for getting the total from getObjects
+const reportTotal = Symbol("reportTotal");
+// The paging config option or search option, merged onto base
+function mergePaging(base, paging) {
+  assert(_.isPlainObject(paging), "paging must be a plain object");
+  assert(_.every(_.keys(paging), k => _.includes(pagingOptions, k)), `Every key in paging must be one of ${pagingOptions}`);
+  const ret = { ...base, ...paging };
+  assert(_.isInteger(ret.pageSize) && 1 <= ret.pageSize, "paging.pageSize must be a positive integer");
+  assert(_.isInteger(ret.bufferPauseAt) && 1 <= ret.bufferPauseAt, "paging.bufferPauseAt must be a positive integer");
+  assert(_.isInteger(ret.bufferResumeAt) && 1 <= ret.bufferResumeAt && ret.bufferResumeAt <= ret.bufferPauseAt, "paging.bufferResumeAt must be a positive integer no greater than paging.bufferPauseAt");
+  return ret;
+}
 
 class ActiveDirectoryHandler {
   constructor(activedirectoryHandlerConfig) {
@@ -31,13 +164,26 @@ class ActiveDirectoryHandler {
       //
       clientSideTransitiveSearchBaseDN,
       clientSideTransitiveSearchDefault,
+      decodeFlags = false,
+      decodeSecurityDescriptors = false,
       domainBaseDN,
       log,
+      maxClientSideSortResults = 10000,
+      maxOneofValues = 1000,
+      maxSplitSearches = 100,
       overrideSingleValued = {},
+      paging = {},
       password,
+      pool,
+      reconnect = {},
+      retry = {},
+      schemaCache: schemaCacheOption,
       schemaConfigBaseDN,
+      srvRecords,
+      tls,
       url,
       user,
+      valueMode = "formatted",
       ...invalidConfigOptions
     } = activedirectoryHandlerConfig;
     assert(
@@ -59,6 +205,15 @@ class ActiveDirectoryHandler {
     assert(_.isUndefined(clientSideTransitiveSearchDefault) || _.isBoolean(clientSideTransitiveSearchDefault), "clientSideTransitiveSearchDefault must be boolean");
     this.clientSideTransitiveSearchDefault = Boolean(clientSideTransitiveSearchDefault);
 
+    // Searches with larger oneof expressions are split into several
+    assert(_.isInteger(maxOneofValues) && 1 <= maxOneofValues, "maxOneofValues must be a positive integer");
+    this.maxOneofValues = maxOneofValues;
+    // Several large oneofs are split into every combination of their parts
+    assert(_.isInteger(maxSplitSearches) && 1 <= maxSplitSearches, "maxSplitSearches must be a positive integer");
+    this.maxSplitSearches = maxSplitSearches;
+    assert(_.isInteger(maxClientSideSortResults) && 1 <= maxClientSideSortResults, "maxClientSideSortResults must be a positive integer");
+    this.maxClientSideSortResults = maxClientSideSortResults;
+
     // It seems that ldapjs treats single- and multi-valued attributes the same:
     // - Attributes with no values are not present in the search entries.
     // - Attributes with one value are set to that value, with no enclosing array.
@@ -97,18 +252,102 @@ class ActiveDirectoryHandler {
     assert(_.isString(password), "Password must be a string");
     this.password = password;
 
+    // Paging and buffering of search results. Searches ask for pages of
+    // pageSize entries. Fetching the next page is postponed while more than
+    // bufferPauseAt entries are waiting to be consumed, until fewer than
+    // bufferResumeAt are.
+    /* eslint-disable-next-line no-magic-numbers */
+    this.paging = mergePaging({ pageSize: 100, bufferPauseAt: 2000, bufferResumeAt: 200 }, paging);
+
     // The Base DN for the AD schema
     assert(validDN(schemaConfigBaseDN), "schemaConfigBaseDN must be a valid DN");
     this.schemaConfigBaseDN = schemaConfigBaseDN;
 
-    // The AD connection URL
-    assert(_.isString(url), "url must be a string");
-    this.url = url;
+    // Where to cache the schema read by initialize. Either a file path or an
+    // adapter object with async get and set functions.
+    if (_.isUndefined(schemaCacheOption)) {
+      this.schemaCache = null;
+    } else if (_.isString(schemaCacheOption)) {
+      this.schemaCache = schemaCache.fileSchemaCache(schemaCacheOption);
+    } else {
+      assert(_.isObject(schemaCacheOption) && _.isFunction(schemaCacheOption.get) && _.isFunction(schemaCacheOption.set), "schemaCache must be a file path or an object with get and set functions");
+      this.schemaCache = schemaCacheOption;
+    }
+
+    // The AD connection URLs, tried in order until connecting and binding
+    // succeeds. Alternatively, SRV records from which to compute the URLs, in
+    // the format returned by dns.resolveSrv.
+    assert(_.isUndefined(url) !== _.isUndefined(srvRecords), "Exactly one of url and srvRecords is required");
+    if (_.isUndefined(url)) {
+      assert(_.isArray(srvRecords) && 1 <= srvRecords.length && _.every(srvRecords, failover.validSrvRecord), "srvRecords must be a non-empty array of objects with the properties name, port, priority and weight");
+      this.srvRecords = _.cloneDeep(srvRecords);
+      this.urls = null;
+    } else {
+      assert(_.isString(url) || (_.isArray(url) && 1 <= url.length && _.every(url, _.isString)), "url must be a string or a non-empty array of strings");
+      this.srvRecords = null;
+      this.urls = _.isString(url) ? [url] : [...url];
+    }
+
+    // Retry policy for searches that fail before producing any result
+    assert(_.isPlainObject(retry), "retry must be a plain object");
+    assert(_.every(_.keys(retry), k => _.includes(retryOptions, k)), `Every key in retry must be one of ${retryOptions}`);
+    /* eslint-disable-next-line no-magic-numbers */
+    this.retry = { retries: 2, minDelay: 100, maxDelay: 5000, ...retry };
+    assert(_.isInteger(this.retry.retries) && 0 <= this.retry.retries, "retry.retries must be a non-negative integer");
+    assert(_.isInteger(this.retry.minDelay) && 0 <= this.retry.minDelay, "retry.minDelay must be a non-negative integer");
+    assert(_.isInteger(this.retry.maxDelay) && this.retry.minDelay <= this.retry.maxDelay, "retry.maxDelay must be an integer no less than retry.minDelay");
+
+    // Reconnect policy for watchObjects. Watching is meant to go on for a long
+    // time, so by default it keeps reconnecting, e.g. through a restart of the
+    // domain controller. A null retries means no limit.
+    assert(_.isPlainObject(reconnect), "reconnect must be a plain object");
+    assert(_.every(_.keys(reconnect), k => _.includes(retryOptions, k)), `Every key in reconnect must be one of ${retryOptions}`);
+    /* eslint-disable-next-line no-magic-numbers */
+    this.reconnect = { retries: null, minDelay: 1000, maxDelay: 60000, ...reconnect };
+    assert(this.reconnect.retries === null || (_.isInteger(this.reconnect.retries) && 0 <= this.reconnect.retries), "reconnect.retries must be null or a non-negative integer");
+    assert(_.isInteger(this.reconnect.minDelay) && 0 <= this.reconnect.minDelay, "reconnect.minDelay must be a non-negative integer");
+    assert(_.isInteger(this.reconnect.maxDelay) && this.reconnect.minDelay <= this.reconnect.maxDelay, "reconnect.maxDelay must be an integer no less than reconnect.minDelay");
+
+    // TLS options. With ldaps:// urls, they are used for the connection. With
+    // ldap:// urls, they are used for StartTLS, which must then be enabled.
+    // Either way, binds are encrypted. URLs computed from srvRecords use
+    // ldaps:// only when that is required.
+    this.tlsOptions = undefined;
+    this.startTLS = false;
+    if (!_.isUndefined(tls)) {
+      assert(_.isPlainObject(tls), "tls must be a plain object");
+      assert(_.every(_.keys(tls), k => _.includes(tlsOptions, k)), `Every key in tls must be one of ${tlsOptions}`);
+      const { startTLS = false, ...nodeTlsOptions } = tls;
+      assert(_.isBoolean(startTLS), "tls.startTLS must be boolean");
+      assert(_.isUndefined(nodeTlsOptions.ca) || isPEMOrArrayOfPEM(nodeTlsOptions.ca), "tls.ca must be a string, a Buffer or a non-empty array of those");
+      assert(_.isUndefined(nodeTlsOptions.cert) || isPEMOrArrayOfPEM(nodeTlsOptions.cert), "tls.cert must be a string, a Buffer or a non-empty array of those");
+      assert(_.isUndefined(nodeTlsOptions.key) || isPEMOrArrayOfPEM(nodeTlsOptions.key), "tls.key must be a string, a Buffer or a non-empty array of those");
+      assert(_.isUndefined(nodeTlsOptions.cert) === _.isUndefined(nodeTlsOptions.key), "tls.cert and tls.key must be used together");
+      assert(_.isUndefined(nodeTlsOptions.passphrase) || _.isString(nodeTlsOptions.passphrase), "tls.passphrase must be a string");
+      assert(_.isUndefined(nodeTlsOptions.passphrase) || !_.isUndefined(nodeTlsOptions.key), "tls.passphrase requires tls.key");
+      assert(_.isUndefined(nodeTlsOptions.rejectUnauthorized) || _.isBoolean(nodeTlsOptions.rejectUnauthorized), "tls.rejectUnauthorized must be boolean");
+      assert(_.isUndefined(nodeTlsOptions.servername) || (_.isString(nodeTlsOptions.servername) && nodeTlsOptions.servername !== ""), "tls.servername must be a non-empty string");
+      for (const u of this.urls || []) {
+        const protocol = u.match(/^([a-z]+):\/\//iu);
+        assert(protocol, "url must begin with ldap:// or ldaps://");
+        if (startTLS) {
+          assert(protocol[1].toLowerCase() === "ldap", "tls.startTLS requires ldap:// urls");
+        } else {
+          assert(protocol[1].toLowerCase() === "ldaps", "tls options require ldaps:// urls, or tls.startTLS with ldap:// urls");
+        }
+      }
+      this.tlsOptions = nodeTlsOptions;
+      this.startTLS = startTLS;
+    }
 
     // The AD username
     assert(_.isString(user), "user must be a string");
     this.user = user;
 
+    // The default value mode for searches
+    assert(_.includes(valueModes, valueMode), `valueMode must be one of ${valueModes}`);
+    this.valueMode = valueMode;
+
     // In AD, the type of a value depends only on the attribute, not the object
     // category/class. Therefore, it's possible to fix encoding/formatting issues
     // right after fetching, with no regard to what the query is. This is a map from
@@ -116,124 +355,411 @@ class ActiveDirectoryHandler {
     // function will receive two arguments; ldapjs's attempt to parse it, and the
     // raw buffer received before that attempt. Beyond these hard-coded entries,
     // the initialize function will populate the map using schema information.
-    this.extractionFormatters = {
-      accountExpires: ldapparsing.dateFormatter_WinNT,
-      badPasswordTime: ldapparsing.dateFormatter_WinNT,
-      lastLogonTimestamp: ldapparsing.dateFormatter_WinNT,
+    const winNTDateFormatter = attrib => {
+      if (_.includes(ldapparsing.winNTNeverAttributes, attrib)) {
+        return ldapparsing.dateFormatter_WinNTOrNever;
+      }
+      return _.includes(ldapparsing.winNTZeroAttributes, attrib) ? ldapparsing.dateFormatter_WinNTOrZero : ldapparsing.dateFormatter_WinNT;
     };
+    this.extractionFormatters = _.fromPairs(_.map(ldapparsing.winNTDateAttributes, attrib => [attrib, winNTDateFormatter(attrib)]));
+
+    // Bit flag attributes to decode into objects with a boolean for each flag,
+    // rather than returning them as integers.
+    assert(
+      _.isBoolean(decodeFlags) || (_.isArray(decodeFlags) && _.every(decodeFlags, attrib => _.includes(bitflags.flagAttributes, attrib))),
+      `decodeFlags must be a boolean or an array of attribute names among ${bitflags.flagAttributes}`,
+    );
+    for (const attrib of decodeFlags === true ? bitflags.flagAttributes : decodeFlags || []) {
+      this.extractionFormatters[attrib] = bitflags.extractionFormatters[attrib];
+    }
+
+    // Whether to parse security descriptors into objects, rather than returning
+    // them as OctetString-formatted strings
+    assert(_.isBoolean(decodeSecurityDescriptors), "decodeSecurityDescriptors must be boolean");
+    this.decodeSecurityDescriptors = decodeSecurityDescriptors;
 
     // The set of boolean attributes
     this.booleanAttributes = new Set();
 
+    // The schema information read by initialize. A map from attribute name to
+    // { attributeSyntax, isSingleValued, rangeLower, rangeUpper, searchFlags,
+    // isMemberOfPartialAttributeSet, linkID }, and the schema version it was
+    // read at.
+    this.schemaAttributes = {};
+    this.schemaVersion = null;
+
+    // The extraction formatters to use in the "typed" value mode
+    this.typedExtractionFormatters = this.computeTypedExtractionFormatters();
+
+    // A map from class name to classSchema object, read on first use by
+    // getClassSchema.
+    this.classSchemas = null;
+
+    // The connection pool. Without one, every operation that isn't given a
+    // connection will use a new connection. It is created last, since it
+    // starts creating its min connections at once.
+    if (_.isUndefined(pool)) {
+      this.pool = null;
+    } else {
+      assert(_.isPlainObject(pool), "pool must be a plain object");
+      assert(_.every(_.keys(pool), k => _.includes(poolOptions, k)), `Every key in pool must be one of ${poolOptions}`);
+      this.pool = new ConnectionPool({
+        ...pool,
+        create: () => this.newConnection(),
+        end: connection => connection.end(),
+        validate: connection => connection.isConnected(),
+        healthCheck: connection => this.checkConnection(connection),
+        onCreateError: err => this.log.warn({ m: "Could not create a pooled LDAP connection", err }),
+      });
+    }
+
     this.initialized = false;
 
     this.initialize = _.throttle(this.initialize.bind(this), initialize_throttle_delay, { leading: true, trailing: false });
   }
 
   async initialize(req) {
-    // A lot of the time, the correct parse method for an attribute can be
-    // determined by the so-called attributeSyntax, which can be found in the
-    // domain's schema. For attributes not present in extractionFormatters above,
-    // the initialize function will determine a parsing method depending on the
-    // attributeSyntax. See https://ldapwiki.com/wiki/2.5.5.1 etc for each
-    // attributeSyntax. A null value means we'll rely on ldapjs to parse.
-    const extractionFormattersForAttributeSyntax = {
-      // DN
-      "2.5.5.1": null,
-      // OID Syntax. We assume but have not verified that ldapjs can handle it.
-      "2.5.5.2": null,
-      // CaseIgnoreString
-      "2.5.5.4": null,
-      // IA5 String / Printable String
-      "2.5.5.5": null,
-      // Numeric String. We assume but have not verified that ldapjs can handle it.
-      "2.5.5.6": null,
-      // DNWithOctetString
-      "2.5.5.7": null,
-      // Boolean
-      "2.5.5.8": ldapparsing.ldapBool,
-      // Signed 32-bit integer
-      "2.5.5.9": ldapparsing.int32,
-      // OctetString ("2.5.5.10") has special logic below
-      // GeneralizedTime
-      "2.5.5.11": ldapparsing.dateFormatter_ADGeneralizedTime,
-      // DirectoryString
-      "2.5.5.12": null,
-      // Presentation Address. We assume but have not verified that ldapjs can
-      // handle it.
-      "2.5.5.13": null,
-      // Object(Access-Point). We assume but have not verified that ldapjs can
-      // handle it.
-      "2.5.5.14": null,
-      // NT-Sec-Desc, no idea how to accurately parse this.
-      "2.5.5.15": ldapparsing.ldapBufferToGenericOctetString,
-      // LargeInteger.
-      "2.5.5.16": null, // BigInt would be more correct
-      // Sid
-      "2.5.5.17": ldapparsing.ldapBufferToSid,
-    };
-
     const starttime = new Date();
-    for await (const item of this.getObjects({
-      select: attributesNeededForInitialization,
-      from: this.schemaConfigBaseDN,
-      where: ["equals", "objectClass", "attributeSchema"],
-      waitForInitialization: false,
-      req,
-    })) {
-      // Remember what attributes are multi-valued
-      let isv = null;
-      if (
-        // Test for both 'TRUE' and true since we're in the middle of initialization.
-        item.isSingleValued === "TRUE" ||
-        item.isSingleValued === true
-      ) {
-        isv = true;
-      } else if (item.isSingleValued === "FALSE" || item.isSingleValued === false) {
-        isv = false;
+    const schemaVersion = await this.readSchemaVersion(req);
+    const cached = await this.readSchemaCache(schemaVersion, req);
+    if (cached) {
+      for (const [lDAPDisplayName, attributeSchema] of _.toPairs(cached.attributes)) {
+        await this.applyAttributeSchema({ lDAPDisplayName, ...attributeSchema }, req);
+      }
+    } else {
+      for await (const item of this.getObjects({
+        select: attributesNeededForInitialization,
+        from: this.schemaConfigBaseDN,
+        where: ["equals", "objectClass", "attributeSchema"],
+        waitForInitialization: false,
+        req,
+      })) {
+        await this.applyAttributeSchema(item, req);
+      }
+    }
+    assert(this.dictSingleValued.member === false);
+    for (const attrib of ["attributeSyntax", "distinguishedName", "lDAPDisplayName", "member", "objectClass"]) {
+      assert(!this.booleanAttributes.has(attrib), `Attribute ${attrib} seems to be boolean. It shouldn't.`);
+    }
+    this.typedExtractionFormatters = this.computeTypedExtractionFormatters();
+    this.schemaVersion = schemaVersion;
+    this.initialized = true;
+    if (this.schemaCache && !cached) {
+      try {
+        await this.schemaCache.set(this.exportSchema());
+      } catch (err) {
+        await this.log.warn({ m: "Could not write schema cache", err }, req);
+      }
+    }
+    await this.log.debug({ m: "Initialized ActiveDirectoryHandler", time: new Date() - starttime, fromCache: Boolean(cached) }, req);
+  }
+
+  // Take note of the schema information for one attribute
+  async applyAttributeSchema(item, req) {
+    // Remember what attributes are multi-valued
+    let isv = null;
+    if (
+      // Test for both 'TRUE' and true since we're in the middle of initialization.
+      item.isSingleValued === "TRUE" ||
+      item.isSingleValued === true
+    ) {
+      isv = true;
+    } else if (item.isSingleValued === "FALSE" || item.isSingleValued === false) {
+      isv = false;
+    } else {
+      throw futile.err("Could not determine whether ldap attribute is single-valued.", { item });
+    }
+    // Since we may be in the middle of initialization, values can be either
+    // strings or already parsed.
+    const int32OrNull = x => (_.isUndefined(x) ? null : ldapparsing.int32(x));
+    this.schemaAttributes[item.lDAPDisplayName] = {
+      attributeSyntax: item.attributeSyntax,
+      isSingleValued: isv,
+      rangeLower: int32OrNull(item.rangeLower),
+      rangeUpper: int32OrNull(item.rangeUpper),
+      searchFlags: int32OrNull(item.searchFlags),
+      isMemberOfPartialAttributeSet: item.isMemberOfPartialAttributeSet === "TRUE" || item.isMemberOfPartialAttributeSet === true,
+      linkID: int32OrNull(item.linkID),
+    };
+    if (item.lDAPDisplayName in this.dictSingleValued) {
+      if (_.includes(attributesNeededForInitialization, item.lDAPDisplayName)) {
+        assert(isv, "Unexpected schema");
       } else {
-        throw futile.err("Could not determine whether ldap attribute is single-valued.", { item });
+        assert(this.dictSingleValued[item.lDAPDisplayName] !== isv, "Unnecessary entry in overrideSingleValued or duplicate schema entry");
       }
-      if (item.lDAPDisplayName in this.dictSingleValued) {
-        if (_.includes(attributesNeededForInitialization, item.lDAPDisplayName)) {
-          assert(isv, "Unexpected schema");
-        } else {
-          assert(this.dictSingleValued[item.lDAPDisplayName] !== isv, "Unnecessary entry in overrideSingleValued or duplicate schema entry");
+    } else {
+      this.dictSingleValued[item.lDAPDisplayName] = isv;
+    }
+    // Remember what attributes are boolean
+    if (item.attributeSyntax === "2.5.5.8") {
+      this.booleanAttributes.add(item.lDAPDisplayName);
+    }
+    // Assign formatters
+    if (item.lDAPDisplayName in this.extractionFormatters) {
+      return;
+    }
+    if (item.attributeSyntax === "2.5.5.15" && this.decodeSecurityDescriptors) {
+      this.extractionFormatters[item.lDAPDisplayName] = ldapparsing.ldapBufferToSecurityDescriptor;
+    } else if (item.attributeSyntax in extractionFormattersForAttributeSyntax) {
+      const f = extractionFormattersForAttributeSyntax[item.attributeSyntax];
+      if (f) {
+        this.extractionFormatters[item.lDAPDisplayName] = f;
+      }
+    } else if (item.attributeSyntax === "2.5.5.10") {
+      // This is an attribute with OctetString syntax, with no individual
+      // parsing function set in extractionFormatters. Let's look at the
+      // attribute name and guess whether it's a GUID or not.
+      this.extractionFormatters[item.lDAPDisplayName] = item.lDAPDisplayName.match(/G(UID|uid)$/u) ? ldapparsing.ldapBufferToGuid : ldapparsing.ldapBufferToGenericOctetString;
+    } else {
+      await this.log.warn({ message: "Could not determine parsing method for ldap attribute", item }, req);
+    }
+  }
+
+  // In the "typed" value mode, dates are returned as Date objects and
+  // LargeIntegers as BigInts, rather than as formatted strings.
+  computeTypedExtractionFormatters() {
+    const ret = _.mapValues(this.extractionFormatters, f => typedExtractionFormatters.get(f) || f);
+    for (const [attrib, { attributeSyntax }] of _.toPairs(this.schemaAttributes)) {
+      if (attributeSyntax === "2.5.5.16" && !(attrib in ret)) {
+        ret[attrib] = ldapparsing.largeInteger;
+      }
+    }
+    return ret;
+  }
+
+  // Read the schema's modifyTimeStamp and schemaInfo, which change whenever the
+  // schema does. The binary schemaInfo is kept as a hex string.
+  async readSchemaVersion(req) {
+    const entries = [];
+    await this.withConnection(undefined, req, async connection => {
+      for await (const entry of this.rawSearch({ attributes: ["modifyTimeStamp", "schemaInfo"], filterExpression: ["true"], from: this.schemaConfigBaseDN, scope: "base", connection })) {
+        entries.push(entry);
+      }
+    });
+    assert(entries.length === 1, "Could not read the schema version");
+    const ret = {};
+    for (const { type, _vals } of entries[0].attributes) {
+      ret[type] = _.map(_vals, val => (type === "schemaInfo" ? ldapparsing.ldapBufferToGenericOctetString(null, val) : val.toString()));
+    }
+    return ret;
+  }
+
+  // Get the cached schema, if there is one for the current schema version.
+  async readSchemaCache(schemaVersion, req) {
+    if (!this.schemaCache) {
+      return null;
+    }
+    let data = null;
+    try {
+      data = await this.schemaCache.get();
+    } catch (err) {
+      await this.log.warn({ m: "Could not read schema cache", err }, req);
+      return null;
+    }
+    if (_.isNil(data)) {
+      return null;
+    }
+    if (!schemaCache.validSchemaCacheData(data)) {
+      await this.log.warn({ m: "Ignoring invalid schema cache" }, req);
+      return null;
+    }
+    if (!_.isEqual(data.schemaVersion, schemaVersion)) {
+      await this.log.debug({ m: "Ignoring outdated schema cache", cachedSchemaVersion: data.schemaVersion, schemaVersion }, req);
+      return null;
+    }
+    return data;
+  }
+
+  // Schema information about an attribute, or null if there is no such
+  // attribute.
+  async getAttributeSchema(name, req) {
+    assert(_.isString(name), "Attribute name must be a string");
+    await this.ensureInitialized(req);
+    if (!_.has(this.schemaAttributes, name)) {
+      return null;
+    }
+    const { attributeSyntax, isSingleValued, rangeLower, rangeUpper, searchFlags, isMemberOfPartialAttributeSet, linkID } = this.schemaAttributes[name];
+    return {
+      lDAPDisplayName: name,
+      attributeSyntax,
+      // overrideSingleValued takes precedence over the schema
+      isSingleValued: this.dictSingleValued[name],
+      isSingleValuedInSchema: isSingleValued,
+      isBoolean: this.booleanAttributes.has(name),
+      rangeLower,
+      rangeUpper,
+      // See https://learn.microsoft.com/en-us/windows/win32/adschema/a-searchflags
+      /* eslint-disable-next-line no-bitwise */
+      isIndexed: Boolean(searchFlags & 1),
+      isReplicatedToGC: isMemberOfPartialAttributeSet,
+      linkID,
+    };
+  }
+
+  // Schema information about a class, including attributes inherited from
+  // superclasses and auxiliary classes, or null if there is no such class.
+  async getClassSchema(name, req) {
+    assert(_.isString(name), "Class name must be a string");
+    await this.ensureInitialized(req);
+    if (!this.classSchemas) {
+      const classSchemas = {};
+      for await (const item of this.getObjects({
+        select: classSchema.classSchemaAttributes,
+        from: this.schemaConfigBaseDN,
+        where: ["equals", "objectClass", "classSchema"],
+        req,
+      })) {
+        classSchemas[item.lDAPDisplayName] = item;
+      }
+      this.classSchemas = classSchemas;
+    }
+    if (!_.has(this.classSchemas, name)) {
+      return null;
+    }
+    return classSchema.effectiveClassSchema(this.classSchemas, name);
+  }
+
+  // The schema information read by initialize, as a JSON-serializable object
+  // suitable for the schemaCache option.
+  exportSchema() {
+    assert(this.initialized, "exportSchema requires an initialized ActiveDirectoryHandler");
+    return {
+      cacheFormat: schemaCache.cacheFormat,
+      schemaVersion: _.cloneDeep(this.schemaVersion),
+      attributes: _.cloneDeep(this.schemaAttributes),
+    };
+  }
+
+  async ensureInitialized(req) {
+    if (!this.initialized) {
+      await this.initialize(req);
+    }
+    assert(this.initialized);
+  }
+
+  // Search, generating the objects found. The generator has a stats property,
+  // an object with statistics for the search that is updated as it goes on.
+  getObjects(options) {
+    const stats = { pages: 0, entries: 0, maxBuffered: 0, pauses: 0, resumes: 0, waitTime: 0 };
+    const ret = _.isArray(_.get(options, "from")) ? this.searchBases(options, stats) : this.searchObjects(options, stats);
+    ret.stats = stats;
+    return ret;
+  }
+
+  // getObjects with several bases, each a DN or { from, handler } where
+  // handler is the ActiveDirectoryHandler to search with, e.g. for another
+  // domain. The searches run concurrently, and each object is generated once,
+  // with the base it was found in as _source. With orderBy, the sorted results
+  // of the searches are merged once they are all done.
+  async* searchBases({ from, concurrency = 4, select, valueMode = this.valueMode, orderBy, offset, sizeLimit, signal, connection, [reportTotal]: onTotal, ...args }, stats) {
+    assert(1 <= from.length, "from must be a valid DN or a non-empty array of bases");
+    const bases = _.map(from, base => (_.isString(base) ? { from: base, handler: this } : { handler: this, ...base }));
+    for (const base of bases) {
+      assert(_.isString(base.from) && base.handler instanceof ActiveDirectoryHandler && _.size(base) === 2, "Each base in from must be a DN or an object { from, handler } where handler is an ActiveDirectoryHandler");
+    }
+    assert(_.isInteger(concurrency) && 1 <= concurrency, "concurrency must be a positive integer");
+    assert(_.isUndefined(connection), "connection cannot be used with several bases, since they are searched concurrently");
+    assert(_.isUndefined(sizeLimit) || (_.isInteger(sizeLimit) && 1 <= sizeLimit), "sizeLimit must be a positive integer");
+    const sort = _.isUndefined(orderBy) ? null : parseOrderBy(orderBy);
+    assert(_.isUndefined(offset) || (_.isInteger(offset) && 0 <= offset), "offset must be a non-negative integer");
+    assert(_.isUndefined(offset) || (sort && sizeLimit), "offset requires orderBy and sizeLimit");
+
+    // Deduplicating needs objectGUID, and sorting the attribute to sort by.
+    // They are left out of the results unless selected.
+    const added = _.isArray(select) ? _.difference(_.compact(["objectGUID", sort && sort.attribute]), select) : [];
+    const result = object => _.omit(object, added);
+    // When sorting, the results of each search are sorted, and collected so
+    // that its connection is released before they are merged, since a pool
+    // may have fewer connections than there are bases. Each search then needs
+    // no more than offset + sizeLimit objects, since an object among the first
+    // that many merged results is among the first that many of its own search.
+    const start = offset || 0;
+    const baseSizeLimit = sort && sizeLimit ? start + sizeLimit : sizeLimit;
+    // The total is the sum of those of the bases, except those that are inside
+    // another base searched with the same handler, or the same as an earlier
+    // one, since their objects are counted already
+    const covers = (outer, inner) => outer.handler === inner.handler && changeTracking.inScope(inner.from, outer.from, (args.scope || "sub") === "sub" ? "sub" : "base");
+    const counted = _.map(bases, (base, index) => !_.some(bases, (other, otherIndex) => otherIndex !== index && covers(other, base) && (otherIndex < index || !covers(base, other))));
+    const totals = _.map(bases, () => 0);
+    const searches = _.map(bases, (base, index) => baseSignal =>
+      base.handler.searchObjects(
+        {
+          ...args,
+          select: _.isArray(select) ? [...select, ...added] : select,
+          from: base.from,
+          valueMode,
+          orderBy,
+          offset: _.isUndefined(offset) ? undefined : 0,
+          sizeLimit: baseSizeLimit,
+          signal: baseSignal,
+          [reportTotal]:
+            onTotal &&
+            (total => {
+              totals[index] = counted[index] ? total : 0;
+              onTotal(_.sum(totals));
+            }),
+        },
+        stats,
+      ),
+    );
+    const seenGUIDs = new Set();
+    const isNew = object => {
+      if (seenGUIDs.has(object.objectGUID)) {
+        return false;
+      }
+      seenGUIDs.add(object.objectGUID);
+      return true;
+    };
+    if (!sort) {
+      let count = 0;
+      for await (const { index, value: object } of mergeGenerators(searches, { concurrency, signal })) {
+        if (isNew(object)) {
+          yield result({ ...object, _source: bases[index].from });
+          count++;
+          if (count === sizeLimit) {
+            return;
+          }
         }
-      } else {
-        this.dictSingleValued[item.lDAPDisplayName] = isv;
       }
-      // Remember what attributes are boolean
-      if (item.attributeSyntax === "2.5.5.8") {
-        this.booleanAttributes.add(item.lDAPDisplayName);
+      return;
+    }
+    const collected = _.map(bases, () => []);
+    let collectedCount = 0;
+    for await (const { index, value: object } of mergeGenerators(searches, { concurrency, signal })) {
+      this.assertClientSideSortable(collectedCount, orderBy);
+      collected[index].push({ ...object, _source: bases[index].from });
+      collectedCount++;
+    }
+    // Sorting is stable, so among objects found in several bases, the one from
+    // the first base is kept
+    let skipped = 0;
+    let count = 0;
+    for (const object of ldapfilterevaluator.sortObjects(_.flatten(collected), sort.attribute, sort.descending, this.schemaAttributes)) {
+      if (!isNew(object)) {
+        continue;
       }
-      // Assign formatters
-      if (item.lDAPDisplayName in this.extractionFormatters) {
+      if (skipped < start) {
+        skipped++;
         continue;
       }
-      if (item.attributeSyntax in extractionFormattersForAttributeSyntax) {
-        const f = extractionFormattersForAttributeSyntax[item.attributeSyntax];
-        if (f) {
-          this.extractionFormatters[item.lDAPDisplayName] = f;
-        }
-      } else if (item.attributeSyntax === "2.5.5.10") {
-        // This is an attribute with OctetString syntax, with no individual
-        // parsing function set in extractionFormatters. Let's look at the
-        // attribute name and guess whether it's a GUID or not.
-        this.extractionFormatters[item.lDAPDisplayName] = item.lDAPDisplayName.match(/G(UID|uid)$/u) ? ldapparsing.ldapBufferToGuid : ldapparsing.ldapBufferToGenericOctetString;
-      } else {
-        await this.log.warn({ message: "Could not determine parsing method for ldap attribute", item }, req);
+      yield result(object);
+      count++;
+      if (count === sizeLimit) {
+        return;
       }
     }
-    assert(this.dictSingleValued.member === false);
-    for (const attrib of ["attributeSyntax", "distinguishedName", "lDAPDisplayName", "member", "objectClass"]) {
-      assert(!this.booleanAttributes.has(attrib), `Attribute ${attrib} seems to be boolean. It shouldn't.`);
+  }
+
+  // Check that a search sorting client-side, which has collected count results
+  // so far, may collect another. Every result collected counts, whatever the
+  // size limit, since they are all held in memory until sorted.
+  assertClientSideSortable(count, orderBy) {
+    if (this.maxClientSideSortResults <= count) {
+      throw futile.err("Too many results to sort client-side. Narrow down the search, or raise the maxClientSideSortResults config option.", { maxClientSideSortResults: this.maxClientSideSortResults, orderBy });
     }
-    this.initialized = true;
-    await this.log.debug({ m: "Initialized ActiveDirectoryHandler", time: new Date() - starttime }, req);
   }
 
-  async* getObjects({ select, from = this.domainBaseDN, where = ["true"], clientSideTransitiveSearch = this.clientSideTransitiveSearchDefault, scope = "sub", req, waitForInitialization = true, connection, ...invalidSearchOptions } = {}) {
+  async* searchObjects({ select, from = this.domainBaseDN, where = ["true"], clientSideTransitiveSearch = this.clientSideTransitiveSearchDefault, scope = "sub", valueMode = this.valueMode, orderBy, offset, sizeLimit, timeLimit, signal, paging = {}, req, waitForInitialization = true, connection, [reportTotal]: onTotal, ...invalidSearchOptions } = {}, stats) {
     const select_all = select === "*";
     // Some validation
     if (!select_all) {
@@ -247,26 +773,189 @@ class ActiveDirectoryHandler {
     }
     assert(validDN(from), "from must be a valid DN");
     assert(_.isString(scope) && _.includes(["base", "one", "sub"], scope), "scope must be one of 'base', 'one' or 'sub'.");
+    assert(_.includes(valueModes, valueMode), `valueMode must be one of ${valueModes}`);
+    assert(_.isUndefined(sizeLimit) || (_.isInteger(sizeLimit) && 1 <= sizeLimit), "sizeLimit must be a positive integer");
+    assert(_.isUndefined(timeLimit) || (_.isFinite(timeLimit) && 0 < timeLimit), "timeLimit must be a positive number of seconds");
+    assert(_.isUndefined(signal) || signal instanceof AbortSignal, "signal must be an AbortSignal");
+    const searchPaging = mergePaging(this.paging, paging);
+    const sort = _.isUndefined(orderBy) ? null : parseOrderBy(orderBy);
+    assert(_.isUndefined(offset) || (_.isInteger(offset) && 0 <= offset), "offset must be a non-negative integer");
+    assert(_.isUndefined(offset) || (sort && sizeLimit), "offset requires orderBy and sizeLimit");
     assert(_.size(invalidSearchOptions) === 0, `Invalid search option(s) in ActiveDirectoryHandler.getObjects: ${_.keys(invalidSearchOptions)}`);
-    const select_includes = select_all ? attribute => attribute in this.dictSingleValued : attribute => _.includes(select, attribute);
 
     if (waitForInitialization) {
-      // Ensure we are initialized
-      if (!this.initialized) {
-        await this.initialize(req);
-      }
-      assert(this.initialized);
+      await this.ensureInitialized(req);
       // Validate attributes against schema
       if (!select_all) {
         for (const attrib of select) {
           assert(attrib in this.dictSingleValued, `Refuse to fetch non-existent attribute '${attrib}'`);
         }
       }
+      if (sort) {
+        assert(sort.attribute in this.dictSingleValued, `Refuse to sort by non-existent attribute '${sort.attribute}'`);
+      }
     }
+    // Validate the filter expression before optimizing it, since that might
+    // leave parts of it out.
+    ldapfilter(where, this.booleanAttributes, this.schemaAttributes);
+
+    // Sorting client-side, when the server can't, needs the attribute to sort
+    // by. It's left out of the results unless selected.
+    const sortAttributeAdded = sort && !select_all && !_.includes(select, sort.attribute);
+    const process = this.entryProcessor(sortAttributeAdded ? [...select, sort.attribute] : select, valueMode);
+    const result = item => (sortAttributeAdded ? _.omit(item, sort.attribute) : item);
 
-    // Function to process each item
-    const formats = select_all ? this.extractionFormatters : _.pick(this.extractionFormatters, select);
-    const process = async (entry, process_connection) => {
+    const attributes = select_all ? "*" : _.uniq([...select, "distinguishedName", ...(sortAttributeAdded ? [sort.attribute] : [])]);
+    // Without the SD_FLAGS control, accounts that can't read the SACL get no
+    // security descriptor at all
+    const selectsSecurityDescriptor = select_all || _.some(select, attrib => _.get(this.schemaAttributes, [attrib, "attributeSyntax"]) === "2.5.5.15");
+    const controls = selectsSecurityDescriptor ? [ldapcontrols.sdFlagsControl] : [];
+    const connection_is_external = Boolean(connection);
+    /* eslint-disable-next-line no-magic-numbers */
+    const deadline = timeLimit ? Date.now() + timeLimit * 1000 : undefined;
+    // Searches are idempotent, so a search that fails with a transient error
+    // before yielding anything can be retried on another connection. This is
+    // not done with an external connection, since that might be what failed.
+    let yielded = false;
+    // Set when the server has refused to sort
+    let sortClientSide = false;
+    // Set when the server's virtual list view response shows that it failed
+    let vlvFailed = false;
+    for (let attempt = 0; ; attempt++) {
+      let searchConnection = connection_is_external ? connection : null;
+      let completed = false;
+      let delay = 0;
+      let sortOnServer = false;
+      try {
+        if (!searchConnection) {
+          searchConnection = await this.acquireConnection(req);
+        }
+        const filterExpression = clientSideTransitiveSearch ? await this.rewrite_filter_for_transitive_membership(where, searchConnection, req) : where;
+        // When a search is split into several, an object can be found by more
+        // than one of them.
+        const optimizedExpression = ldapfilteroptimizer.optimizeFilter(filterExpression);
+        const splitCount = ldapfilteroptimizer.splitCount(optimizedExpression, this.maxOneofValues);
+        if (this.maxSplitSearches < splitCount) {
+          await this.log.warn({ m: "Splitting the search would take too many searches, sending it unsplit", splitCount, maxSplitSearches: this.maxSplitSearches }, req);
+        }
+        const filterExpressions = ldapfilteroptimizer.splitFilter(optimizedExpression, this.maxOneofValues, this.maxSplitSearches);
+        // The server sorts each search on its own, so the results of split
+        // searches are sorted client-side.
+        sortOnServer = sort && !sortClientSide && filterExpressions.length === 1;
+        // A virtual list view is a single search without paging, and the
+        // server's size limit would cut it short.
+        const vlv = sortOnServer && !_.isUndefined(offset);
+        const searchControls = sortOnServer ? [...controls, ldapcontrols.sortControl(sort.attribute, sort.descending), ...(vlv ? [ldapcontrols.vlvControl(offset, sizeLimit)] : [])] : controls;
+        const onResult = vlv
+          ? x => {
+              let total = null;
+              try {
+                total = ldapcontrols.parseVLVResponse(x.controls);
+              } catch (err) {
+                vlvFailed = true;
+                throw err;
+              }
+              if (onTotal) {
+                onTotal(total);
+              }
+            }
+          : undefined;
+        // Results to sort client-side
+        const collected = sort && !sortOnServer ? [] : null;
+        // The page of a virtual list view, at most sizeLimit objects, is
+        // only generated once the server's response shows that it worked
+        const vlvPage = vlv ? [] : null;
+        const seenDNs = new Set();
+        let count = 0;
+        for (const splitFilterExpression of filterExpressions) {
+          if (count === sizeLimit) {
+            break;
+          }
+          // Besides the objects still needed, the size limit leaves room for
+          // finding each of the objects already found again, since those
+          // aren't counted
+          const splitSizeLimit = collected || vlv ? undefined : sizeLimit && sizeLimit - count + seenDNs.size;
+          for await (const entry of this.rawSearch({ attributes, filterExpression: splitFilterExpression, from, scope, controls: searchControls, sizeLimit: splitSizeLimit, deadline, signal, paged: !vlv, paging: searchPaging, stats, onResult, connection: searchConnection })) {
+            if (1 < filterExpressions.length) {
+              if (seenDNs.has(entry.object.dn)) {
+                continue;
+              }
+              seenDNs.add(entry.object.dn);
+            }
+            if (count === sizeLimit) {
+              // The server sent more entries than needed, which it may when
+              // the size limit leaves room for objects already found. Leaving
+              // the loop abandons the search, and ldapjs ignores any late
+              // responses to it, so the connection can be reused.
+              completed = true;
+              return;
+            }
+            const item = await process(entry, searchConnection);
+            if (collected) {
+              this.assertClientSideSortable(collected.length, orderBy);
+              collected.push(item);
+              continue;
+            }
+            if (vlvPage) {
+              vlvPage.push(item);
+              continue;
+            }
+            yielded = true;
+            count++;
+            yield result(item);
+          }
+        }
+        for (const item of vlvPage ? _.take(vlvPage, sizeLimit) : []) {
+          yielded = true;
+          yield result(item);
+        }
+        if (collected) {
+          if (onTotal) {
+            onTotal(collected.length);
+          }
+          const start = offset || 0;
+          const sorted = ldapfilterevaluator.sortObjects(collected, sort.attribute, sort.descending, this.schemaAttributes);
+          for (const item of sizeLimit ? sorted.slice(start, start + sizeLimit) : sorted) {
+            yielded = true;
+            yield result(item);
+          }
+        }
+        completed = true;
+        return;
+      } catch (err) {
+        if (sortOnServer && !yielded && (ldapcontrols.isUnavailableControlError(err) || vlvFailed)) {
+          // Sort client-side instead. This doesn't count as an attempt.
+          await this.log.info({ m: "The server could not sort the search results, sorting client-side", orderBy, err }, req);
+          sortClientSide = true;
+          attempt--;
+          continue;
+        }
+        if (connection_is_external || yielded || this.retry.retries <= attempt || !failover.isTransientError(err) || (signal && signal.aborted)) {
+          throw err;
+        }
+        delay = failover.backoffDelay(attempt + 1, this.retry);
+        // No time would be left for another attempt
+        if (deadline && deadline <= Date.now() + delay) {
+          throw err;
+        }
+        await this.log.warn({ m: "LDAP search failed, retrying", attempt: attempt + 1, delay, err }, req);
+      } finally {
+        if (searchConnection && !connection_is_external) {
+          await this.releaseConnection(searchConnection, completed);
+        }
+      }
+      await sleep(delay, signal);
+    }
+  }
+
+  // A function processing each search entry into the object that getObjects
+  // returns, according to the schema and the value mode.
+  entryProcessor(select, valueMode) {
+    const select_all = select === "*";
+    const select_includes = select_all ? attribute => attribute in this.dictSingleValued : attribute => _.includes(select, attribute);
+    const allFormats = valueMode === "typed" ? this.typedExtractionFormatters : this.extractionFormatters;
+    const formats = select_all ? allFormats : _.pick(allFormats, select);
+    return async (entry, process_connection) => {
       const obj = entry.object,
         rawobj = { dn: [null] }; // See comment below
       for (const { type, _vals } of entry.attributes) {
@@ -355,67 +1044,211 @@ class ActiveDirectoryHandler {
       }
       return ret;
     };
+  }
 
-    const attributes = select_all ? "*" : _.uniq([...select, "distinguishedName"]);
-    const connection_is_external = Boolean(connection);
-    try {
-      if (!connection_is_external) {
-        connection = await this.newConnection();
-      }
-      const filterExpression = clientSideTransitiveSearch ? await this.rewrite_filter_for_transitive_membership(where, connection, req) : where;
-      for await (const entry of this.rawSearch({ attributes, filterExpression, from, scope, connection })) {
-        yield await process(entry, connection);
-      }
-    } finally {
-      if (connection && !connection_is_external) {
-        await connection.end();
+  // Connect and bind to the first server that works, logging each failover.
+  async newConnection(req) {
+    const urls = this.srvRecords ? failover.urlsFromSrvRecords(this.srvRecords, this.tlsOptions && !this.startTLS ? "ldaps" : "ldap") : this.urls;
+    for (const [index, url] of urls.entries()) {
+      try {
+        return await this.connectTo(url);
+      } catch (err) {
+        if (index === urls.length - 1 || !failover.shouldFailOver(err)) {
+          throw err;
+        }
+        await this.log.warn({ m: "Could not connect to LDAP server, failing over", url, next: urls[index + 1], err }, req);
       }
     }
+    throw Error("This should never happen");
   }
 
-  async newConnection() {
+  async connectTo(url) {
     // Create client
-    const ldapClient = ldapjs.createClient({ url: this.url });
+    const ldapClient = ldapjs.createClient({ url, tlsOptions: this.tlsOptions });
     // Promisify
     const bind = promisify(ldapClient.bind).bind(ldapClient);
     const search = promisify(ldapClient.search).bind(ldapClient);
     const unbind = promisify(ldapClient.unbind).bind(ldapClient);
+    const add = promisify(ldapClient.add).bind(ldapClient);
+    const del = promisify(ldapClient.del).bind(ldapClient);
+    const modify = promisify(ldapClient.modify).bind(ldapClient);
+    const modifyDN = promisify(ldapClient.modifyDN).bind(ldapClient);
+    const abandon = promisify(ldapClient.abandon).bind(ldapClient);
+    // Unlike bind, starttls isn't notified about failures to connect.
+    const starttls = options =>
+      new Promise((resolve, reject) => {
+        ldapClient.once("connectError", reject);
+        ldapClient.starttls(options, [], err => {
+          ldapClient.removeListener("connectError", reject);
+          if (err) {
+            reject(err);
+          } else {
+            resolve();
+          }
+        });
+      });
+    // Errors on an idle connection would otherwise crash the process. Errors
+    // before binding are reported by bind, so there's no need to log them.
+    // Nothing waits for the logging, so its failures are ignored.
+    let bound = false;
+    ldapClient.on("error", err => {
+      if (bound) {
+        Promise.resolve()
+          .then(() => this.log.warn({ m: "LDAP connection error", url, err }))
+          .catch(_.noop);
+      }
+    });
     // Connect and authenticate
     try {
+      if (this.startTLS) {
+        // Copy the options, since ldapjs adds the socket to them.
+        await starttls({ ...this.tlsOptions });
+      }
       await bind(this.user, this.password);
+      bound = true;
     } catch (err) {
-      await unbind();
+      // After a failed StartTLS, the connection may not be usable for an
+      // unbind, which would then never complete
+      ldapClient.destroy();
       throw err;
     }
-    return { search, end: unbind };
+    const isConnected = () => ldapClient.connected;
+    return { url, search, abandon, add, del, modify, modifyDN, isConnected, end: unbind };
+  }
+
+  // Get a connection from the pool if there is one, otherwise a new connection.
+  acquireConnection(req) {
+    return this.pool ? this.pool.acquire() : this.newConnection(req);
+  }
+
+  // Give back a connection from acquireConnection. A connection that may be in
+  // an inconsistent state, e.g. after an error or an unfinished search, must
+  // not be reused.
+  async releaseConnection(connection, reusable) {
+    if (!this.pool) {
+      await connection.end();
+    } else if (reusable) {
+      await this.pool.release(connection);
+    } else {
+      await this.pool.destroy(connection);
+    }
   }
 
-  async* rawSearch({ attributes, filterExpression, from, scope, connection }) {
+  // Run fun with the given connection, or with a connection from
+  // acquireConnection that is released afterwards if none was given.
+  async withConnection(connection, req, fun) {
+    if (connection) {
+      return fun(connection);
+    }
+    const acquiredConnection = await this.acquireConnection(req);
+    let reusable = false;
+    try {
+      const ret = await fun(acquiredConnection);
+      reusable = true;
+      return ret;
+    } finally {
+      await this.releaseConnection(acquiredConnection, reusable);
+    }
+  }
+
+  // Check that a connection is usable, by reading the domain base object.
+  async checkConnection(connection) {
+    for await (const ignored__entry of this.rawSearch({ attributes: ["distinguishedName"], filterExpression: ["true"], from: this.domainBaseDN, scope: "base", connection })) {
+      // Only the absence of errors matters.
+    }
+    return true;
+  }
+
+  // Statistics for the connection pool, or null if there is none.
+  poolStats() {
+    return this.pool ? this.pool.stats() : null;
+  }
+
+  // Graceful shutdown. Ends all pooled connections once they are given back.
+  async close() {
+    if (this.pool) {
+      await this.pool.close();
+    }
+  }
+
+  // Search, generating the entries. If the generator is returned early, or
+  // signal fires or the deadline passes, the search is abandoned: the pager is
+  // stopped, or an LDAP Abandon is sent for the page being fetched.
+  // @arg sizeLimit: Optional maximum number of entries, enforced by the server.
+  // Reaching it ends the search normally.
+  // @arg deadline: Optional time, in milliseconds since the epoch, after which
+  // the search fails.
+  // @arg signal: Optional AbortSignal. When it fires, the search fails with its
+  // reason.
+  // @arg paged: Whether to use the paged results control, which can't be
+  // combined with some other controls. Defaults to true.
+  // @arg persistent: Whether the search goes on until abandoned, as with the
+  // notification control. Defaults to false.
+  // @arg paging: Optional page size and buffer thresholds, in the form of the
+  // paging config option. Defaults to that option.
+  // @arg stats: Optional object with the properties of the stats of getObjects,
+  // which are increased as the search goes on.
+  // @arg onResult: Optional function, called with the final search result once
+  // the search has ended successfully, e.g. for reading its controls.
+  async* rawSearch({ attributes, filterExpression, from, scope, controls = [], sizeLimit, deadline, signal, paged = true, paging = this.paging, persistent = false, stats, onResult, connection }) {
     assert(connection, "rawSearch called without connection");
+    if (signal) {
+      signal.throwIfAborted();
+    }
     // Send query
-    const emitter = await connection.search(from, {
-      attributes,
-      filter: ldapfilter(filterExpression, this.booleanAttributes),
-      scope,
-      paged: { pagePause: true },
-    });
+    const emitter = await connection.search(
+      from,
+      {
+        attributes,
+        filter: ldapfilter.ldapjsFilter(filterExpression, this.booleanAttributes, this.schemaAttributes),
+        scope,
+        sizeLimit,
+        // The server's time limit is in whole seconds. ldapjs turns 0, meaning
+        // no limit, into 10 seconds, so persistent searches ask for the
+        // largest possible limit instead.
+        /* eslint-disable-next-line no-magic-numbers */
+        timeLimit: deadline ? Math.max(1, Math.ceil((deadline - Date.now()) / 1000)) : persistent ? maxTimeLimit : undefined,
+        // Without a page size, ldapjs keeps pages smaller than the size
+        // limit, since servers may otherwise ignore the paging control.
+        paged: paged && { pageSize: sizeLimit && sizeLimit <= paging.pageSize ? undefined : paging.pageSize, pagePause: true },
+      },
+      controls,
+    );
       // Buffer control
     const buffer = [];
     let should_pause = false;
     let buffer_callback = null;
     let resume_callback = null;
+    // The messageID of the request for the current page, once an entry has
+    // arrived, for abandoning the search.
+    let messageID = null;
+    // Whether the server has ended the search
+    let ended = false;
+    const nextPage = callback => {
+      messageID = null;
+      callback();
+    };
     const bufferctl = function () {
       // Pausing/resuming the event stream is done by not directly calling the
       // callback when receiving a 'page' event. Therefore, pausing is
       // implemented in the generator loop below while resuming is implemented
       // here.
-      if (buffer.length > buffer_pause_at_length && !should_pause) {
+      if (stats) {
+        stats.maxBuffered = Math.max(stats.maxBuffered, buffer.length);
+      }
+      if (buffer.length > paging.bufferPauseAt && !should_pause) {
         should_pause = true;
+        if (stats) {
+          stats.pauses++;
+        }
       }
-      if (buffer.length < buffer_resume_at_length && should_pause) {
+      if (buffer.length < paging.bufferResumeAt && should_pause) {
         should_pause = false;
+        if (stats) {
+          stats.resumes++;
+        }
         if (resume_callback) {
-          resume_callback();
+          nextPage(resume_callback);
           resume_callback = null;
         }
       }
@@ -424,29 +1257,58 @@ class ActiveDirectoryHandler {
         buffer_callback = null;
       }
     };
-    emitter.on("searchEntry", entry => {
-      buffer.push({ op: "entry", entry });
-      bufferctl();
-    });
-    emitter.on("page", (result, callback) => {
-      buffer.push({ op: "page", result, callback });
-      bufferctl();
-    });
-    emitter.on("searchReference", referral => {
-      buffer.push({ op: "referral", referral });
-      bufferctl();
-    });
-    emitter.on("error", err => {
-      buffer.push({ op: "err", err });
-      bufferctl();
-    });
-    // emitter won't start sending events until there is at least one listener to
-    // the "end" event. Since we attach this listener last, we know we won't miss
-    // anything.
-    emitter.on("end", result => {
-      buffer.push({ op: "done", result });
+    const listeners = {
+      searchEntry: entry => {
+        messageID = entry.messageID;
+        if (stats) {
+          stats.entries++;
+        }
+        buffer.push({ op: "entry", entry });
+        bufferctl();
+      },
+      page: (result, callback) => {
+        if (stats) {
+          stats.pages++;
+        }
+        buffer.push({ op: "page", result, callback });
+        bufferctl();
+      },
+      searchReference: referral => {
+        buffer.push({ op: "referral", referral });
+        bufferctl();
+      },
+      error: err => {
+        ended = true;
+        buffer.push({ op: "err", err });
+        bufferctl();
+      },
+      // emitter won't start sending events until there is at least one listener to
+      // the "end" event. Since we attach this listener last, we know we won't miss
+      // anything.
+      end: result => {
+        ended = true;
+        // Without paging, the whole result is a single page
+        if (stats && !paged) {
+          stats.pages++;
+        }
+        buffer.push({ op: "done", result });
+        bufferctl();
+      },
+    };
+    for (const [event, listener] of _.toPairs(listeners)) {
+      emitter.on(event, listener);
+    }
+    // Aborting puts an item in the buffer, so that the generator loop notices
+    // it even while waiting.
+    const abort = err => {
+      buffer.unshift({ op: "abort", err });
       bufferctl();
-    });
+    };
+    const onAbort = () => abort(signal.reason);
+    if (signal) {
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+    const timer = deadline ? setTimeout(() => abort(futile.err("LDAP search time limit exceeded", { from, filterExpression })), deadline - Date.now()) : null;
     const waitUntilBufferIsNonempty = () =>
       new Promise((resolve, reject) => {
         if (buffer.length) {
@@ -458,47 +1320,92 @@ class ActiveDirectoryHandler {
           bufferctl();
         }
       });
+    try {
       // Generator
-    outer_loop: while (true) {
-      // Process for as long as something's available
-      while (buffer.length) {
-        // First in, first out
-        const item = buffer.shift();
-        switch (item.op) {
-          case "entry":
-            yield item.entry;
-            break;
-          case "page":
-            // Encode assumption about how ldapjs works
-            assert(!resume_callback);
-            // Callback not present at last page
-            if (!item.callback) {
+      outer_loop: while (true) {
+        // Process for as long as something's available
+        while (buffer.length) {
+          // First in, first out
+          const item = buffer.shift();
+          switch (item.op) {
+            case "entry":
+              yield item.entry;
               break;
+            case "page":
+              // Encode assumption about how ldapjs works
+              assert(!resume_callback);
+              // Callback not present at last page
+              if (!item.callback) {
+                break;
+              }
+              // Implement back-pressure
+              if (should_pause) {
+                resume_callback = item.callback;
+              } else {
+                nextPage(item.callback);
+              }
+              break;
+            case "referral":
+              throw futile.err("ldapjs produced a 'referral', which ActiveDirectoryHandler doesn't know how to handle", { referral: item.referral });
+            case "err":
+              // Reaching the size limit isn't an error
+              if (sizeLimit && item.err.name === "SizeLimitExceededError") {
+                break outer_loop;
+              }
+              throw item.err;
+            case "abort":
+              throw item.err;
+            case "done": {
+              const { status, errorMessage } = item.result;
+              if (status !== 0 || errorMessage !== "") {
+                throw futile.err("LDAP error", { status, ldapjsErrorMessage: errorMessage });
+              }
+              if (onResult) {
+                onResult(item.result);
+              }
+              // JavaScript supports breaking to a label but not consecutive breaks.
+              break outer_loop;
             }
-            // Implement back-pressure
-            if (should_pause) {
-              resume_callback = item.callback;
-            } else {
-              item.callback();
-            }
-            break;
-          case "referral":
-            throw futile.err("ldapjs produced a 'referral', which ActiveDirectoryHandler doesn't know how to handle", { referral: item.referral });
-          case "err":
-            throw item.err;
-          case "done": {
-            const { status, errorMessage } = item.result;
-            if (status !== 0 || errorMessage !== "") {
-              throw futile.err("LDAP error", { status, ldapjsErrorMessage: errorMessage });
-            }
-            // JavaScript supports breaking to a label but not consecutive breaks.
-            break outer_loop;
+            default:
+              throw Error("This should never happen");
           }
-          default:
-            throw Error("This should never happen");
         }
+        const waitStart = Date.now();
+        await waitUntilBufferIsNonempty();
+        if (stats) {
+          stats.waitTime += Date.now() - waitStart;
+        }
+      }
+    } finally {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
+      for (const [event, listener] of _.toPairs(listeners)) {
+        emitter.removeListener(event, listener);
+      }
+      // Events may still arrive, and errors without a listener would crash
+      // the process.
+      emitter.on("error", _.noop);
+      if (!ended) {
+        await this.abandonSearch({ connection, messageID, pageCallback: resume_callback || _.get(_.find(buffer, item => item.op === "page" && item.callback), "callback") });
+      }
+    }
+  }
+
+  // Stop a search that hasn't ended. Between pages, it's enough to tell the
+  // pager not to fetch the next page. Otherwise an LDAP Abandon is sent for
+  // the page being fetched, if its messageID is known.
+  async abandonSearch({ connection, messageID, pageCallback }) {
+    if (pageCallback) {
+      pageCallback(new Error("Search abandoned"));
+    } else if (messageID !== null) {
+      try {
+        await connection.abandon(messageID);
+      } catch (ignored__err) {
+        // The connection isn't reused after an unfinished search, so there's
+        // nothing more to do.
       }
-      await waitUntilBufferIsNonempty();
     }
   }
 
@@ -512,6 +1419,368 @@ class ActiveDirectoryHandler {
     return searchresult[0];
   }
 
+  // Look up an object by its objectGUID or objectSid, given in the form
+  // returned by searches or as a Buffer. Returns null if there is no such
+  // object.
+  getObjectByGuid({ guid, ...args } = {}) {
+    return this.getObjectByBinaryAttribute("objectGUID", ldapformatting.guidToLdapBuffer(guid), args);
+  }
+  getObjectBySid({ sid, ...args } = {}) {
+    return this.getObjectByBinaryAttribute("objectSid", ldapformatting.sidToLdapBuffer(sid), args);
+  }
+  async getObjectByBinaryAttribute(attribute, value, { where, ...args }) {
+    assert(_.isUndefined(where), `Invalid option 'where' when looking up an object by ${attribute}`);
+    const searchresult = await this.getObjectsA({ ...args, where: ["equals", attribute, value] });
+    assert(searchresult.length <= 1, `Found more than one object with the same ${attribute}`);
+    return searchresult.length ? searchresult[0] : null;
+  }
+  // "Type a few letters, find the user" search, using Ambiguous Name
+  // Resolution. Exact matches of sAMAccountName or mail come first, followed
+  // by the other matches in the order the server returns them. At most limit
+  // objects are returned, and the searches stop as soon as that many are
+  // found.
+  async searchPeople({ text, limit = 20, select = peopleAttributes, from = this.domainBaseDN, signal, req, connection } = {}) {
+    assert(_.isString(text) && text.trim() !== "", "searchPeople needs a non-empty text");
+    assert(_.isInteger(limit) && 1 <= limit, "limit must be a positive integer");
+    assert(_.isArray(select) && 1 <= _.size(select) && _.every(select, _.isString), "select must be a non-empty array of strings");
+    assert(
+      _.every(select, x => x.match(AttributeNameRE)),
+      `Illegal attribute name in select option. All attribute names must match ${AttributeNameRE}.`,
+    );
+    const trimmed = text.trim();
+    const ret = [];
+    // distinguishedName is needed to recognize objects found by both searches.
+    // It's left out of the results unless selected.
+    const dnAdded = !_.includes(select, "distinguishedName");
+    const seen = new Set();
+    const search = async where => {
+      if (ret.length >= limit) {
+        return;
+      }
+      // Like the split searches of searchObjects
+      const sizeLimit = limit - ret.length + seen.size;
+      for await (const object of this.getObjects({ select: dnAdded ? [...select, "distinguishedName"] : select, from, where: ["and", ["equals", "objectCategory", "person"], where], sizeLimit, signal, req, connection })) {
+        if (!seen.has(object.distinguishedName)) {
+          seen.add(object.distinguishedName);
+          ret.push(dnAdded ? _.omit(object, "distinguishedName") : object);
+          if (ret.length >= limit) {
+            return;
+          }
+        }
+      }
+    };
+    await search(["or", ["equals", "sAMAccountName", trimmed], ["equals", "mail", trimmed]]);
+    await search(["equals", "anr", trimmed]);
+    return ret;
+  }
+
+  // Incremental change tracking. Returns the objects that changed since the
+  // call that returned cookie, or all objects if there is no cookie, along with
+  // a cookie for the next call. With the usn method, the objects that changed
+  // and no longer match where or are no longer under from are returned too.
+  async getChanges({ select, from = this.domainBaseDN, where = ["true"], cookie, method, valueMode = this.valueMode, req, connection } = {}) {
+    assert(_.isArray(select) && 1 <= _.size(select) && _.every(select, _.isString), "select must be a non-empty array of strings");
+    assert(
+      _.every(select, x => x.match(AttributeNameRE)),
+      `Illegal attribute name in select option. All attribute names must match ${AttributeNameRE}.`,
+    );
+    assert(validDN(from), "from must be a valid DN");
+    assert(_.includes(valueModes, valueMode), `valueMode must be one of ${valueModes}`);
+    const previous = _.isUndefined(cookie) ? null : changeTracking.decodeCookie(cookie);
+    const trackingMethod = method || (previous ? previous.method : "dirsync");
+    assert(_.includes(changeTracking.changeTrackingMethods, trackingMethod), `method must be one of ${changeTracking.changeTrackingMethods}`);
+    assert(!previous || previous.method === trackingMethod, `The cookie is for the '${previous && previous.method}' method, not '${trackingMethod}'`);
+    await this.ensureInitialized(req);
+    for (const attrib of select) {
+      assert(attrib in this.dictSingleValued, `Refuse to fetch non-existent attribute '${attrib}'`);
+    }
+    // A cookie is only valid for the search it was returned for
+    const filter = ldapfilter(where, this.booleanAttributes, this.schemaAttributes);
+    assert(!previous || (previous.from.toLowerCase() === from.toLowerCase() && previous.filter === filter), "The cookie was returned for a different from or where");
+    // objectGUID identifies objects even after they've been renamed or
+    // deleted. DirSync always returns instanceType. lastKnownParent tells
+    // where deleted objects were.
+    const attributes = _.union(select, ["distinguishedName", "objectGUID", "isDeleted", "instanceType", "lastKnownParent"]);
+    const process = this.entryProcessor(attributes, valueMode);
+    const changed = [];
+    const deleted = [];
+    const left = [];
+    const add = async (entry, processConnection, change = "changed") => {
+      const object = await process(entry, processConnection);
+      const list = { changed: object.isDeleted === true ? deleted : changed, deleted, left }[change];
+      list.push(_.pick(object, [...select, "objectGUID"]));
+    };
+    const { full, cookieData } = await this.withConnection(connection, req, searchConnection => {
+      const args = { attributes, from, where, previous, add, connection: searchConnection };
+      return trackingMethod === "dirsync" ? this.getDirSyncChanges(args) : this.getUSNChanges(args);
+    });
+    return { changed, deleted, left, full, cookie: changeTracking.encodeCookie({ ...cookieData, from, filter }) };
+  }
+
+  // Find changes using the DirSync control. The search is repeated for as long
+  // as the server has more changes to return.
+  async getDirSyncChanges({ attributes, from, where, previous, add, connection }) {
+    const namingContext = await this.namingContextOf(from, connection);
+    assert(changeTracking.inScope(from, namingContext, "base"), `The dirsync method requires from to be the root of a naming context, such as '${namingContext}'. Use the usn method for other bases.`);
+    let dirSyncCookie = previous ? Buffer.from(previous.cookie, "base64") : Buffer.alloc(0);
+    for (let moreResults = true; moreResults; ) {
+      let result = null;
+      const controls = [ldapcontrols.dirSyncControl(dirSyncCookie), ldapcontrols.showDeletedControl];
+      // DirSync can't be combined with paging
+      for await (const entry of this.rawSearch({ attributes, filterExpression: where, from, scope: "sub", controls, paged: false, onResult: x => (result = x), connection })) {
+        await add(entry, connection);
+      }
+      ({ moreResults, cookie: dirSyncCookie } = ldapcontrols.parseDirSyncResponse(result.controls));
+    }
+    return { full: !previous, cookieData: { method: "dirsync", cookie: dirSyncCookie.toString("base64") } };
+  }
+
+  // Find changes using uSNChanged. USNs are local to each domain controller, so
+  // a cookie from another one means starting over.
+  async getUSNChanges({ attributes, from, where, previous, add, connection }) {
+    // Read the high-water mark before searching, so that changes made during
+    // the search are found again rather than missed.
+    const { dsServiceName, highestCommittedUSN } = await this.readRootDSE(["dsServiceName", "highestCommittedUSN"], connection);
+    const full = !previous || previous.server !== dsServiceName;
+    if (full) {
+      for await (const entry of this.rawSearch({ attributes, filterExpression: where, from, scope: "sub", connection })) {
+        await add(entry, connection);
+      }
+    } else {
+      for await (const { entry, change } of this.getUSNChangesSince({ attributes, from, scope: "sub", where, usn: BigInt(previous.usn), left: true, connection })) {
+        await add(entry, connection, change);
+      }
+    }
+    return { full, cookieData: { method: "usn", server: dsServiceName, usn: highestCommittedUSN } };
+  }
+
+  // Find the objects in scope that changed after a USN. Generates { entry,
+  // change } where change is "changed" for objects that match where, "left"
+  // for objects that don't or are out of scope, which may have matched before
+  // the change, and "deleted" for deleted objects. Objects moved out of scope
+  // are found in the rest of the naming context. AD moves deleted objects to
+  // the Deleted Objects container of the naming context, where the ones that
+  // were in scope are recognized by their lastKnownParent. Deleted objects
+  // keep only a few of their attributes, so where can't be applied to them.
+  // @arg attributes: Must include lastKnownParent.
+  // @arg left: Whether to generate the objects that don't match where or are
+  // out of scope. Defaults to false.
+  async* getUSNChangesSince({ attributes, from, scope, where, usn, left = false, signal, connection }) {
+    assert(_.includes(attributes, "lastKnownParent"), "attributes must include lastKnownParent");
+    const changedSince = ["greaterorequal", "uSNChanged", usn + 1n];
+    for await (const entry of this.rawSearch({ attributes, filterExpression: ["and", where, changedSince], from, scope, signal, connection })) {
+      yield { entry, change: "changed" };
+    }
+    const namingContext = await this.namingContextOf(from, connection);
+    if (left) {
+      for await (const entry of this.rawSearch({ attributes, filterExpression: ["and", ["not", where], changedSince], from, scope, signal, connection })) {
+        yield { entry, change: "left" };
+      }
+      // Nothing can leave the scope of the whole naming context
+      if (scope !== "sub" || !changeTracking.inScope(from, namingContext, "base")) {
+        for await (const entry of this.rawSearch({ attributes, filterExpression: changedSince, from: namingContext, scope: "sub", signal, connection })) {
+          if (!changeTracking.inScope(entry.object.dn, from, scope)) {
+            yield { entry, change: "left" };
+          }
+        }
+      }
+    }
+    const deletedObjects = `CN=Deleted Objects,${namingContext}`;
+    const filterExpression = ["and", ["equals", "isDeleted", "TRUE"], changedSince];
+    for await (const entry of this.rawSearch({ attributes, filterExpression, from: deletedObjects, scope: "one", controls: [ldapcontrols.showDeletedControl], signal, connection })) {
+      const { dn, lastKnownParent } = entry.object;
+      // Objects deleted from an unknown place are reported, to be safe
+      if (!lastKnownParent || changeTracking.inScope(changeTracking.dnBeforeDeletion(dn, lastKnownParent), from, scope)) {
+        yield { entry, change: "deleted" };
+      }
+    }
+  }
+
+  // The root of the naming context that dn is in, among those of the server
+  // that connection is to.
+  async namingContextOf(dn, connection) {
+    const namingContexts = [];
+    for await (const entry of this.rawSearch({ attributes: ["namingContexts"], filterExpression: ["true"], from: "", scope: "base", connection })) {
+      for (const { _vals } of entry.attributes) {
+        namingContexts.push(..._.map(_vals, val => val.toString()));
+      }
+    }
+    // The DNs of naming contexts may be nested, e.g. the configuration's in
+    // the domain's, so the longest one wins
+    const ret = _.maxBy(_.filter(namingContexts, namingContext => changeTracking.inScope(dn, namingContext, "sub")), "length");
+    if (!ret) {
+      throw futile.err("Could not find the naming context", { dn, namingContexts });
+    }
+    return ret;
+  }
+
+  // Read attributes of the rootDSE of the server that connection is to.
+  // @return: An object mapping each attribute to its value as a string.
+  async readRootDSE(attributes, connection) {
+    const ret = {};
+    for await (const entry of this.rawSearch({ attributes, filterExpression: ["true"], from: "", scope: "base", connection })) {
+      for (const { type, _vals } of entry.attributes) {
+        ret[type] = _vals[0].toString();
+      }
+    }
+    const missing = _.difference(attributes, _.keys(ret));
+    if (missing.length) {
+      throw futile.err("Could not read the rootDSE", { missing });
+    }
+    return ret;
+  }
+
+  // A stream of changes as they happen, using the notification control.
+  // Generates { type, object } where type is "add", "modify", "delete" or
+  // "leave", for objects that changed and don't match where, and
+  // { type: "reset" } when the changes since the connection was lost cannot be
+  // found, in which case all matching objects follow as "add". The search goes
+  // on until the generator is returned or signal fires. A lost connection is
+  // reestablished, and the changes made meanwhile are found by their
+  // uSNChanged.
+  async* watchObjects({ select, from = this.domainBaseDN, where = ["true"], scope = "sub", valueMode = this.valueMode, signal, req } = {}) {
+    assert(_.isArray(select) && 1 <= _.size(select) && _.every(select, _.isString), "select must be a non-empty array of strings");
+    assert(
+      _.every(select, x => x.match(AttributeNameRE)),
+      `Illegal attribute name in select option. All attribute names must match ${AttributeNameRE}.`,
+    );
+    assert(validDN(from), "from must be a valid DN");
+    assert(_.isString(scope) && _.includes(["base", "one", "sub"], scope), "scope must be one of 'base', 'one' or 'sub'.");
+    assert(_.includes(valueModes, valueMode), `valueMode must be one of ${valueModes}`);
+    assert(_.isUndefined(signal) || signal instanceof AbortSignal, "signal must be an AbortSignal");
+    await this.ensureInitialized(req);
+    for (const attrib of select) {
+      assert(attrib in this.dictSingleValued, `Refuse to fetch non-existent attribute '${attrib}'`);
+    }
+    ldapfilter(where, this.booleanAttributes, this.schemaAttributes);
+    // AD only allows notification searches with the filter (objectClass=*), so
+    // where is evaluated client-side, and the attributes it needs are fetched
+    // with the spelling that the server uses.
+    const whereAttributes = _.map(ldapfilterevaluator.filterAttributes(where), a => _.find(_.keys(this.dictSingleValued), k => k.toLowerCase() === a.toLowerCase()) || a);
+    for (const attrib of whereAttributes) {
+      assert(attrib in this.dictSingleValued, `Cannot evaluate the filter expression, since there is no attribute '${attrib}'`);
+    }
+    const attributes = _.union(select, whereAttributes, ["distinguishedName", "objectGUID", "isDeleted", "lastKnownParent", "uSNCreated", "uSNChanged"]);
+    const process = this.entryProcessor(attributes, valueMode);
+    // The domain controller that the USNs are from, and the highest USN seen
+    let server = null;
+    let highestUSN = null;
+    let url = null;
+    // Turn an entry into an event, given the highest USN seen before the
+    // change, and whether the object is known to have left the search. Deleted
+    // objects keep only a few of their attributes, so where can't be applied
+    // to them.
+    const toEvent = async (entry, connection, since = highestUSN, left = false) => {
+      const object = await process(entry, connection);
+      const deleted = object.isDeleted === true;
+      const matches = deleted || (!left && ldapfilterevaluator(where, object, this.schemaAttributes));
+      const type = changeTracking.changeType({ deleted, matches, created: deleted ? null : BigInt(object.uSNCreated), highestUSN: since });
+      const changed = BigInt(object.uSNChanged);
+      if (highestUSN < changed) {
+        highestUSN = changed;
+      }
+      return { type, object: _.pick(object, [...select, "objectGUID"]) };
+    };
+    for (let failures = 0; ; failures++) {
+      let connection = null;
+      // Stops the notification search, which otherwise never ends
+      const stop = new AbortController();
+      const onAbort = () => stop.abort(signal.reason);
+      if (signal) {
+        signal.addEventListener("abort", onAbort, { once: true });
+      }
+      let next = null;
+      try {
+        // Prefer the same domain controller, so that the changes made
+        // meanwhile can be found.
+        if (url) {
+          connection = await this.connectTo(url).catch(async err => {
+            await this.log.warn({ m: "Could not reconnect to the same LDAP server, connecting to any", url, err }, req);
+            return this.newConnection(req);
+          });
+        } else {
+          connection = await this.newConnection(req);
+        }
+        ({ url } = connection);
+        const notifications = this.rawSearch({ attributes, filterExpression: ["true"], from, scope, controls: [ldapcontrols.notificationControl, ldapcontrols.showDeletedControl], signal: stop.signal, paged: false, persistent: true, connection });
+        // Asking for the first notification sends the request, before the
+        // searches below on the same connection, so no change falls between
+        // them. It's waited for once those are done.
+        next = notifications.next();
+        next.catch(_.noop);
+        const { dsServiceName, highestCommittedUSN } = await this.readRootDSE(["dsServiceName", "highestCommittedUSN"], connection);
+        // Changes found by the searches below are skipped if notified again
+        const found = new changeTracking.FoundChanges();
+        if (server === null) {
+          highestUSN = BigInt(highestCommittedUSN);
+        } else if (server === dsServiceName) {
+          const since = highestUSN;
+          for await (const { entry, change } of this.getUSNChangesSince({ attributes, from, scope, where, usn: since, left: true, signal, connection })) {
+            found.add(entry.object.dn, entry.object.uSNChanged);
+            yield await toEvent(entry, connection, since, change === "left");
+          }
+        } else {
+          // USNs are local to each domain controller
+          yield { type: "reset" };
+          highestUSN = BigInt(highestCommittedUSN);
+          for await (const entry of this.rawSearch({ attributes, filterExpression: where, from, scope, signal, connection })) {
+            found.add(entry.object.dn, entry.object.uSNChanged);
+            yield { ...(await toEvent(entry, connection)), type: "add" };
+          }
+        }
+        server = dsServiceName;
+        failures = 0;
+        for (;;) {
+          const { value: entry, done } = await next;
+          next = null;
+          if (done) {
+            // The server ended the search, so start over
+            break;
+          }
+          if (!found.has(entry.object.dn, entry.object.uSNChanged)) {
+            yield await toEvent(entry, connection);
+          }
+          next = notifications.next();
+          next.catch(_.noop);
+        }
+      } catch (err) {
+        if ((signal && signal.aborted) || (this.reconnect.retries !== null && this.reconnect.retries <= failures) || !failover.isTransientError(err)) {
+          throw err;
+        }
+        await this.log.warn({ m: "Watching for changes failed, reconnecting", attempt: failures + 1, err }, req);
+      } finally {
+        if (signal) {
+          signal.removeEventListener("abort", onAbort);
+        }
+        // Abandon the notification search, and wait for it to clean up
+        stop.abort(Error("Stopped watching"));
+        if (next) {
+          await next.catch(_.noop);
+        }
+        if (connection) {
+          await connection.end().catch(_.noop);
+        }
+      }
+      await futile.sleep(failover.backoffDelay(failures + 1, this.reconnect));
+    }
+  }
+
+  // One page of sorted results, e.g. for a table in a UI, using the virtual
+  // list view control.
+  // @return: { objects, total } where total is the server's estimate of the
+  // number of matching objects.
+  async getPage({ orderBy, offset = 0, limit, ...args } = {}) {
+    assert(!_.isUndefined(orderBy), "getPage requires orderBy");
+    assert(_.isInteger(limit) && 1 <= limit, "limit must be a positive integer");
+    assert(!("sizeLimit" in args), "Invalid option 'sizeLimit' for getPage. Use limit instead.");
+    let total = null;
+    const objects = [];
+    for await (const object of this.getObjects({ ...args, orderBy, offset, sizeLimit: limit, [reportTotal]: x => (total = x) })) {
+      objects.push(object);
+    }
+    return { objects, total };
+  }
+
   async getObjectsA(args) {
     const ret = [];
     for await (const item of this.getObjects(args)) {
@@ -520,6 +1789,115 @@ class ActiveDirectoryHandler {
     return ret;
   }
 
+  // Write API. Values are given in the same form as getObjects returns them;
+  // in an array if and only if the attribute is multi-valued. They are
+  // validated against the schema and formatted by reversing the extraction
+  // formatters, so that reads and writes share the same model.
+
+  // Create an ldapjs Attribute holding the values to write for attrib. A value
+  // of null means no values, except for the WinNT date attributes that are
+  // read as null when they mean "never". Then null is written as "never",
+  // unless nullMeansNever is false, e.g. for deleting all values.
+  formatAttributeForInsertion(attrib, value, nullMeansNever = true) {
+    assert(_.isString(attrib) && attrib.match(AttributeNameRE), `Illegal attribute name. All attribute names must match ${AttributeNameRE}.`);
+    assert(attrib in this.dictSingleValued, `Refuse to write non-existent attribute '${attrib}'`);
+    let values = null;
+    if (value === null) {
+      values = nullMeansNever && this.hasWinNTNever(attrib) ? [null] : [];
+    } else if (this.dictSingleValued[attrib]) {
+      assert(!_.isArray(value), `Attribute '${attrib}' is single-valued, so its value must not be an array.`);
+      values = [value];
+    } else {
+      assert(_.isArray(value), `Attribute '${attrib}' is multi-valued, so its value must be an array.`);
+      values = value;
+    }
+    let format = val => {
+      assert(_.isString(val) && val !== "", `Values for attribute '${attrib}' must be non-empty strings.`);
+      return val;
+    };
+    if (attrib in this.extractionFormatters) {
+      format = insertionFormatters.get(this.extractionFormatters[attrib]);
+      assert(format, `Don't know how to format values for attribute '${attrib}'`);
+    } else if (_.get(this.schemaAttributes, [attrib, "attributeSyntax"]) === "2.5.5.16") {
+      format = ldapformatting.largeInteger;
+    }
+    return new ldapjs.Attribute({ type: attrib, vals: _.map(values, format) });
+  }
+
+  // Whether attrib is a WinNT date attribute with values meaning "never"
+  hasWinNTNever(attrib) {
+    return this.extractionFormatters[attrib] === ldapparsing.dateFormatter_WinNTOrNever;
+  }
+
+  async addObject({ distinguishedName, attributes, req, connection, ...invalidOptions } = {}) {
+    assert(validDN(distinguishedName), "distinguishedName must be a valid DN");
+    assert(_.isPlainObject(attributes) && 1 <= _.size(attributes), "attributes must be a non-empty plain object");
+    assert(_.size(invalidOptions) === 0, `Invalid option(s) in ActiveDirectoryHandler.addObject: ${_.keys(invalidOptions)}`);
+    await this.ensureInitialized(req);
+    const entry = _.map(attributes, (value, attrib) => {
+      assert(value !== null || this.hasWinNTNever(attrib), `No value given for attribute '${attrib}'`);
+      return this.formatAttributeForInsertion(attrib, value);
+    });
+    await this.withConnection(connection, req, c => c.add(distinguishedName, entry));
+  }
+
+  // changes is an array of { operation, attribute, values }, where operation
+  // is "replace", "add" or "delete". Use null to replace with or delete all
+  // values. As a shorthand, changes can be a plain object with one or more of
+  // the operations as keys, each mapping attribute names to values.
+  async modifyObject({ distinguishedName, changes, req, connection, ...invalidOptions } = {}) {
+    assert(validDN(distinguishedName), "distinguishedName must be a valid DN");
+    let changeList = null;
+    if (_.isArray(changes)) {
+      assert(1 <= changes.length, "changes must be a non-empty array or a non-empty plain object");
+      for (const change of changes) {
+        const { operation, attribute, values, ...rest } = _.isPlainObject(change) ? change : {};
+        assert(_.isPlainObject(change) && _.isEmpty(rest) && _.isString(attribute) && !_.isUndefined(values), "Every change must be an object { operation, attribute, values }");
+        assert(_.includes(modifyOperations, operation), `The operation of every change must be one of ${modifyOperations}`);
+      }
+      changeList = changes;
+    } else {
+      assert(_.isPlainObject(changes) && 1 <= _.size(changes), "changes must be a non-empty array or a non-empty plain object");
+      assert(_.every(_.keys(changes), k => _.includes(modifyOperations, k)), `Every key in changes must be one of ${modifyOperations}`);
+      assert(_.every(changes, x => _.isPlainObject(x) && 1 <= _.size(x)), "Every value in changes must be a non-empty plain object");
+      changeList = _.flatMap(_.toPairs(changes), ([operation, attributes]) => _.map(_.toPairs(attributes), ([attribute, values]) => ({ operation, attribute, values })));
+    }
+    assert(_.size(invalidOptions) === 0, `Invalid option(s) in ActiveDirectoryHandler.modifyObject: ${_.keys(invalidOptions)}`);
+    await this.ensureInitialized(req);
+    // The changes are made in the order given, which matters e.g. when deleting
+    // one value and adding another
+    const ldapChanges = _.map(changeList, ({ operation, attribute, values }) => {
+      assert(operation !== "add" || values !== null, `No value given to add for attribute '${attribute}'`);
+      return new ldapjs.Change({ operation, modification: this.formatAttributeForInsertion(attribute, values, operation !== "delete") });
+    });
+    await this.withConnection(connection, req, c => c.modify(distinguishedName, ldapChanges));
+  }
+
+  async deleteObject({ distinguishedName, req, connection, ...invalidOptions } = {}) {
+    assert(validDN(distinguishedName), "distinguishedName must be a valid DN");
+    assert(_.size(invalidOptions) === 0, `Invalid option(s) in ActiveDirectoryHandler.deleteObject: ${_.keys(invalidOptions)}`);
+    await this.ensureInitialized(req);
+    await this.withConnection(connection, req, c => c.del(distinguishedName));
+  }
+
+  // Move and/or rename an object. Returns the new distinguishedName, made from
+  // the DNs given as they are, since ldapjs would change their case and
+  // escaping if it were to serialize them.
+  async moveObject({ distinguishedName, newParentDN, newRDN, req, connection, ...invalidOptions } = {}) {
+    assert(validDN(distinguishedName), "distinguishedName must be a valid DN");
+    assert(_.isUndefined(newParentDN) || validDN(newParentDN), "newParentDN must be a valid DN");
+    assert(_.isUndefined(newRDN) || (validDN(newRDN) && ldapjs.parseDN(newRDN).length === 1), "newRDN must be a valid RDN");
+    assert(!_.isUndefined(newParentDN) || !_.isUndefined(newRDN), "At least one of newParentDN and newRDN is required");
+    assert(_.size(invalidOptions) === 0, `Invalid option(s) in ActiveDirectoryHandler.moveObject: ${_.keys(invalidOptions)}`);
+    // The RDN ends at the first unescaped comma
+    const [ignored__match, rdn, parent] = distinguishedName.match(/^((?:[^,\\]|\\.)*)(?:,\s*(.*))?$/u);
+    assert(!_.isUndefined(newParentDN) || !_.isUndefined(parent), "An object without a parent can only be moved with newParentDN");
+    await this.ensureInitialized(req);
+    const newDistinguishedName = `${_.isUndefined(newRDN) ? rdn : newRDN},${_.isUndefined(newParentDN) ? parent : newParentDN}`;
+    await this.withConnection(connection, req, c => c.modifyDN(distinguishedName, newDistinguishedName));
+    return newDistinguishedName;
+  }
+
   // Helper function to get all values of one attribute of one object, used in cases where the server isn't willing to send them all in one go.
   async completeValueRange({ distinguishedName, attribute, initValues = [], initRawValues = [], connection }) {
     assert(_.isArray(initValues) && _.isArray(initRawValues) && (initValues.length === initRawValues.length), "Illegal init values");
@@ -578,20 +1956,27 @@ class ActiveDirectoryHandler {
   // Transitive (a.k.a. in-chain) membership lookup can be performed using the
   // special attribute names "_transitive_member" and "_transitive_memberOf",
   // which use the server-side matching rule LDAP_MATCHING_RULE_IN_CHAIN to
-  // perform a transitive search. With the server doing the recursion, the query
-  // should be quite performant, but in practice it is inexcusably slow. So,
-  // below is an ad-hoc, hacky, chatty, and probably bug-ridden implementation
-  // of transitive membership search. Mysteriously, it is faster by 1-2 orders
-  // of magnitude.
+  // perform a transitive search. The same rule can be used with any linked
+  // attribute through the "inchain" matching rule. With the server doing the
+  // recursion, the query should be quite performant, but in practice it is
+  // inexcusably slow. So, below is an ad-hoc, hacky, chatty, and probably
+  // bug-ridden implementation of transitive search. Mysteriously, it is faster
+  // by 1-2 orders of magnitude.
 
+  // Find the objects linked to startingDNs through attribute, directly or
+  // indirectly, including startingDNs themselves. This works the same way for
+  // forward links, e.g. member and manager, and back links, e.g. memberOf and
+  // directReports.
   async rewrite_filter_for_transitive_membership_Helper_transitiveGroupLookup({ attribute, startingDNs, connection, req }) {
+    // Only groups can be in the middle of a chain of memberships
+    const where = _.includes(["member", "memberOf"], attribute) ? [["equals", "objectClass", "group"], ["equals", "objectCategory", "group"]] : [];
     let toLookup = startingDNs;
     let ret = [];
     while (toLookup.length) {
       const nextLevelGroups = _.map(await this.getObjectsA({
         select: ["distinguishedName"],
         from: this.clientSideTransitiveSearchBaseDN,
-        where: ["and", ["equals", "objectClass", "group"], ["equals", "objectCategory", "group"], ["oneof", attribute, toLookup]],
+        where: ["and", ...where, ["oneof", attribute, toLookup]],
         connection,
         req,
       }), "distinguishedName");
@@ -612,15 +1997,54 @@ class ActiveDirectoryHandler {
       const arrayValue = op === "oneof" ? value : [value];
       return ["oneof", attrib, await this.rewrite_filter_for_transitive_membership_Helper_transitiveGroupLookup({ attribute: attrib, startingDNs: arrayValue, connection, req })];
     }
+    if (op === "match" && ldapfilter.matchingRuleName(args[1]) === "inchain") {
+      const [attrib, ignored__rule, value] = args;
+      return ["oneof", attrib, await this.rewrite_filter_for_transitive_membership_Helper_transitiveGroupLookup({ attribute: attrib, startingDNs: [value], connection, req })];
+    }
     return filter;
   }
 
   rewrite_filter_for_transitive_membership(filter, connection, req) {
     assert(connection, "rewrite_filter_for_transitive_membership called without connection");
-    ldapfilter(filter, this.booleanAttributes); // Validate filter expression
+    ldapfilter(filter, this.booleanAttributes, this.schemaAttributes); // Validate filter expression
     return this.rewrite_filter_for_transitive_membership_Helper(filter, connection, req);
   }
 
+  // Start building a query, see querybuilder.js
+  query() {
+    return new querybuilder.Query(this);
+  }
+
+  // Functions building filter expressions, see querybuilder.js
+  static get filter() {
+    return querybuilder.filter;
+  }
+
+  // Convert an LDAP filter string into a filter expression for the where option
+  static parseFilter(filterString) {
+    return ldapfilterparser(filterString);
+  }
+
+  // The class of the errors thrown for invalid filter expressions
+  static get FilterValidationError() {
+    return ldapfilter.FilterValidationError;
+  }
+
+  // Check whether an object returned by getObjects matches a filter expression,
+  // without asking the server. The optional schema, e.g. the attributes of
+  // exportSchema(), decides how strings are compared.
+  static evaluateFilter(filterExpression, object, schema) {
+    return ldapfilterevaluator(filterExpression, object, schema);
+  }
+
+  // Check a filter expression against the schema, collecting every problem
+  // instead of stopping at the first one. Returns an array of
+  // FilterValidationError, empty if the expression is valid.
+  async validateFilter(filterExpression, req) {
+    await this.ensureInitialized(req);
+    return ldapfilter.validateFilter(filterExpression, this.booleanAttributes, this.schemaAttributes);
+  }
+
   // Integration tests are in a separate file
 
   async runIntegrationTests({ fraction, req }) {
@@ -0,0 +1,951 @@
+"use strict";
+/* global describe, test, expect, afterEach, jest */
+/* eslint-disable no-magic-numbers */
+const _ = require("lodash");
+const EventEmitter = require("events");
+const ldapjs = require("ldapjs");
+const ActiveDirectoryHandler = require("./ActiveDirectoryHandler.js");
+const ldapcontrols = require("./ldapcontrols.js");
+const ldapformatting = require("./ldapformatting.js");
+
+const log = _.fromPairs(_.map(["debug", "info", "warn", "error", "critical"], fun => [fun, async () => {}]));
+const config = { url: "ldap://dc.example.com", user: "user", password: "password", domainBaseDN: "dc=example,dc=com", schemaConfigBaseDN: "cn=Schema,cn=Configuration,dc=example,dc=com", log };
+const pem = "-----BEGIN CERTIFICATE-----\nMIIB\n-----END CERTIFICATE-----\n";
+
+// The attribute schema of the fake directory, as [lDAPDisplayName,
+// attributeSyntax, isSingleValued]
+const attributeSchemas = [
+  ["accountExpires", "2.5.5.16", true],
+  ["attributeSyntax", "2.5.5.2", true],
+  ["cn", "2.5.5.12", true],
+  ["displayName", "2.5.5.12", true],
+  ["distinguishedName", "2.5.5.1", true],
+  ["instanceType", "2.5.5.9", true],
+  ["isDeleted", "2.5.5.8", true],
+  ["isSingleValued", "2.5.5.8", true],
+  ["lastKnownParent", "2.5.5.1", true],
+  ["lDAPDisplayName", "2.5.5.12", true],
+  ["lockoutTime", "2.5.5.16", true],
+  ["mail", "2.5.5.12", true],
+  ["member", "2.5.5.1", false],
+  ["nTSecurityDescriptor", "2.5.5.15", true],
+  ["objectCategory", "2.5.5.1", true],
+  ["objectClass", "2.5.5.2", false],
+  ["objectGUID", "2.5.5.10", true],
+  ["pwdLastSet", "2.5.5.16", true],
+  ["sAMAccountName", "2.5.5.12", true],
+  ["sn", "2.5.5.12", true],
+  ["userPrincipalName", "2.5.5.12", true],
+  ["uSNChanged", "2.5.5.16", true],
+  ["uSNCreated", "2.5.5.16", true],
+];
+const schemaObjects = [
+  { distinguishedName: config.schemaConfigBaseDN, objectClass: "dMD", modifyTimeStamp: "20200101000000.0Z", schemaInfo: Buffer.from("ff00000001", "hex") },
+  ..._.map(attributeSchemas, ([lDAPDisplayName, attributeSyntax, isSingleValued]) => ({
+    distinguishedName: `CN=${lDAPDisplayName},${config.schemaConfigBaseDN}`,
+    objectClass: "attributeSchema",
+    lDAPDisplayName,
+    attributeSyntax,
+    isSingleValued: isSingleValued ? "TRUE" : "FALSE",
+  })),
+];
+
+// The handlers given a fake directory. Their initialize is throttled with a
+// timer, which would keep jest running.
+const fakeHandlers = [];
+afterEach(() => {
+  for (const handler of fakeHandlers.splice(0)) {
+    handler.initialize.cancel();
+  }
+});
+
+// A fake directory server for the handler to search, holding the schema and
+// the given objects, each an object of attribute values given as strings,
+// Buffers or arrays of those. The rootDSE is the object with the empty DN.
+// Searches return the requested attributes of the objects in scope that match
+// the filter, in pages as ldapjs does. Deleted objects are only found with the
+// show deleted control. AD resolves "anr" itself, so here each object lists
+// the texts it matches in an anr attribute. Searches are sorted, and sliced by
+// the virtual list view control, except that the server can't sort by the
+// attributes in unsortable, and answers virtual list views with vlvResult.
+// With stallAfter, the server stops after sending that many entries of each
+// search outside the schema, without ending the search. Searches with the
+// notification control send nothing until notify is called with a changed
+// object, and never end.
+// @return: The searches made, as { from, options, controls, emitter }, and
+// for notification searches notify.
+function fakeDirectory(handler, objects, { unsortable = [], vlvResult = 0, stallAfter } = {}) {
+  const searches = [];
+  const inScope = (dn, from, scope) => {
+    const [lowerDN, lowerFrom] = [dn.toLowerCase(), from.toLowerCase()];
+    const below = lowerDN.endsWith(`,${lowerFrom}`);
+    return { base: lowerDN === lowerFrom, one: below && dn.split(",").length === from.split(",").length + 1, sub: lowerDN === lowerFrom || below }[scope || "base"];
+  };
+  const toEntry = (object, attributes) => {
+    const selected = _.pickBy(object, (value, type) => !_.isUndefined(value) && (attributes === "*" || _.includes(attributes, type)));
+    const entryAttributes = _.map(_.toPairs(selected), ([type, vals]) => ({ type, _vals: _.map(_.castArray(vals), v => (Buffer.isBuffer(v) ? v : Buffer.from(`${v}`))) }));
+    const entryObject = _.fromPairs(_.map(entryAttributes, ({ type, _vals }) => [type, _vals.length === 1 ? _vals[0].toString() : _.map(_vals, v => v.toString())]));
+    return { object: { dn: object.distinguishedName, ...entryObject }, attributes: entryAttributes, _dn: object.distinguishedName, messageID: searches.length };
+  };
+  const connection = {
+    url: config.url,
+    isConnected: () => true,
+    end: async () => {},
+    abandon: async () => {},
+    search: async (from, options, controls) => {
+      const search = { from, options, controls };
+      searches.push(search);
+      const showDeleted = _.some(controls, { type: ldapcontrols.showDeletedControl.type });
+      const matches = _.filter(
+        [...schemaObjects, ...objects],
+        object => inScope(object.distinguishedName, from, options.scope) && (showDeleted || object.isDeleted !== "TRUE") && options.filter.matches(object),
+      );
+      const emitter = new EventEmitter();
+      search.emitter = emitter;
+      if (_.some(controls, { type: ldapcontrols.notificationControl.type })) {
+        search.notify = object => emitter.emit("searchEntry", toEntry(object, options.attributes));
+        return emitter;
+      }
+      // Like ldapjs, start sending once there is a listener for "end"
+      emitter.on("newListener", event => {
+        if (event !== "end") {
+          return;
+        }
+        setImmediate(() => {
+          const sort = _.find(controls, { type: ldapjs.ServerSideSortingRequestControl.OID });
+          const vlv = _.find(controls, { type: ldapjs.VirtualListViewRequestControl.OID });
+          if (!_.isUndefined(stallAfter) && from !== config.schemaConfigBaseDN) {
+            for (const object of _.take(matches, stallAfter)) {
+              emitter.emit("searchEntry", toEntry(object, options.attributes));
+            }
+          } else if (!sort) {
+            send(emitter, matches, options, []);
+          } else if (_.includes(unsortable, sort.value[0].attributeType)) {
+            const err = Error("Unavailable critical extension");
+            err.name = "UnavailableCriticalExtensionError";
+            emitter.emit("error", err);
+          } else {
+            const { attributeType, reverseOrder } = sort.value[0];
+            const sorted = _.sortBy(matches, object => _.toLower(object[attributeType]));
+            if (reverseOrder) {
+              sorted.reverse();
+            }
+            if (!vlv) {
+              send(emitter, sorted, options, []);
+            } else {
+              const { targetOffset, afterCount } = vlv.value;
+              const responseControl = { type: ldapjs.VirtualListViewResponseControl.OID, value: { result: vlvResult, targetPosition: targetOffset, contentCount: matches.length } };
+              send(emitter, sorted.slice(targetOffset - 1, targetOffset + afterCount), options, [responseControl]);
+            }
+          }
+        });
+      });
+      return emitter;
+    },
+  };
+  const send = (emitter, matches, { attributes, sizeLimit, paged }, responseControls) => {
+    const entries = _.map(sizeLimit ? _.take(matches, sizeLimit) : matches, object => toEntry(object, attributes));
+    const pages = paged ? _.chunk(entries, paged.pageSize || Infinity) : [entries];
+    const sendPage = index => {
+      for (const entry of pages[index] || []) {
+        emitter.emit("searchEntry", entry);
+      }
+      if (sizeLimit && matches.length > sizeLimit && index >= pages.length - 1) {
+        const err = Error("Size limit exceeded");
+        err.name = "SizeLimitExceededError";
+        emitter.emit("error", err);
+      } else if (paged && index < pages.length - 1) {
+        emitter.emit("page", { status: 0 }, err => {
+          if (!err) {
+            setImmediate(() => sendPage(index + 1));
+          }
+        });
+      } else {
+        if (paged) {
+          emitter.emit("page", { status: 0 });
+        }
+        emitter.emit("end", { status: 0, errorMessage: "", controls: responseControls });
+      }
+    };
+    sendPage(0);
+  };
+  handler.connectTo = async () => connection;
+  fakeHandlers.push(handler);
+  return searches;
+}
+
+// A fake ldapjs client, for testing connectTo. Its functions call back like
+// those of ldapjs, with the error given for them in errors, if any.
+function fakeClient(errors = {}) {
+  const client = new EventEmitter();
+  const fun = name =>
+    jest.fn((...args) => {
+      setImmediate(() => _.last(args)(errors[name] || null));
+    });
+  return Object.assign(client, {
+    connected: true,
+    ..._.fromPairs(_.map(["abandon", "add", "bind", "del", "modify", "modifyDN", "search", "starttls", "unbind"], name => [name, fun(name)])),
+    destroy: jest.fn(() => {
+      client.connected = false;
+    }),
+  });
+}
+
+describe("Config validation", () => {
+  test("tls", () => {
+    const handler = new ActiveDirectoryHandler({ ...config, url: "ldaps://dc.example.com", tls: { ca: pem, rejectUnauthorized: true } });
+    expect(handler.tlsOptions).toEqual({ ca: pem, rejectUnauthorized: true });
+    expect(handler.startTLS).toBe(false);
+    const startTLSHandler = new ActiveDirectoryHandler({ ...config, tls: { startTLS: true, ca: [pem, Buffer.from(pem)] } });
+    expect(startTLSHandler.startTLS).toBe(true);
+    expect(startTLSHandler.tlsOptions).toEqual({ ca: [pem, Buffer.from(pem)] });
+    expect(new ActiveDirectoryHandler(config).tlsOptions).toBeUndefined();
+    expect(() => new ActiveDirectoryHandler({ ...config, url: "ldaps://dc.example.com", tls: { ca: pem, cert: pem, key: pem, passphrase: "secret", servername: "dc" } })).not.toThrow();
+  });
+
+  const invalid = [
+    [{ url: "ldaps://dc.example.com", tls: "yes" }, "tls must be a plain object"],
+    [{ url: "ldaps://dc.example.com", tls: { ciphers: "ALL" } }, "Every key in tls must be one of"],
+    [{ url: "ldaps://dc.example.com", tls: { startTLS: true } }, "tls.startTLS requires ldap:// urls"],
+    [{ tls: { startTLS: "yes" } }, "tls.startTLS must be boolean"],
+    [{ tls: {} }, "tls options require ldaps:// urls"],
+    [{ url: ["ldap://dc1.example.com", "ldaps://dc2.example.com"], tls: { startTLS: true } }, "tls.startTLS requires ldap:// urls"],
+    [{ url: "dc.example.com", tls: {} }, "url must begin with ldap:// or ldaps://"],
+    [{ url: "ldaps://dc.example.com", tls: { ca: 1 } }, "tls.ca must be a string, a Buffer or a non-empty array of those"],
+    [{ url: "ldaps://dc.example.com", tls: { ca: [] } }, "tls.ca must be"],
+    [{ url: "ldaps://dc.example.com", tls: { cert: [pem, 1], key: pem } }, "tls.cert must be"],
+    [{ url: "ldaps://dc.example.com", tls: { cert: pem, key: {} } }, "tls.key must be"],
+    [{ url: "ldaps://dc.example.com", tls: { cert: pem } }, "tls.cert and tls.key must be used together"],
+    [{ url: "ldaps://dc.example.com", tls: { passphrase: "secret" } }, "tls.passphrase requires tls.key"],
+    [{ url: "ldaps://dc.example.com", tls: { rejectUnauthorized: "no" } }, "tls.rejectUnauthorized must be boolean"],
+    [{ url: "ldaps://dc.example.com", tls: { servername: "" } }, "tls.servername must be a non-empty string"],
+  ];
+  test("overrideSingleValued", () => {
+    expect(new ActiveDirectoryHandler({ ...config, overrideSingleValued: { exampleAttribute: true } }).dictSingleValued).toMatchObject({ exampleAttribute: true, linkID: true });
+    for (const attrib of ["isSingleValued", "rangeUpper", "linkID"]) {
+      expect(() => new ActiveDirectoryHandler({ ...config, overrideSingleValued: { [attrib]: false } })).toThrow(`You may not include '${attrib}' in overrideSingleValued.`);
+    }
+  });
+
+  for (const [options, message] of invalid) {
+    test(`${message} (${_.keys(options.tls)})`, () => {
+      expect(() => new ActiveDirectoryHandler({ ...config, ...options })).toThrow(message);
+    });
+  }
+});
+
+test("Errors on a connection are logged, and failures to log them are ignored", async () => {
+  const client = fakeClient();
+  const createClient = jest.spyOn(ldapjs, "createClient").mockReturnValue(client);
+  const warn = jest.fn(async () => {
+    throw Error("Logging failed");
+  });
+  const unhandled = jest.fn();
+  process.on("unhandledRejection", unhandled);
+  try {
+    const handler = new ActiveDirectoryHandler({ ...config, log: { ...log, warn } });
+    await handler.connectTo(config.url);
+    const err = Error("Connection reset");
+    client.emit("error", err);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(warn.mock.calls).toEqual([[{ m: "LDAP connection error", url: config.url, err }]]);
+    expect(unhandled).not.toHaveBeenCalled();
+  } finally {
+    process.removeListener("unhandledRejection", unhandled);
+    createClient.mockRestore();
+  }
+});
+
+describe("StartTLS", () => {
+  const startTLSConfig = { ...config, tls: { startTLS: true, ca: pem, rejectUnauthorized: true } };
+
+  test("StartTLS is sent with the tls options before binding", async () => {
+    const client = fakeClient();
+    const createClient = jest.spyOn(ldapjs, "createClient").mockReturnValue(client);
+    try {
+      const handler = new ActiveDirectoryHandler(startTLSConfig);
+      await handler.connectTo(config.url);
+      expect(createClient.mock.calls).toEqual([[{ url: config.url, tlsOptions: { ca: pem, rejectUnauthorized: true } }]]);
+      const [[options, controls]] = client.starttls.mock.calls;
+      expect(options).toEqual({ ca: pem, rejectUnauthorized: true });
+      // ldapjs adds the socket to the options, so they are a copy
+      expect(options).not.toBe(handler.tlsOptions);
+      expect(controls).toEqual([]);
+      expect(client.bind.mock.calls[0].slice(0, 2)).toEqual([config.user, config.password]);
+      expect(client.starttls.mock.invocationCallOrder[0]).toBeLessThan(client.bind.mock.invocationCallOrder[0]);
+      // Without startTLS, there is none
+      const plainClient = fakeClient();
+      createClient.mockReturnValue(plainClient);
+      await new ActiveDirectoryHandler(config).connectTo(config.url);
+      expect(plainClient.starttls).not.toHaveBeenCalled();
+    } finally {
+      createClient.mockRestore();
+    }
+  });
+
+  test("A failed StartTLS rejects, and destroys the client without binding", async () => {
+    const err = Error("unable to verify the first certificate");
+    const client = fakeClient({ starttls: err });
+    const createClient = jest.spyOn(ldapjs, "createClient").mockReturnValue(client);
+    try {
+      const handler = new ActiveDirectoryHandler(startTLSConfig);
+      await expect(handler.connectTo(config.url)).rejects.toBe(err);
+      expect(client.destroy).toHaveBeenCalledTimes(1);
+      expect(client.bind).not.toHaveBeenCalled();
+      expect(client.unbind).not.toHaveBeenCalled();
+
+      // Failing to connect at all
+      const unreachable = fakeClient();
+      createClient.mockReturnValue(unreachable);
+      const connecting = handler.connectTo(config.url);
+      const connectError = Object.assign(Error("connect ECONNREFUSED"), { code: "ECONNREFUSED" });
+      unreachable.emit("connectError", connectError);
+      await expect(connecting).rejects.toBe(connectError);
+      expect(unreachable.destroy).toHaveBeenCalledTimes(1);
+      expect(unreachable.bind).not.toHaveBeenCalled();
+    } finally {
+      createClient.mockRestore();
+    }
+  });
+});
+
+test("WinNT dates read as null are written as never", () => {
+  const handler = new ActiveDirectoryHandler(config);
+  Object.assign(handler.dictSingleValued, { accountExpires: true, pwdLastSet: true, description: true });
+  const values = (...args) => handler.formatAttributeForInsertion(...args).vals;
+  expect(values("accountExpires", null)).toEqual(["0"]);
+  expect(values("accountExpires", null, false)).toEqual([]);
+  expect(values("accountExpires", new Date(Date.UTC(1601, 0, 1, 0, 0, 1)))).toEqual(["10000000"]);
+  expect(values("description", null)).toEqual([]);
+  // For pwdLastSet, 0 means "must change password at next logon" rather than
+  // "never", so null doesn't write it
+  expect(values("pwdLastSet", "0")).toEqual(["0"]);
+  expect(values("pwdLastSet", null)).toEqual([]);
+});
+
+test("0 is read as such for WinNT date attributes where it has a meaning of its own", async () => {
+  const objects = [{ distinguishedName: "CN=a,dc=example,dc=com", objectClass: "user", pwdLastSet: "0", lockoutTime: "0", accountExpires: "0" }];
+  const handler = new ActiveDirectoryHandler(config);
+  fakeDirectory(handler, objects);
+  const options = { select: ["pwdLastSet", "lockoutTime", "accountExpires"], from: objects[0].distinguishedName, scope: "base" };
+  const expected = { pwdLastSet: "0", lockoutTime: "0", accountExpires: null };
+  expect(await handler.getOneObject(options)).toEqual(expected);
+  expect(await handler.getOneObject({ ...options, valueMode: "typed" })).toEqual(expected);
+});
+
+test("Security descriptors are only parsed with decodeSecurityDescriptors, but always read with the SD_FLAGS control", async () => {
+  // A security descriptor with only the SelfRelative control flag set
+  const sd = Buffer.from([0x01, 0x00, 0x00, 0x80, ..._.times(16, () => 0)]);
+  const objects = [{ distinguishedName: "CN=a,dc=example,dc=com", objectClass: "user", nTSecurityDescriptor: sd }];
+  const sdFlagsControlUsed = searches => _.some(_.last(searches).controls, { type: ldapcontrols.sdFlagsControl.type });
+  const options = { select: ["nTSecurityDescriptor"], from: objects[0].distinguishedName };
+
+  const handler = new ActiveDirectoryHandler(config);
+  const searches = fakeDirectory(handler, objects);
+  expect(await handler.getObjectsA(options)).toEqual([{ nTSecurityDescriptor: "01 00 00 80 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00" }]);
+  // The control is used anyway, so that accounts that can't read the SACL
+  // get the rest
+  expect(sdFlagsControlUsed(searches)).toBe(true);
+  await handler.getObjectsA({ ...options, select: ["cn"] });
+  expect(sdFlagsControlUsed(searches)).toBe(false);
+  await handler.getObjectsA({ ...options, select: "*" });
+  expect(sdFlagsControlUsed(searches)).toBe(true);
+
+  const decoding = new ActiveDirectoryHandler({ ...config, decodeSecurityDescriptors: true });
+  const decodingSearches = fakeDirectory(decoding, objects);
+  expect(await decoding.getObjectsA(options)).toEqual([{ nTSecurityDescriptor: { control: ["SelfRelative"], owner: null, group: null, dacl: null, sacl: null } }]);
+  expect(sdFlagsControlUsed(decodingSearches)).toBe(true);
+  expect(() => new ActiveDirectoryHandler({ ...config, decodeSecurityDescriptors: "yes" })).toThrow("decodeSecurityDescriptors must be boolean");
+});
+
+test("modifyObject makes the changes in the order given", async () => {
+  const handler = new ActiveDirectoryHandler(config);
+  fakeDirectory(handler, []);
+  const modifications = [];
+  const connection = await handler.connectTo();
+  connection.modify = async (dn, changes) => modifications.push(...changes);
+  const alice = "CN=Alice,CN=Users,dc=example,dc=com";
+  const bob = "CN=Bob,CN=Users,dc=example,dc=com";
+  const summary = () => _.map(modifications, change => [change.operation, change.modification.type, change.modification.vals]);
+  await handler.modifyObject({ distinguishedName: "CN=Group,dc=example,dc=com", changes: { delete: { member: [alice] }, add: { member: [bob] }, replace: { sn: "Group", mail: null } } });
+  expect(summary()).toEqual([
+    ["delete", "member", [alice]],
+    ["add", "member", [bob]],
+    ["replace", "sn", ["Group"]],
+    ["replace", "mail", []],
+  ]);
+  await expect(handler.modifyObject({ distinguishedName: "CN=Group,dc=example,dc=com", changes: { remove: { member: [alice] } } })).rejects.toThrow("Every key in changes must be one of");
+
+  // Operations can be interleaved, and repeated on different attributes
+  modifications.length = 0;
+  await handler.modifyObject({
+    distinguishedName: "CN=Group,dc=example,dc=com",
+    changes: [
+      { operation: "delete", attribute: "member", values: [alice] },
+      { operation: "replace", attribute: "sn", values: "Group" },
+      { operation: "add", attribute: "member", values: [bob] },
+      { operation: "delete", attribute: "mail", values: null },
+      { operation: "replace", attribute: "displayName", values: "The group" },
+    ],
+  });
+  expect(summary()).toEqual([
+    ["delete", "member", [alice]],
+    ["replace", "sn", ["Group"]],
+    ["add", "member", [bob]],
+    ["delete", "mail", []],
+    ["replace", "displayName", ["The group"]],
+  ]);
+  const modify = changes => handler.modifyObject({ distinguishedName: "CN=Group,dc=example,dc=com", changes });
+  await expect(modify([])).rejects.toThrow("changes must be a non-empty array or a non-empty plain object");
+  await expect(modify([{ operation: "remove", attribute: "member", values: [alice] }])).rejects.toThrow("The operation of every change must be one of");
+  await expect(modify([{ operation: "add", attribute: "member" }])).rejects.toThrow("Every change must be an object { operation, attribute, values }");
+  await expect(modify([{ operation: "add", attribute: "member", value: [alice] }])).rejects.toThrow("Every change must be an object { operation, attribute, values }");
+  await expect(modify([{ operation: "add", attribute: "member", values: null }])).rejects.toThrow("No value given to add for attribute 'member'");
+});
+
+test("moveObject keeps the DNs given as they are", async () => {
+  const handler = new ActiveDirectoryHandler(config);
+  fakeDirectory(handler, []);
+  const moves = [];
+  const connection = await handler.connectTo();
+  connection.modifyDN = async (dn, newDN) => moves.push([dn, newDN]);
+  const dn = "CN=Smith\\, John,OU=Staff,DC=example,DC=com";
+  const expected = [
+    [{ newParentDN: "OU=Former Staff,DC=example,DC=com" }, "CN=Smith\\, John,OU=Former Staff,DC=example,DC=com"],
+    [{ newRDN: "CN=Smith\\2C Jane" }, "CN=Smith\\2C Jane,OU=Staff,DC=example,DC=com"],
+    [{ newRDN: "cn=Jane Smith", newParentDN: "ou=Former Staff,dc=example,dc=com" }, "cn=Jane Smith,ou=Former Staff,dc=example,dc=com"],
+  ];
+  for (const [options, newDN] of expected) {
+    expect(await handler.moveObject({ distinguishedName: dn, ...options })).toBe(newDN);
+  }
+  expect(moves).toEqual(_.map(expected, ([ignored__options, newDN]) => [dn, newDN]));
+  await expect(handler.moveObject({ distinguishedName: "DC=com", newRDN: "DC=org" })).rejects.toThrow("An object without a parent can only be moved with newParentDN");
+});
+
+test("The pool creates its min connections at once", async () => {
+  const connectTo = jest.spyOn(ActiveDirectoryHandler.prototype, "connectTo");
+  const warnings = [];
+  try {
+    connectTo.mockImplementation(async url => ({ url, isConnected: () => true, end: async () => {} }));
+    const handler = new ActiveDirectoryHandler({ ...config, pool: { min: 2 } });
+    await new Promise(setImmediate);
+    expect(handler.poolStats()).toMatchObject({ size: 2, idle: 2, created: 2, failedCreates: 0 });
+    expect(connectTo.mock.calls).toEqual([[config.url], [config.url]]);
+    await handler.close();
+
+    connectTo.mockImplementation(async () => {
+      throw Error("Cannot connect");
+    });
+    const failing = new ActiveDirectoryHandler({ ...config, log: { ...log, warn: async x => warnings.push(x) }, pool: { min: 1 } });
+    await new Promise(setImmediate);
+    expect(failing.poolStats()).toMatchObject({ size: 0, created: 0, failedCreates: 1 });
+    expect(_.map(warnings, "m")).toEqual(["Could not create a pooled LDAP connection"]);
+    await failing.close();
+  } finally {
+    connectTo.mockRestore();
+  }
+});
+
+describe("searchPeople", () => {
+  const person = (name, anr, mail) => ({ distinguishedName: `CN=${name},CN=Users,dc=example,dc=com`, objectCategory: "person", sAMAccountName: name, displayName: _.upperFirst(name), mail, anr });
+  const people = [person("ann", ["smith"]), person("bob", ["smith"]), person("smith", ["smith"]), person("carl", ["smith"], "smith"), person("dora", ["smith"])];
+  const names = objects => _.map(objects, "sAMAccountName");
+
+  test("Exact matches come first, and no object is returned twice", async () => {
+    const handler = new ActiveDirectoryHandler(config);
+    fakeDirectory(handler, people);
+    expect(names(await handler.searchPeople({ text: " smith " }))).toEqual(["smith", "carl", "ann", "bob", "dora"]);
+    expect(names(await handler.searchPeople({ text: "nobody" }))).toEqual([]);
+  });
+
+  test("At most limit objects are returned", async () => {
+    const handler = new ActiveDirectoryHandler(config);
+    const searches = fakeDirectory(handler, people);
+    await handler.ensureInitialized();
+    searches.length = 0;
+    expect(names(await handler.searchPeople({ text: "smith", limit: 3 }))).toEqual(["smith", "carl", "ann"]);
+    // The second search leaves room for the two objects already found
+    expect(_.map(searches, "options.sizeLimit")).toEqual([3, 3]);
+    searches.length = 0;
+    expect(names(await handler.searchPeople({ text: "smith", limit: 2 }))).toEqual(["smith", "carl"]);
+    expect(searches.length).toBe(1);
+    // distinguishedName is only returned if selected
+    expect(await handler.searchPeople({ text: "smith", limit: 1, select: ["mail"] })).toEqual([{}]);
+    expect(await handler.searchPeople({ text: "smith", limit: 2, select: ["mail", "distinguishedName"] })).toEqual([{ distinguishedName: people[2].distinguishedName }, { mail: "smith", distinguishedName: people[3].distinguishedName }]);
+  });
+
+  test("select must be an array of attribute names", async () => {
+    const handler = new ActiveDirectoryHandler(config);
+    const searches = fakeDirectory(handler, people);
+    for (const select of ["*", "mail", [], ["mail", 1]]) {
+      await expect(handler.searchPeople({ text: "smith", select })).rejects.toThrow("select must be a non-empty array of strings");
+    }
+    await expect(handler.searchPeople({ text: "smith", select: ["mail", "e mail"] })).rejects.toThrow("Illegal attribute name in select option");
+    expect(searches).toEqual([]);
+  });
+});
+
+describe("getChanges", () => {
+  const staff = "OU=Staff,dc=example,dc=com";
+  const deletedObjects = "CN=Deleted Objects,dc=example,dc=com";
+  const guid = n => `{0000000${n}-0000-0000-0000-000000000000}`;
+  const guidBuffer = n => ldapformatting.guidToLdapBuffer(guid(n));
+  const user = (name, n, usn, objectCategory = "person") => ({ distinguishedName: `CN=${name},${staff}`, objectClass: "user", objectCategory, cn: name, objectGUID: guidBuffer(n), uSNChanged: usn, instanceType: "4" });
+  const deleted = (name, n, usn, lastKnownParent) => ({ distinguishedName: `CN=${name}\\0ADEL:${n},${deletedObjects}`, objectClass: "user", isDeleted: "TRUE", lastKnownParent, objectGUID: guidBuffer(n), uSNChanged: usn });
+  const guids = objects => _.map(objects, "objectGUID");
+
+  test("The usn method finds changed, deleted and left objects", async () => {
+    const rootDSE = { distinguishedName: "", objectClass: "top", dsServiceName: "CN=NTDS Settings,CN=DC1", highestCommittedUSN: "100", namingContexts: ["dc=example,dc=com", "CN=Configuration,dc=example,dc=com"] };
+    const objects = [rootDSE, { distinguishedName: deletedObjects, objectClass: "container", isDeleted: "TRUE", uSNChanged: "010" }, user("a", 1, "050"), user("b", 2, "060"), user("c", 3, "070"), user("d", 4, "080", "computer"), user("f", 7, "075")];
+    const handler = new ActiveDirectoryHandler(config);
+    fakeDirectory(handler, objects);
+    const options = { select: ["cn"], from: staff, where: ["equals", "objectCategory", "person"], method: "usn" };
+    const first = await handler.getChanges(options);
+    expect(first.full).toBe(true);
+    expect(_.map(first.changed, "cn")).toEqual(["a", "b", "c", "f"]);
+    expect(first.deleted).toEqual([]);
+    expect(first.left).toEqual([]);
+
+    rootDSE.highestCommittedUSN = "200";
+    objects.push(user("e", 5, "190"));
+    Object.assign(objects[2], { cn: "a2", uSNChanged: "150" });
+    // Objects that changed and don't match are reported as left, since they
+    // may have matched before, and so are objects moved elsewhere
+    Object.assign(objects[3], { objectCategory: "computer", uSNChanged: "160" });
+    Object.assign(objects[5], { cn: "d2", uSNChanged: "165" });
+    Object.assign(objects[6], { distinguishedName: "CN=f,OU=Other,dc=example,dc=com", uSNChanged: "175" });
+    objects[4] = deleted("c", 3, "170", staff);
+    objects.push(deleted("x", 6, "180", "OU=Other,dc=example,dc=com"));
+    const second = await handler.getChanges({ ...options, from: staff.toUpperCase(), cookie: first.cookie });
+    expect(second.full).toBe(false);
+    expect(second.changed).toEqual([
+      { cn: "a2", objectGUID: guid(1) },
+      { cn: "e", objectGUID: guid(5) },
+    ]);
+    expect(guids(second.deleted)).toEqual([guid(3)]);
+    expect(second.left).toEqual([
+      { cn: "b", objectGUID: guid(2) },
+      { cn: "d2", objectGUID: guid(4) },
+      { cn: "f", objectGUID: guid(7) },
+    ]);
+
+    await expect(handler.getChanges({ ...options, where: ["equals", "objectCategory", "computer"], cookie: first.cookie })).rejects.toThrow("The cookie was returned for a different from or where");
+    await expect(handler.getChanges({ ...options, from: "dc=example,dc=com", cookie: first.cookie })).rejects.toThrow("The cookie was returned for a different from or where");
+  });
+
+  test("The dirsync method requires the root of a naming context", async () => {
+    const rootDSE = { distinguishedName: "", objectClass: "top", namingContexts: ["dc=example,dc=com", "CN=Configuration,dc=example,dc=com"] };
+    const handler = new ActiveDirectoryHandler(config);
+    const searches = fakeDirectory(handler, [rootDSE, user("a", 1, "050")]);
+    await expect(handler.getChanges({ select: ["cn"], from: staff })).rejects.toThrow("The dirsync method requires from to be the root of a naming context, such as 'dc=example,dc=com'");
+    expect(_.map(_.last(searches).controls, "type")).not.toContain(ldapcontrols.dirSyncControl(Buffer.alloc(0)).type);
+  });
+});
+
+describe("watchObjects", () => {
+  const staff = "OU=Staff,dc=example,dc=com";
+  const guid = n => `{0000000${n}-0000-0000-0000-000000000000}`;
+  const user = (cn, n, usn) => ({ distinguishedName: `CN=${cn},${staff}`, objectClass: "user", objectCategory: "person", cn, objectGUID: ldapformatting.guidToLdapBuffer(guid(n)), uSNCreated: "010", uSNChanged: usn });
+  // Let the handler run until there are count notification searches
+  const notificationSearches = async (searches, count) => {
+    for (;;) {
+      const ret = _.filter(searches, "notify");
+      if (count <= ret.length) {
+        return ret;
+      }
+      await new Promise(setImmediate);
+    }
+  };
+
+  test("Config validation", () => {
+    expect(new ActiveDirectoryHandler(config).reconnect).toEqual({ retries: null, minDelay: 1000, maxDelay: 60000 });
+    expect(new ActiveDirectoryHandler({ ...config, reconnect: { retries: 5 } }).reconnect).toEqual({ retries: 5, minDelay: 1000, maxDelay: 60000 });
+    expect(() => new ActiveDirectoryHandler({ ...config, reconnect: { retries: -1 } })).toThrow("reconnect.retries must be null or a non-negative integer");
+    expect(() => new ActiveDirectoryHandler({ ...config, reconnect: { maxDelay: 10 } })).toThrow("reconnect.maxDelay must be an integer no less than reconnect.minDelay");
+    expect(() => new ActiveDirectoryHandler({ ...config, reconnect: { delay: 10 } })).toThrow("Every key in reconnect must be one of");
+  });
+
+  test("A dropped connection is reestablished, and watching resumes from the last uSNChanged", async () => {
+    const rootDSE = { distinguishedName: "", objectClass: "top", dsServiceName: "CN=NTDS Settings,CN=DC1", highestCommittedUSN: "100", namingContexts: ["dc=example,dc=com"] };
+    const objects = [rootDSE, user("a", 1, "050"), user("b", 2, "060")];
+    const warnings = [];
+    const handler = new ActiveDirectoryHandler({ ...config, log: { ...log, warn: async x => warnings.push(x) }, reconnect: { minDelay: 1, maxDelay: 4 } });
+    const searches = fakeDirectory(handler, objects);
+    // More failures in a row than retry.retries allows for searches
+    const connectTo = handler.connectTo;
+    let refusals = 0;
+    handler.connectTo = async url => {
+      if (refusals) {
+        refusals--;
+        throw Object.assign(Error("Connection refused"), { code: "ECONNREFUSED" });
+      }
+      return connectTo(url);
+    };
+    const controller = new AbortController();
+    const events = handler.watchObjects({ select: ["cn"], from: staff, where: ["equals", "objectCategory", "person"], signal: controller.signal });
+
+    const first = events.next();
+    const [notifications] = await notificationSearches(searches, 1);
+    Object.assign(objects[1], { cn: "a2", uSNChanged: "110" });
+    notifications.notify(objects[1]);
+    expect(await first).toEqual({ value: { type: "modify", object: { cn: "a2", objectGUID: guid(1) } }, done: false });
+
+    // While the connection is down, b changes
+    Object.assign(objects[2], { cn: "b2", uSNChanged: "120" });
+    rootDSE.highestCommittedUSN = "130";
+    refusals = 8;
+    notifications.emitter.emit("error", Object.assign(Error("Connection reset"), { code: "ECONNRESET" }));
+    expect(await events.next()).toEqual({ value: { type: "modify", object: { cn: "b2", objectGUID: guid(2) } }, done: false });
+    // Each attempt tries the same server first
+    expect(_.map(warnings, "m")).toEqual([
+      "Watching for changes failed, reconnecting",
+      ..._.flatten(_.times(4, () => ["Could not reconnect to the same LDAP server, connecting to any", "Watching for changes failed, reconnecting"])),
+    ]);
+    // The changes since the last uSNChanged seen were searched for
+    expect(_.some(searches, search => search.options.filter.toString() === "(&(objectCategory=person)(uSNChanged>=111))")).toBe(true);
+
+    // Watching goes on
+    const [ignored__dropped, resumed] = await notificationSearches(searches, 2);
+    const third = events.next();
+    Object.assign(objects[1], { cn: "a3", uSNChanged: "140" });
+    resumed.notify(objects[1]);
+    expect(await third).toEqual({ value: { type: "modify", object: { cn: "a3", objectGUID: guid(1) } }, done: false });
+    const last = events.next();
+    controller.abort(Error("Stop"));
+    await expect(last).rejects.toThrow("Stop");
+  });
+
+  test("Reconnecting gives up after reconnect.retries attempts", async () => {
+    const rootDSE = { distinguishedName: "", objectClass: "top", dsServiceName: "CN=NTDS Settings,CN=DC1", highestCommittedUSN: "100", namingContexts: ["dc=example,dc=com"] };
+    const handler = new ActiveDirectoryHandler({ ...config, reconnect: { retries: 1, minDelay: 1, maxDelay: 1 } });
+    const searches = fakeDirectory(handler, [rootDSE]);
+    await handler.ensureInitialized();
+    const connectTo = handler.connectTo;
+    const events = handler.watchObjects({ select: ["cn"], from: staff });
+    const first = events.next();
+    const [notifications] = await notificationSearches(searches, 1);
+    handler.connectTo = async () => {
+      throw Object.assign(Error("Connection refused"), { code: "ECONNREFUSED" });
+    };
+    notifications.emitter.emit("error", Object.assign(Error("Connection reset"), { code: "ECONNRESET" }));
+    await expect(first).rejects.toThrow("Connection refused");
+    handler.connectTo = connectTo;
+  });
+});
+
+describe("Sorting", () => {
+  const staff = "OU=Staff,dc=example,dc=com";
+  const objects = _.map(["c", "A", "d", "b", "10", "9"], (sn, index) => ({ distinguishedName: `CN=${index},${staff}`, objectClass: "user", cn: `${index}`, sn }));
+  const sns = objects => _.map(objects, "sn");
+  const sorted = ["10", "9", "A", "b", "c", "d"];
+
+  test("The server sorts", async () => {
+    const handler = new ActiveDirectoryHandler(config);
+    const searches = fakeDirectory(handler, objects);
+    expect(sns(await handler.getObjectsA({ select: ["sn"], from: staff, orderBy: "sn" }))).toEqual(sorted);
+    expect(_.map(_.last(searches).controls, "type")).toContain(ldapjs.ServerSideSortingRequestControl.OID);
+    expect(await handler.getPage({ select: ["sn"], from: staff, orderBy: { attribute: "sn", descending: true }, offset: 1, limit: 2 })).toEqual({ objects: [{ sn: "c" }, { sn: "b" }], total: 6 });
+  });
+
+  test("When the server can't sort, the results are sorted client-side, up to a limit", async () => {
+    const handler = new ActiveDirectoryHandler(config);
+    const searches = fakeDirectory(handler, objects, { unsortable: ["sn"] });
+    expect(sns(await handler.getObjectsA({ select: ["sn"], from: staff, orderBy: "sn" }))).toEqual(sorted);
+    expect(await handler.getPage({ select: ["cn"], from: staff, orderBy: "sn", offset: 1, limit: 2 })).toEqual({ objects: [{ cn: "5" }, { cn: "1" }], total: 6 });
+    expect(_.map(_.last(searches).controls, "type")).not.toContain(ldapjs.ServerSideSortingRequestControl.OID);
+
+    const limited = new ActiveDirectoryHandler({ ...config, maxClientSideSortResults: 5 });
+    fakeDirectory(limited, objects, { unsortable: ["sn"] });
+    await expect(limited.getObjectsA({ select: ["sn"], from: staff, orderBy: "sn" })).rejects.toThrow("Too many results to sort client-side");
+    // Every result is collected to be sorted, whatever the size limit
+    await expect(limited.getObjectsA({ select: ["sn"], from: staff, orderBy: "sn", sizeLimit: 2 })).rejects.toThrow("Too many results to sort client-side");
+    expect(sns(await limited.getObjectsA({ select: ["sn"], from: staff }))).toHaveLength(6);
+    expect(() => new ActiveDirectoryHandler({ ...config, maxClientSideSortResults: 0 })).toThrow("maxClientSideSortResults must be a positive integer");
+  });
+
+  test("When the virtual list view fails, the results are sorted client-side", async () => {
+    const handler = new ActiveDirectoryHandler(config);
+    const searches = fakeDirectory(handler, objects, { vlvResult: 53 });
+    const objectsGenerated = [];
+    for await (const object of handler.getObjects({ select: ["sn"], from: staff, orderBy: "sn", offset: 2, sizeLimit: 3 })) {
+      objectsGenerated.push(object);
+    }
+    expect(sns(objectsGenerated)).toEqual(["A", "b", "c"]);
+    expect(_.map(searches.slice(-2), search => _.map(search.controls, "type"))).toEqual([[ldapjs.ServerSideSortingRequestControl.OID, ldapjs.VirtualListViewRequestControl.OID], []]);
+  });
+});
+
+describe("Limits and early termination", () => {
+  const staff = "OU=Staff,dc=example,dc=com";
+  const user = (cn, sn) => ({ distinguishedName: `CN=${cn},${staff}`, objectClass: "user", cn, sn });
+
+  test("Split searches return sizeLimit objects, although they find some objects more than once", async () => {
+    const handler = new ActiveDirectoryHandler({ ...config, maxOneofValues: 2 });
+    const searches = fakeDirectory(handler, [user("s1", "shared"), user("s2", "shared"), user("0", "x"), user("1", "x"), user("2", "x"), user("3", "x")]);
+    await handler.ensureInitialized();
+    searches.length = 0;
+    // Each search finds the objects with the shared sn
+    const where = ["or", ["equals", "sn", "shared"], ["oneof", "cn", ["0", "1", "2", "3"]]];
+    expect(_.map(await handler.getObjectsA({ select: ["cn"], from: staff, scope: "one", where, sizeLimit: 5 }), "cn")).toEqual(["s1", "s2", "0", "1", "2"]);
+    // The second search leaves room for the four objects already found
+    expect(_.map(searches, "options.sizeLimit")).toEqual([5, 5]);
+  });
+
+  test("A search that would be split into too many searches is sent unsplit", async () => {
+    const warnings = [];
+    const handler = new ActiveDirectoryHandler({ ...config, log: { ...log, warn: async x => warnings.push(x) }, maxOneofValues: 1, maxSplitSearches: 3 });
+    const searches = fakeDirectory(handler, [user("0", "a"), user("1", "b"), user("2", "a"), user("3", "c")]);
+    await handler.ensureInitialized();
+    searches.length = 0;
+    // Two oneofs with two values each take four searches
+    const where = ["and", ["oneof", "cn", ["0", "1", "2"]], ["oneof", "sn", ["a", "b"]]];
+    expect(_.map(await handler.getObjectsA({ select: ["cn"], from: staff, scope: "one", where, orderBy: "cn" }), "cn")).toEqual(["0", "1", "2"]);
+    expect(searches).toHaveLength(1);
+    expect(warnings).toEqual([expect.objectContaining({ splitCount: 6, maxSplitSearches: 3 })]);
+    // Within the limit, the search is split
+    const splitting = new ActiveDirectoryHandler({ ...config, maxOneofValues: 2, maxSplitSearches: 3 });
+    const splitSearches = fakeDirectory(splitting, [user("0", "a"), user("1", "b"), user("2", "a"), user("3", "c")]);
+    await splitting.ensureInitialized();
+    splitSearches.length = 0;
+    expect(_.map(await splitting.getObjectsA({ select: ["cn"], from: staff, scope: "one", where, orderBy: "cn" }), "cn")).toEqual(["0", "1", "2"]);
+    expect(splitSearches).toHaveLength(2);
+    expect(() => new ActiveDirectoryHandler({ ...config, maxSplitSearches: 0 })).toThrow("maxSplitSearches must be a positive integer");
+  });
+
+  test("With a pool, the connection of a search stopped by sizeLimit is reused", async () => {
+    const handler = new ActiveDirectoryHandler({ ...config, maxOneofValues: 2, pool: { max: 1 } });
+    const searches = fakeDirectory(handler, [user("s1", "shared"), user("s2", "shared"), user("0", "x"), user("1", "x"), user("2", "x"), user("3", "x")]);
+    await handler.ensureInitialized();
+    const connection = await handler.connectTo();
+    connection.end = jest.fn(async () => {});
+    searches.length = 0;
+    const where = ["or", ["equals", "sn", "shared"], ["oneof", "cn", ["0", "1", "2", "3"]]];
+    // The second search sends one object more than needed, and is stopped
+    expect(await handler.getObjectsA({ select: ["cn"], from: staff, scope: "one", where, sizeLimit: 5 })).toHaveLength(5);
+    expect(_.last(searches).emitter.listenerCount("end")).toBe(0);
+    expect(handler.poolStats()).toMatchObject({ size: 1, idle: 1, borrowed: 0, created: 1 });
+    await handler.getObjectsA({ select: ["cn"], from: staff, scope: "one" });
+    expect(handler.poolStats()).toMatchObject({ size: 1, created: 1 });
+    expect(connection.end).not.toHaveBeenCalled();
+    await handler.close();
+  });
+
+  // A handler whose server stops after sending one entry, with spies on its
+  // connection
+  const stallingHandler = async (handlerConfig = config) => {
+    const handler = new ActiveDirectoryHandler(handlerConfig);
+    const searches = fakeDirectory(handler, [user("a", "x"), user("b", "x")], { stallAfter: 1 });
+    const connection = await handler.connectTo();
+    connection.abandon = jest.fn(async () => {});
+    await handler.ensureInitialized();
+    searches.length = 0;
+    connection.end = jest.fn(async () => {});
+    return { handler, searches, connection };
+  };
+  // Check that the search was abandoned and cleaned up after
+  const expectAbandoned = ({ searches, connection }) => {
+    expect(searches).toHaveLength(1);
+    const [{ emitter }] = searches;
+    // The messageID is that of the entry received
+    expect(connection.abandon.mock.calls).toEqual([[1]]);
+    for (const event of ["searchEntry", "page", "searchReference", "end"]) {
+      expect(emitter.listenerCount(event)).toBe(0);
+    }
+    // Only the listener keeping late errors from crashing the process is left
+    expect(emitter.listeners("error")).toEqual([_.noop]);
+    expect(connection.end).toHaveBeenCalledTimes(1);
+  };
+
+  test("Leaving the loop early abandons the search", async () => {
+    const stalling = await stallingHandler();
+    for await (const object of stalling.handler.getObjects({ select: ["cn"], from: staff, scope: "one" })) {
+      expect(object).toEqual({ cn: "a" });
+      break;
+    }
+    expectAbandoned(stalling);
+  });
+
+  test("Firing the signal abandons the search", async () => {
+    const stalling = await stallingHandler();
+    const controller = new AbortController();
+    const objects = [];
+    const search = (async () => {
+      for await (const object of stalling.handler.getObjects({ select: ["cn"], from: staff, scope: "one", signal: controller.signal })) {
+        objects.push(object);
+        setImmediate(() => controller.abort(Error("Stop")));
+      }
+    })();
+    await expect(search).rejects.toThrow("Stop");
+    expect(objects).toEqual([{ cn: "a" }]);
+    expectAbandoned(stalling);
+    // An already fired signal stops the search before it is sent
+    await expect(stalling.handler.getObjectsA({ select: ["cn"], from: staff, scope: "one", signal: controller.signal })).rejects.toThrow("Stop");
+    expect(stalling.searches).toHaveLength(1);
+  });
+
+  test("Passing the time limit abandons the search", async () => {
+    const stalling = await stallingHandler();
+    const start = Date.now();
+    await expect(stalling.handler.getObjectsA({ select: ["cn"], from: staff, scope: "one", timeLimit: 1 })).rejects.toThrow("LDAP search time limit exceeded");
+    expect(Date.now() - start).toBeGreaterThanOrEqual(900);
+    // The server is given the time limit too
+    expect(stalling.searches[0].options.timeLimit).toBe(1);
+    expectAbandoned(stalling);
+  });
+
+  test("Waiting to retry a search stops when the signal fires or the time limit would run out", async () => {
+    const warnings = [];
+    const handler = new ActiveDirectoryHandler({ ...config, log: { ...log, warn: async x => warnings.push(x) }, retry: { retries: 3, minDelay: 60000, maxDelay: 60000 } });
+    fakeDirectory(handler, []);
+    await handler.ensureInitialized();
+    handler.connectTo = async () => {
+      throw Object.assign(Error("Connection refused"), { code: "ECONNREFUSED" });
+    };
+    const start = Date.now();
+    const controller = new AbortController();
+    const search = handler.getObjectsA({ select: ["cn"], from: staff, signal: controller.signal });
+    while (!warnings.length) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    controller.abort(Error("Stop"));
+    await expect(search).rejects.toThrow("Stop");
+    // The time limit is shorter than the delay, so there is no retry
+    await expect(handler.getObjectsA({ select: ["cn"], from: staff, timeLimit: 1 })).rejects.toThrow("Connection refused");
+    expect(warnings).toHaveLength(1);
+    expect(Date.now() - start).toBeLessThan(1000);
+  });
+
+  test("With a pool, the connection of an abandoned search is not reused", async () => {
+    const stalling = await stallingHandler({ ...config, pool: { max: 1 } });
+    for await (const ignored__object of stalling.handler.getObjects({ select: ["cn"], from: staff, scope: "one" })) {
+      break;
+    }
+    expect(stalling.connection.abandon.mock.calls).toEqual([[1]]);
+    expect(stalling.handler.poolStats()).toMatchObject({ size: 0, borrowed: 0 });
+    expect(stalling.connection.end).toHaveBeenCalledTimes(1);
+    await stalling.handler.close();
+  });
+});
+
+describe("Searching several bases", () => {
+  const staff = "OU=Staff,dc=example,dc=com";
+  const consultants = "OU=Consultants,dc=example,dc=com";
+  const guid = n => `{0000000${n}-0000-0000-0000-000000000000}`;
+  const user = (cn, sn, n, base) => ({ distinguishedName: `CN=${cn},${base}`, objectClass: "user", cn, sn, objectGUID: ldapformatting.guidToLdapBuffer(guid(n)) });
+  const objects = [user("a", "d", 1, staff), user("b", "a", 2, staff), user("c", "e", 3, staff), user("d", "b", 4, consultants), user("e", "f", 5, consultants), user("f", "c", 6, consultants)];
+  const from = [staff, consultants, "dc=example,dc=com"];
+  const where = ["equals", "objectClass", "user"];
+
+  test("Each object is generated once, with the base it was found in", async () => {
+    const handler = new ActiveDirectoryHandler(config);
+    const searches = fakeDirectory(handler, objects);
+    expect(await handler.getObjectsA({ select: ["cn"], from, where, concurrency: 1 })).toEqual([
+      { cn: "a", _source: staff },
+      { cn: "b", _source: staff },
+      { cn: "c", _source: staff },
+      { cn: "d", _source: consultants },
+      { cn: "e", _source: consultants },
+      { cn: "f", _source: consultants },
+    ]);
+    expect(_.map(searches.slice(-3), "from")).toEqual(from);
+    expect(await handler.getObjectsA({ select: ["cn", "objectGUID"], from, where, concurrency: 1, sizeLimit: 4 })).toEqual(_.map(objects.slice(0, 4), object => ({ cn: object.cn, objectGUID: guid(object.objectGUID[0]), _source: object.distinguishedName.replace(/^CN=.,/u, "") })));
+    await expect(handler.getObjectsA({ select: ["cn"], from: [], where })).rejects.toThrow("from must be a valid DN or a non-empty array of bases");
+  });
+
+  test("Sorted searches are merged", async () => {
+    const handler = new ActiveDirectoryHandler(config);
+    const searches = fakeDirectory(handler, objects);
+    const page = await handler.getPage({ select: ["cn", "sn"], from, where, orderBy: "sn", offset: 1, limit: 3 });
+    expect(page).toEqual({
+      objects: [
+        { cn: "d", sn: "b", _source: consultants },
+        { cn: "f", sn: "c", _source: consultants },
+        { cn: "a", sn: "d", _source: staff },
+      ],
+      // The objects of the bases inside the domain are counted with the domain
+      total: 6,
+    });
+    // Each base is sorted by the server, and only asked for the objects up to
+    // the end of the page
+    for (const search of searches.slice(-3)) {
+      expect(_.map(search.controls, "value")).toEqual([[{ attributeType: "sn", reverseOrder: false }], { beforeCount: 0, afterCount: 3, targetOffset: 1, contentCount: 0 }]);
+    }
+
+    expect(await handler.getObjectsA({ select: ["cn"], from, where, orderBy: { attribute: "sn", descending: true }, sizeLimit: 2 })).toEqual([
+      { cn: "e", _source: consultants },
+      { cn: "c", _source: staff },
+    ]);
+    expect(_.map(searches.slice(-3), "options.sizeLimit")).toEqual([2, 2, 2]);
+
+    expect((await handler.getPage({ select: ["cn"], from: [staff, consultants, staff], where, orderBy: "sn", limit: 1 })).total).toBe(6);
+    const limited = new ActiveDirectoryHandler({ ...config, maxClientSideSortResults: 5 });
+    fakeDirectory(limited, objects);
+    await expect(limited.getObjectsA({ select: ["cn"], from: [staff, consultants], where, orderBy: "sn" })).rejects.toThrow("Too many results to sort client-side");
+    // As for a single base, every result collected counts, whatever the size
+    // limit. Each base collects up to sizeLimit results.
+    await expect(limited.getObjectsA({ select: ["cn"], from: [staff, consultants], where, orderBy: "sn", sizeLimit: 3 })).rejects.toThrow("Too many results to sort client-side");
+    expect(await limited.getObjectsA({ select: ["cn"], from: [staff, consultants], where, orderBy: "sn", sizeLimit: 2 })).toHaveLength(2);
+    expect(await limited.getObjectsA({ select: ["cn"], from: [staff, consultants], where, orderBy: "sn", offset: 1, sizeLimit: 1 })).toHaveLength(1);
+  });
+
+  test("Sorted searches don't need a connection each", async () => {
+    const handler = new ActiveDirectoryHandler({ ...config, pool: { max: 1 } });
+    const searches = fakeDirectory(handler, objects);
+    await handler.ensureInitialized();
+    searches.length = 0;
+    const page = await handler.getPage({ select: ["cn"], from: [staff, consultants], where, orderBy: "sn", limit: 4 });
+    expect(page).toEqual({ objects: [{ cn: "b", _source: staff }, { cn: "d", _source: consultants }, { cn: "f", _source: consultants }, { cn: "a", _source: staff }], total: 6 });
+    expect(searches).toHaveLength(2);
+    expect(handler.poolStats()).toMatchObject({ size: 1, borrowed: 0, waiting: 0 });
+    await handler.close();
+  });
+});
+
+describe("Paging", () => {
+  const staff = "OU=Staff,dc=example,dc=com";
+  const objects = _.map(_.range(10), index => ({ distinguishedName: `CN=${index},${staff}`, objectClass: "user", cn: `${index}` }));
+
+  test("Config validation", () => {
+    expect(new ActiveDirectoryHandler({ ...config, paging: { pageSize: 500 } }).paging).toEqual({ pageSize: 500, bufferPauseAt: 2000, bufferResumeAt: 200 });
+    expect(() => new ActiveDirectoryHandler({ ...config, paging: { pageSize: 0 } })).toThrow("paging.pageSize must be a positive integer");
+    expect(() => new ActiveDirectoryHandler({ ...config, paging: { bufferPauseAt: 100 } })).toThrow("paging.bufferResumeAt must be a positive integer no greater than paging.bufferPauseAt");
+    expect(() => new ActiveDirectoryHandler({ ...config, paging: { pagesize: 500 } })).toThrow("Every key in paging must be one of");
+  });
+
+  test("The paging search option overrides the config option", async () => {
+    const handler = new ActiveDirectoryHandler({ ...config, paging: { pageSize: 3, bufferPauseAt: 50, bufferResumeAt: 5 } });
+    const searches = fakeDirectory(handler, objects);
+    expect(await handler.getObjectsA({ select: ["cn"], from: staff, paging: { pageSize: 4 } })).toHaveLength(10);
+    expect(_.last(searches).options.paged).toEqual({ pageSize: 4, pagePause: true });
+    await handler.getObjectsA({ select: ["cn"], from: staff });
+    expect(_.last(searches).options.paged).toEqual({ pageSize: 3, pagePause: true });
+    // The options left out come from the config option
+    await expect(handler.getObjectsA({ select: ["cn"], from: staff, paging: { bufferPauseAt: 4 } })).rejects.toThrow("paging.bufferResumeAt must be a positive integer no greater than paging.bufferPauseAt");
+    await expect(handler.getObjectsA({ select: ["cn"], from: staff, paging: { bufferResumeAt: 51 } })).rejects.toThrow("paging.bufferResumeAt must be");
+    await expect(handler.getObjectsA({ select: ["cn"], from: staff, paging: { pageSize: 1.5 } })).rejects.toThrow("paging.pageSize must be a positive integer");
+    await expect(handler.getObjectsA({ select: ["cn"], from: staff, paging: { sizeLimit: 5 } })).rejects.toThrow("Every key in paging must be one of");
+    await expect(handler.getObjectsA({ select: ["cn"], from: staff, paging: null })).rejects.toThrow("paging must be a plain object");
+  });
+
+  test("Search statistics", async () => {
+    const handler = new ActiveDirectoryHandler({ ...config, maxOneofValues: 3 });
+    fakeDirectory(handler, objects);
+    const search = handler.getObjects({ select: ["cn"], from: staff, paging: { pageSize: 2, bufferPauseAt: 1, bufferResumeAt: 1 } });
+    for await (const ignored__object of search) {
+      // A slow consumer lets the results pile up
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    expect(_.pick(search.stats, ["pages", "entries"])).toEqual({ pages: 5, entries: 10 });
+    expect(search.stats.pauses).toBeGreaterThan(0);
+    expect(search.stats.resumes).toBeGreaterThan(0);
+    expect(search.stats.resumes).toBeLessThanOrEqual(search.stats.pauses);
+    expect(search.stats.maxBuffered).toBeGreaterThan(1);
+
+    // Split searches add up
+    const split = handler.getObjects({ select: ["cn"], from: staff, where: ["oneof", "cn", ["1", "2", "3", "4", "5"]] });
+    for await (const ignored__object of split) {
+      // Nothing to do
+    }
+    expect(_.pick(split.stats, ["pages", "entries", "pauses", "resumes"])).toEqual({ pages: 2, entries: 5, pauses: 0, resumes: 0 });
+  });
+});
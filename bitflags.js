@@ -0,0 +1,159 @@
+"use strict";
+/* eslint-disable no-magic-numbers, no-bitwise */
+const _ = require("lodash");
+const assert = require("assert");
+const futile = require("@fujitsusweden/futile");
+const ldapformatting = require("./ldapformatting.js");
+const ldapparsing = require("./ldapparsing.js");
+
+// Names of the bits in int32 attributes holding bit flags. The names are those
+// used by Microsoft, without the prefixes UF_, GROUP_TYPE_ and FLAG_.
+const userAccountControlFlags = {
+  SCRIPT: 0x00000001,
+  ACCOUNTDISABLE: 0x00000002,
+  HOMEDIR_REQUIRED: 0x00000008,
+  LOCKOUT: 0x00000010,
+  PASSWD_NOTREQD: 0x00000020,
+  PASSWD_CANT_CHANGE: 0x00000040,
+  ENCRYPTED_TEXT_PWD_ALLOWED: 0x00000080,
+  TEMP_DUPLICATE_ACCOUNT: 0x00000100,
+  NORMAL_ACCOUNT: 0x00000200,
+  INTERDOMAIN_TRUST_ACCOUNT: 0x00000800,
+  WORKSTATION_TRUST_ACCOUNT: 0x00001000,
+  SERVER_TRUST_ACCOUNT: 0x00002000,
+  DONT_EXPIRE_PASSWORD: 0x00010000,
+  MNS_LOGON_ACCOUNT: 0x00020000,
+  SMARTCARD_REQUIRED: 0x00040000,
+  TRUSTED_FOR_DELEGATION: 0x00080000,
+  NOT_DELEGATED: 0x00100000,
+  USE_DES_KEY_ONLY: 0x00200000,
+  DONT_REQ_PREAUTH: 0x00400000,
+  PASSWORD_EXPIRED: 0x00800000,
+  TRUSTED_TO_AUTH_FOR_DELEGATION: 0x01000000,
+  PARTIAL_SECRETS_ACCOUNT: 0x04000000,
+  USE_AES_KEYS: 0x08000000,
+};
+const flagDefinitions = {
+  userAccountControl: userAccountControlFlags,
+  // Uses the same bits as userAccountControl, but only some of them.
+  "msDS-User-Account-Control-Computed": _.pick(userAccountControlFlags, ["LOCKOUT", "PASSWORD_EXPIRED", "PARTIAL_SECRETS_ACCOUNT", "USE_AES_KEYS"]),
+  groupType: {
+    BUILTIN_LOCAL_GROUP: 0x00000001,
+    ACCOUNT_GROUP: 0x00000002,
+    RESOURCE_GROUP: 0x00000004,
+    UNIVERSAL_GROUP: 0x00000008,
+    APP_BASIC_GROUP: 0x00000010,
+    APP_QUERY_GROUP: 0x00000020,
+    SECURITY_ENABLED: 0x80000000,
+  },
+  systemFlags: {
+    ATTR_NOT_REPLICATED: 0x00000001,
+    ATTR_REQ_PARTIAL_SET_MEMBER: 0x00000002,
+    ATTR_IS_CONSTRUCTED: 0x00000004,
+    ATTR_IS_OPERATIONAL: 0x00000008,
+    SCHEMA_BASE_OBJECT: 0x00000010,
+    ATTR_IS_RDN: 0x00000020,
+    DISALLOW_MOVE_ON_DELETE: 0x02000000,
+    DOMAIN_DISALLOW_MOVE: 0x04000000,
+    DOMAIN_DISALLOW_RENAME: 0x08000000,
+    CONFIG_ALLOW_LIMITED_MOVE: 0x10000000,
+    CONFIG_ALLOW_MOVE: 0x20000000,
+    CONFIG_ALLOW_RENAME: 0x40000000,
+    DISALLOW_DELETE: 0x80000000,
+  },
+};
+// sAMAccountType is not a set of bit flags, but holds exactly one of these
+// values. It's decoded into the same kind of object, with exactly one name
+// set to true.
+const enumDefinitions = {
+  sAMAccountType: {
+    DOMAIN_OBJECT: 0x00000000,
+    GROUP_OBJECT: 0x10000000,
+    NON_SECURITY_GROUP_OBJECT: 0x10000001,
+    ALIAS_OBJECT: 0x20000000,
+    NON_SECURITY_ALIAS_OBJECT: 0x20000001,
+    USER_OBJECT: 0x30000000,
+    MACHINE_ACCOUNT: 0x30000001,
+    TRUST_ACCOUNT: 0x30000002,
+    APP_BASIC_GROUP: 0x40000000,
+    APP_QUERY_GROUP: 0x40000001,
+  },
+};
+const flagAttributes = [..._.keys(flagDefinitions), ..._.keys(enumDefinitions)];
+
+// Decode an integer into an object mapping each name to a boolean. Bits
+// without a name are ignored.
+function decodeFlags(attribute, value) {
+  assert(_.isInteger(value), "value must be an integer");
+  if (attribute in enumDefinitions) {
+    return _.mapValues(enumDefinitions[attribute], x => x === value);
+  }
+  assert(attribute in flagDefinitions, `'${attribute}' is not a known bit flag attribute`);
+  return _.mapValues(flagDefinitions[attribute], bit => (value & bit) !== 0);
+}
+
+// The reverse of decodeFlags. Names that are left out are taken to be false.
+// Returns a signed 32-bit integer.
+function encodeFlags(attribute, flags) {
+  if (!_.isPlainObject(flags) || !_.every(flags, _.isBoolean)) {
+    throw futile.err("This value does not format to bit flags", { attribute, value: flags });
+  }
+  const definitions = enumDefinitions[attribute] || flagDefinitions[attribute];
+  assert(definitions, `'${attribute}' is not a known bit flag attribute`);
+  const unknown = _.difference(_.keys(flags), _.keys(definitions));
+  assert(unknown.length === 0, `Unknown flag(s) for attribute '${attribute}': ${unknown}`);
+  const names = _.filter(_.keys(flags), name => flags[name]);
+  if (attribute in enumDefinitions) {
+    assert(names.length === 1, `Exactly one flag must be set for attribute '${attribute}'`);
+    return definitions[names[0]];
+  }
+  return _.reduce(names, (acc, name) => acc | definitions[name], 0);
+}
+
+// The unsigned integer to use with the bitwise matching rules in filters.
+// @arg flags: A flag name, a non-empty array of flag names, or a positive
+// integer.
+function flagMask(attribute, flags) {
+  if (_.isInteger(flags)) {
+    assert(0 < flags && flags <= 0xffffffff, "A bit mask must be a positive 32-bit integer");
+    return flags;
+  }
+  assert(!(attribute in enumDefinitions), `'${attribute}' does not hold bit flags`);
+  const names = _.isArray(flags) ? flags : [flags];
+  assert(1 <= names.length && _.every(names, _.isString), "Flags must be given as a flag name, a non-empty array of flag names, or a positive integer");
+  assert(attribute in flagDefinitions, `'${attribute}' is not a known bit flag attribute, so its flags must be given as an integer`);
+  const definitions = flagDefinitions[attribute];
+  const mask = _.reduce(
+    names,
+    (acc, name) => {
+      assert(name in definitions, `Unknown flag '${name}' for attribute '${attribute}'`);
+      return acc | definitions[name];
+    },
+    0,
+  );
+  return mask >>> 0;
+}
+
+// Extraction formatters for each attribute, and a map from each of them to
+// the corresponding insertion formatter.
+const extractionFormatters = {};
+const insertionFormatters = new Map();
+for (const attribute of flagAttributes) {
+  const extract = value => {
+    const n = ldapparsing.int32(value);
+    return n === null ? null : decodeFlags(attribute, n);
+  };
+  extractionFormatters[attribute] = extract;
+  insertionFormatters.set(extract, flags => ldapformatting.int32(encodeFlags(attribute, flags)));
+}
+
+module.exports = {
+  flagDefinitions,
+  enumDefinitions,
+  flagAttributes,
+  decodeFlags,
+  encodeFlags,
+  flagMask,
+  extractionFormatters,
+  insertionFormatters,
+};
@@ -0,0 +1,57 @@
+"use strict";
+/* global test, expect */
+/* eslint-disable no-magic-numbers */
+const _ = require("lodash");
+const bitflags = require("./bitflags.js");
+
+test("decodeFlags and encodeFlags", () => {
+  const uac = bitflags.decodeFlags("userAccountControl", 66050);
+  expect(_.keys(_.pickBy(uac))).toEqual(["ACCOUNTDISABLE", "NORMAL_ACCOUNT", "DONT_EXPIRE_PASSWORD"]);
+  expect(uac.LOCKOUT).toBe(false);
+  expect(bitflags.encodeFlags("userAccountControl", uac)).toBe(66050);
+  expect(bitflags.encodeFlags("userAccountControl", { NORMAL_ACCOUNT: true, ACCOUNTDISABLE: false })).toBe(512);
+  const groupType = bitflags.decodeFlags("groupType", -2147483646);
+  expect(_.keys(_.pickBy(groupType))).toEqual(["ACCOUNT_GROUP", "SECURITY_ENABLED"]);
+  expect(bitflags.encodeFlags("groupType", groupType)).toBe(-2147483646);
+  expect(bitflags.decodeFlags("msDS-User-Account-Control-Computed", 16)).toEqual({ LOCKOUT: true, PASSWORD_EXPIRED: false, PARTIAL_SECRETS_ACCOUNT: false, USE_AES_KEYS: false });
+  const samAccountType = bitflags.decodeFlags("sAMAccountType", 805306368);
+  expect(_.keys(_.pickBy(samAccountType))).toEqual(["USER_OBJECT"]);
+  expect(bitflags.encodeFlags("sAMAccountType", samAccountType)).toBe(805306368);
+  expect(_.keys(_.pickBy(bitflags.decodeFlags("sAMAccountType", 12345)))).toEqual([]);
+});
+
+test("encodeFlags rejects bad input", () => {
+  const bad = [
+    ["userAccountControl", { NO_SUCH_FLAG: true }],
+    ["userAccountControl", { ACCOUNTDISABLE: 1 }],
+    ["userAccountControl", 514],
+    ["sAMAccountType", { USER_OBJECT: true, MACHINE_ACCOUNT: true }],
+    ["sAMAccountType", {}],
+    ["abc", {}],
+  ];
+  for (const [attribute, flags] of bad) {
+    expect(() => bitflags.encodeFlags(attribute, flags)).toThrow();
+  }
+});
+
+test("flagMask", () => {
+  expect(bitflags.flagMask("userAccountControl", "ACCOUNTDISABLE")).toBe(2);
+  expect(bitflags.flagMask("userAccountControl", ["ACCOUNTDISABLE", "LOCKOUT"])).toBe(18);
+  expect(bitflags.flagMask("groupType", "SECURITY_ENABLED")).toBe(2147483648);
+  expect(bitflags.flagMask("abc", 4294967295)).toBe(4294967295);
+});
+
+test("formatters", () => {
+  for (const attribute of bitflags.flagAttributes) {
+    const extract = bitflags.extractionFormatters[attribute];
+    const insert = bitflags.insertionFormatters.get(extract);
+    expect(extract("")).toBe(null);
+    for (const raw of attribute === "sAMAccountType" ? ["268435456", "805306369"] : ["0", "66050", "-2147483646"]) {
+      const decoded = extract(raw);
+      // Bits without a name are lost
+      expect(insert(decoded)).toBe(`${bitflags.encodeFlags(attribute, decoded)}`);
+      expect(extract(insert(decoded))).toEqual(decoded);
+    }
+  }
+  expect(bitflags.insertionFormatters.get(bitflags.extractionFormatters.userAccountControl)(bitflags.extractionFormatters.userAccountControl("66050"))).toBe("66050");
+});
@@ -0,0 +1,123 @@
+"use strict";
+const _ = require("lodash");
+const futile = require("@fujitsusweden/futile");
+
+// The ways getChanges can find changed objects
+const changeTrackingMethods = ["dirsync", "usn"];
+
+// Version of the cookie format. Bump this whenever the format changes, so that
+// old cookies are rejected rather than misread.
+const cookieFormat = 2;
+
+// Whether data looks like the contents of a cookie. Every cookie holds the
+// from and the LDAP filter of the search it was returned for, since it's only
+// valid for that search. A DirSync cookie holds the server's cookie in base64.
+// A uSNChanged cookie holds the highest committed USN of the domain controller
+// identified by server, since USNs are local to each domain controller.
+function validCookieData(data) {
+  if (!_.isPlainObject(data) || data.cookieFormat !== cookieFormat || !_.isString(data.from) || !_.isString(data.filter)) {
+    return false;
+  }
+  switch (data.method) {
+    case "dirsync":
+      return _.isString(data.cookie) && Boolean(data.cookie.match(/^[A-Za-z0-9+/]*={0,2}$/u));
+    case "usn":
+      return _.isString(data.server) && data.server !== "" && _.isString(data.usn) && Boolean(data.usn.match(/^[0-9]+$/u));
+    default:
+      return false;
+  }
+}
+
+// Turn the data of a cookie into the opaque string given to the user
+function encodeCookie(data) {
+  const ret = { cookieFormat, ...data };
+  if (!validCookieData(ret)) {
+    throw futile.err("Invalid change tracking cookie data", { data });
+  }
+  return Buffer.from(JSON.stringify(ret), "utf8").toString("base64");
+}
+
+// The data of a cookie from encodeCookie
+function decodeCookie(cookie) {
+  let data = null;
+  try {
+    data = JSON.parse(Buffer.from(cookie, "base64").toString("utf8"));
+  } catch (ignored__err) {
+    // Reported below
+  }
+  if (!_.isString(cookie) || !validCookieData(data)) {
+    throw futile.err("Invalid change tracking cookie. Cookies must come from getChanges.", { cookie });
+  }
+  return _.omit(data, "cookieFormat");
+}
+
+// Whether the object with distinguished name dn is in the scope of a search
+// from the given base. DNs are compared case-insensitively.
+function inScope(dn, from, scope) {
+  const [lowerDN, lowerFrom] = [dn.toLowerCase(), from.toLowerCase()];
+  if (lowerDN === lowerFrom) {
+    return scope !== "one";
+  }
+  if (scope === "base" || !lowerDN.endsWith(`,${lowerFrom}`)) {
+    return false;
+  }
+  // The part before from must be a single RDN, i.e. without unescaped commas
+  return scope === "sub" || Boolean(dn.slice(0, -from.length - 1).match(/^(?:[^,\\]|\\.)*$/u));
+}
+
+// The distinguished name that a deleted object had before it was deleted. AD
+// moves deleted objects to the Deleted Objects container, appending
+// "\0ADEL:<objectGUID>" to their RDN, and keeps the DN of their parent in
+// lastKnownParent.
+function dnBeforeDeletion(dn, lastKnownParent) {
+  const rdn = dn.match(/^((?:[^,\\]|\\.)*?)\\0ADEL:[^,]*,/iu);
+  if (!rdn) {
+    throw futile.err("Not the DN of a deleted object", { dn, lastKnownParent });
+  }
+  return `${rdn[1]},${lastKnownParent}`;
+}
+
+// The type of the event that watchObjects generates for a changed object:
+// "delete" for deleted objects, "leave" for objects that don't match where,
+// which may have matched before the change, and otherwise "add" for objects
+// created after highestUSN, the highest USN seen before, or "modify".
+// @arg deleted, matches: Booleans.
+// @arg created, highestUSN: BigInts.
+function changeType({ deleted, matches, created, highestUSN }) {
+  if (deleted) {
+    return "delete";
+  }
+  if (!matches) {
+    return "leave";
+  }
+  return highestUSN < created ? "add" : "modify";
+}
+
+// The changes found by the searches made when watching resumes, so that
+// notifications of the same changes can be skipped. A change is identified by
+// the DN and uSNChanged of the object.
+class FoundChanges {
+  constructor() {
+    this.changes = new Map();
+  }
+
+  add(dn, usn) {
+    this.changes.set(dn.toLowerCase(), usn);
+  }
+
+  // Whether a notified change was already found
+  has(dn, usn) {
+    return this.changes.get(dn.toLowerCase()) === usn;
+  }
+}
+
+module.exports = {
+  FoundChanges,
+  changeTrackingMethods,
+  changeType,
+  cookieFormat,
+  decodeCookie,
+  dnBeforeDeletion,
+  encodeCookie,
+  inScope,
+};
@@ -0,0 +1,69 @@
+"use strict";
+/* global test, expect */
+/* eslint-disable no-magic-numbers */
+const changeTracking = require("./changeTracking.js");
+
+test("Cookies", () => {
+  const search = { from: "DC=example,DC=com", filter: "(objectCategory=person)" };
+  const data = [
+    { method: "dirsync", cookie: Buffer.from([0, 1, 2, 255]).toString("base64"), ...search },
+    { method: "dirsync", cookie: "", ...search },
+    { method: "usn", server: "CN=NTDS Settings,CN=DC1,CN=Servers,CN=Default-First-Site-Name,CN=Sites,CN=Configuration,DC=example,DC=com", usn: "123456789012", ...search },
+  ];
+  for (const x of data) {
+    const cookie = changeTracking.encodeCookie(x);
+    expect(typeof cookie).toBe("string");
+    expect(changeTracking.decodeCookie(cookie)).toEqual(x);
+  }
+  const invalid = [
+    { method: "dirsync", ...search },
+    { method: "dirsync", cookie: "not base64!", ...search },
+    { method: "usn", server: "", usn: "1", ...search },
+    { method: "usn", server: "x", usn: "-1", ...search },
+    { method: "usn", server: "x", usn: 1, ...search },
+    { method: "other", ...search },
+    { method: "dirsync", cookie: "" },
+    { method: "usn", server: "x", usn: "1", from: "DC=example,DC=com" },
+  ];
+  for (const x of invalid) {
+    expect(() => changeTracking.encodeCookie(x)).toThrow("Invalid change tracking cookie data");
+  }
+  const encode = x => Buffer.from(JSON.stringify(x)).toString("base64");
+  for (const cookie of [undefined, 1, "", "not a cookie", encode(data[0]), encode({ ...data[0], cookieFormat: changeTracking.cookieFormat + 1 }), ...invalid.map(x => encode({ ...x, cookieFormat: changeTracking.cookieFormat }))]) {
+    expect(() => changeTracking.decodeCookie(cookie)).toThrow("Invalid change tracking cookie");
+  }
+});
+
+test("inScope", () => {
+  const dns = ["OU=Staff,DC=example,DC=com", "cn=a,ou=staff,dc=example,dc=com", "CN=Smith\\, John,OU=Staff,DC=example,DC=com", "CN=b,OU=Sub,OU=Staff,DC=example,DC=com", "CN=c,OU=Staff2,DC=example,DC=com", "DC=example,DC=com"];
+  const found = scope => dns.filter(dn => changeTracking.inScope(dn, "OU=Staff,DC=example,DC=com", scope)).length;
+  expect([found("base"), found("one"), found("sub")]).toEqual([1, 2, 4]);
+});
+
+test("dnBeforeDeletion", () => {
+  const dn = "CN=Smith\\, John\\0ADEL:6ef01bf6-d819-4b5d-818d-0b3a8cd2c096,CN=Deleted Objects,DC=example,DC=com";
+  expect(changeTracking.dnBeforeDeletion(dn, "OU=Staff,DC=example,DC=com")).toBe("CN=Smith\\, John,OU=Staff,DC=example,DC=com");
+  expect(() => changeTracking.dnBeforeDeletion("CN=Smith,OU=Staff,DC=example,DC=com", "OU=Staff,DC=example,DC=com")).toThrow("Not the DN of a deleted object");
+});
+
+test("changeType", () => {
+  const type = (deleted, matches, created) => changeTracking.changeType({ deleted, matches, created, highestUSN: 100n });
+  expect(type(true, true, null)).toBe("delete");
+  expect(type(true, false, 200n)).toBe("delete");
+  expect(type(false, false, 200n)).toBe("leave");
+  expect(type(false, false, 50n)).toBe("leave");
+  expect(type(false, true, 101n)).toBe("add");
+  expect(type(false, true, 100n)).toBe("modify");
+});
+
+test("FoundChanges", () => {
+  const found = new changeTracking.FoundChanges();
+  found.add("CN=a,DC=example,DC=com", "150");
+  found.add("CN=b,DC=example,DC=com", "160");
+  found.add("CN=b,DC=example,DC=com", "170");
+  expect(found.has("cn=a,dc=example,dc=com", "150")).toBe(true);
+  expect(found.has("CN=a,DC=example,DC=com", "151")).toBe(false);
+  expect(found.has("CN=b,DC=example,DC=com", "160")).toBe(false);
+  expect(found.has("CN=b,DC=example,DC=com", "170")).toBe(true);
+  expect(found.has("CN=c,DC=example,DC=com", "150")).toBe(false);
+});
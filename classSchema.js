@@ -0,0 +1,68 @@
+"use strict";
+const _ = require("lodash");
+const assert = require("assert");
+
+// The attributes of a classSchema object needed to compute the effective
+// schema of a class.
+const classSchemaAttributes = ["lDAPDisplayName", "subClassOf", "auxiliaryClass", "systemAuxiliaryClass", "mustContain", "systemMustContain", "mayContain", "systemMayContain"];
+
+// Compute the effective schema for a class, including what is inherited from
+// superclasses and auxiliary classes.
+// @arg classSchemas: A map from lDAPDisplayName to classSchema objects, as
+// returned by getObjects selecting classSchemaAttributes.
+// @arg name: The lDAPDisplayName of the class.
+// @return: An object with the superclass chain (nearest first), all auxiliary
+// classes, and sorted lists of attributes that must or may be present.
+function effectiveClassSchema(classSchemas, name) {
+  assert(name in classSchemas, `Unknown class '${name}'`);
+  const superClasses = [];
+  for (let current = classSchemas[name]; current.subClassOf && current.subClassOf !== current.lDAPDisplayName; ) {
+    assert(current.subClassOf in classSchemas, `Unknown class '${current.subClassOf}'`);
+    assert(!_.includes(superClasses, current.subClassOf), `Circular class hierarchy for '${name}'`);
+    superClasses.push(current.subClassOf);
+    current = classSchemas[current.subClassOf];
+  }
+  const mustContain = new Set();
+  const mayContain = new Set();
+  const auxiliaryClasses = [];
+  const visited = new Set();
+  const visit = className => {
+    if (visited.has(className)) {
+      return;
+    }
+    visited.add(className);
+    assert(className in classSchemas, `Unknown class '${className}'`);
+    const cls = classSchemas[className];
+    for (const attrib of [...(cls.mustContain || []), ...(cls.systemMustContain || [])]) {
+      mustContain.add(attrib);
+    }
+    for (const attrib of [...(cls.mayContain || []), ...(cls.systemMayContain || [])]) {
+      mayContain.add(attrib);
+    }
+    if (cls.subClassOf) {
+      visit(cls.subClassOf);
+    }
+    for (const aux of [...(cls.auxiliaryClass || []), ...(cls.systemAuxiliaryClass || [])]) {
+      if (!_.includes(auxiliaryClasses, aux)) {
+        auxiliaryClasses.push(aux);
+      }
+      visit(aux);
+    }
+  };
+  visit(name);
+  for (const attrib of mustContain) {
+    mayContain.delete(attrib);
+  }
+  return {
+    lDAPDisplayName: name,
+    superClasses,
+    auxiliaryClasses,
+    mustContain: _.sortBy([...mustContain]),
+    mayContain: _.sortBy([...mayContain]),
+  };
+}
+
+module.exports = {
+  classSchemaAttributes,
+  effectiveClassSchema,
+};
@@ -0,0 +1,35 @@
+"use strict";
+/* global test, expect */
+const classSchema = require("./classSchema.js");
+
+const classSchemas = {
+  top: { lDAPDisplayName: "top", subClassOf: "top", systemMustContain: ["objectClass", "objectCategory"], systemMayContain: ["cn", "description"] },
+  person: { lDAPDisplayName: "person", subClassOf: "top", systemMustContain: ["cn"], systemMayContain: ["sn", "userPassword"] },
+  organizationalPerson: { lDAPDisplayName: "organizationalPerson", subClassOf: "person", mayContain: ["manager"], systemMayContain: ["title"] },
+  mailRecipient: { lDAPDisplayName: "mailRecipient", subClassOf: "top", systemMustContain: ["cn"], systemMayContain: ["mail"] },
+  securityPrincipal: { lDAPDisplayName: "securityPrincipal", subClassOf: "top", systemMustContain: ["objectSid", "sAMAccountName"], systemAuxiliaryClass: ["mailRecipient"] },
+  user: { lDAPDisplayName: "user", subClassOf: "organizationalPerson", auxiliaryClass: ["mailRecipient"], systemAuxiliaryClass: ["securityPrincipal"], systemMayContain: ["userAccountControl", "description"] },
+  loop1: { lDAPDisplayName: "loop1", subClassOf: "loop2" },
+  loop2: { lDAPDisplayName: "loop2", subClassOf: "loop1" },
+  orphan: { lDAPDisplayName: "orphan", subClassOf: "missing" },
+};
+
+test("effectiveClassSchema", () => {
+  expect(classSchema.effectiveClassSchema(classSchemas, "top")).toEqual({
+    lDAPDisplayName: "top",
+    superClasses: [],
+    auxiliaryClasses: [],
+    mustContain: ["objectCategory", "objectClass"],
+    mayContain: ["cn", "description"],
+  });
+  expect(classSchema.effectiveClassSchema(classSchemas, "user")).toEqual({
+    lDAPDisplayName: "user",
+    superClasses: ["organizationalPerson", "person", "top"],
+    auxiliaryClasses: ["mailRecipient", "securityPrincipal"],
+    mustContain: ["cn", "objectCategory", "objectClass", "objectSid", "sAMAccountName"],
+    mayContain: ["description", "mail", "manager", "sn", "title", "userAccountControl", "userPassword"],
+  });
+  expect(() => classSchema.effectiveClassSchema(classSchemas, "nonexistent")).toThrow();
+  expect(() => classSchema.effectiveClassSchema(classSchemas, "loop1")).toThrow();
+  expect(() => classSchema.effectiveClassSchema(classSchemas, "orphan")).toThrow();
+});
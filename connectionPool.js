@@ -0,0 +1,244 @@
+"use strict";
+const _ = require("lodash");
+const assert = require("assert");
+const futile = require("@fujitsusweden/futile");
+
+// A bounded pool of connections. Callers waiting for a connection are served
+// in the order they arrived. At least `min` connections are kept open, and
+// idle connections beyond those are ended after `idleTimeout` milliseconds.
+// Idle connections are checked before reuse; the cheap `validate` check every
+// time, and the `healthCheck` round trip only if the connection has been idle
+// for at least `healthCheckInterval` milliseconds. Failures to create the `min`
+// connections are passed to `onCreateError`, since there is no caller to get
+// them.
+class ConnectionPool {
+  constructor({ create, end, validate = () => true, healthCheck = async () => true, onCreateError = _.noop, min = 0, max = 10, idleTimeout = 30000, healthCheckInterval = 10000, ...invalidOptions }) {
+    assert(_.isFunction(create), "create must be a function");
+    assert(_.isFunction(end), "end must be a function");
+    assert(_.isFunction(validate), "validate must be a function");
+    assert(_.isFunction(healthCheck), "healthCheck must be a function");
+    assert(_.isFunction(onCreateError), "onCreateError must be a function");
+    assert(_.isInteger(max) && 1 <= max, "Pool option max must be a positive integer");
+    assert(_.isInteger(min) && 0 <= min && min <= max, "Pool option min must be an integer between 0 and max");
+    assert(_.isInteger(idleTimeout) && 0 <= idleTimeout, "Pool option idleTimeout must be a non-negative integer");
+    assert(_.isInteger(healthCheckInterval) && 0 <= healthCheckInterval, "Pool option healthCheckInterval must be a non-negative integer");
+    assert(_.size(invalidOptions) === 0, `Invalid pool option(s): ${_.keys(invalidOptions)}`);
+    Object.assign(this, { create, end, validate, healthCheck, onCreateError, min, max, idleTimeout, healthCheckInterval });
+    // Idle connections, most recently used last
+    this.idle = [];
+    // Connections currently lent out
+    this.borrowed = new Set();
+    // Number of connections being created
+    this.pending = 0;
+    // Number of connections being ended
+    this.ending = 0;
+    // Callers waiting for a connection, first come first served
+    this.waiting = [];
+    this.closed = false;
+    this.closePromise = null;
+    this.closedCallback = null;
+    this.counters = { created: 0, ended: 0, acquired: 0, failedHealthChecks: 0, failedCreates: 0 };
+    this.fillToMin();
+  }
+
+  get size() {
+    return this.idle.length + this.borrowed.size + this.pending;
+  }
+
+  stats() {
+    return {
+      size: this.size,
+      idle: this.idle.length,
+      borrowed: this.borrowed.size,
+      pending: this.pending,
+      ending: this.ending,
+      waiting: this.waiting.length,
+      ...this.counters,
+    };
+  }
+
+  async acquire() {
+    if (this.closed) {
+      throw futile.err("Connection pool is closed");
+    }
+    while (this.idle.length) {
+      const { connection, timer, since } = this.idle.pop();
+      clearTimeout(timer);
+      this.borrowed.add(connection);
+      let healthy = false;
+      try {
+        healthy = this.validate(connection) && (futile.since(since) < this.healthCheckInterval || await this.healthCheck(connection));
+      } catch (err) {
+        healthy = false;
+      }
+      if (healthy) {
+        this.counters.acquired++;
+        return connection;
+      }
+      this.counters.failedHealthChecks++;
+      await this.destroy(connection);
+      if (this.closed) {
+        throw futile.err("Connection pool is closed");
+      }
+    }
+    if (this.size < this.max) {
+      return this.createBorrowed();
+    }
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ resolve, reject });
+    });
+  }
+
+  async createBorrowed() {
+    this.pending++;
+    let connection = null;
+    try {
+      connection = await this.create();
+    } catch (err) {
+      this.counters.failedCreates++;
+      throw err;
+    } finally {
+      this.pending--;
+    }
+    this.counters.created++;
+    this.counters.acquired++;
+    this.borrowed.add(connection);
+    return connection;
+  }
+
+  // Give a connection back to the pool for reuse.
+  async release(connection) {
+    assert(this.borrowed.has(connection), "Cannot release a connection that isn't borrowed from this pool");
+    if (this.closed) {
+      await this.destroy(connection);
+      return;
+    }
+    if (this.waiting.length) {
+      this.counters.acquired++;
+      this.waiting.shift().resolve(connection);
+      return;
+    }
+    this.borrowed.delete(connection);
+    this.addIdle(connection);
+  }
+
+  addIdle(connection) {
+    const entry = { connection, since: futile.now(), timer: null };
+    this.startIdleTimer(entry);
+    this.idle.push(entry);
+  }
+
+  // Create idle connections until there are min connections, at start and
+  // whenever connections have been ended. A failure to create one is counted
+  // and passed to onCreateError, and the next attempt is made on the next
+  // occasion, or by acquire.
+  fillToMin() {
+    while (!this.closed && this.size < this.min) {
+      this.pending++;
+      this.create().then(
+        connection => {
+          this.pending--;
+          this.counters.created++;
+          this.borrowed.add(connection);
+          if (this.closed) {
+            this.destroy(connection);
+          } else if (this.waiting.length) {
+            this.counters.acquired++;
+            this.waiting.shift().resolve(connection);
+          } else {
+            this.borrowed.delete(connection);
+            this.addIdle(connection);
+          }
+        },
+        err => {
+          this.pending--;
+          this.counters.failedCreates++;
+          this.checkClosed();
+          return this.onCreateError(err);
+        },
+      ).catch(_.noop);
+    }
+  }
+
+  startIdleTimer(entry) {
+    entry.timer = setTimeout(() => this.onIdleTimeout(entry), this.idleTimeout);
+    entry.timer.unref();
+  }
+
+  // End a borrowed connection instead of giving it back, e.g. when it may be
+  // in an inconsistent state.
+  async destroy(connection) {
+    assert(this.borrowed.has(connection), "Cannot destroy a connection that isn't borrowed from this pool");
+    this.borrowed.delete(connection);
+    this.fillVacancy();
+    this.fillToMin();
+    await this.endQuietly(connection);
+  }
+
+  // If someone is waiting, use the free slot to create a connection for them.
+  fillVacancy() {
+    if (!this.closed && this.waiting.length && this.size < this.max) {
+      const { resolve, reject } = this.waiting.shift();
+      this.createBorrowed().then(resolve, reject);
+    }
+  }
+
+  onIdleTimeout(entry) {
+    if (!_.includes(this.idle, entry)) {
+      return;
+    }
+    if (this.size <= this.min) {
+      // Keep the connection, but check again later in case the pool has grown.
+      this.startIdleTimer(entry);
+      return;
+    }
+    _.pull(this.idle, entry);
+    this.endQuietly(entry.connection);
+  }
+
+  async endQuietly(connection) {
+    this.ending++;
+    try {
+      await this.end(connection);
+    } catch (err) {
+      // The connection is being discarded anyway.
+    } finally {
+      this.ending--;
+      this.counters.ended++;
+    }
+    this.checkClosed();
+  }
+
+  checkClosed() {
+    if (this.closed && this.size === 0 && this.ending === 0 && this.closedCallback) {
+      this.closedCallback();
+      this.closedCallback = null;
+    }
+  }
+
+  // Graceful shutdown. Waiting callers are rejected and idle connections are
+  // ended at once. Borrowed connections are ended as they are given back. The
+  // returned promise resolves when all connections have been ended.
+  close() {
+    if (!this.closed) {
+      this.closed = true;
+      for (const { reject } of this.waiting) {
+        reject(futile.err("Connection pool is closed"));
+      }
+      this.waiting = [];
+      this.closePromise = new Promise(resolve => {
+        this.closedCallback = resolve;
+      });
+      const idle = this.idle;
+      this.idle = [];
+      for (const { connection, timer } of idle) {
+        clearTimeout(timer);
+        this.endQuietly(connection);
+      }
+      this.checkClosed();
+    }
+    return this.closePromise;
+  }
+}
+
+module.exports = ConnectionPool;
@@ -0,0 +1,182 @@
+"use strict";
+/* global test, expect */
+/* eslint-disable no-magic-numbers */
+const ConnectionPool = require("./connectionPool.js");
+const futile = require("@fujitsusweden/futile");
+
+function fakePool(options = {}) {
+  let counter = 0;
+  const ended = [];
+  const pool = new ConnectionPool({
+    async create() {
+      counter++;
+      return { id: counter, alive: true };
+    },
+    async end(connection) {
+      ended.push(connection.id);
+    },
+    validate: connection => connection.alive,
+    ...options,
+  });
+  return { pool, ended };
+}
+
+test("Connections are reused", async () => {
+  const { pool } = fakePool();
+  const c1 = await pool.acquire();
+  await pool.release(c1);
+  const c2 = await pool.acquire();
+  expect(c2).toBe(c1);
+  expect(pool.stats()).toMatchObject({ size: 1, idle: 0, borrowed: 1, created: 1, acquired: 2 });
+});
+
+test("Pool is bounded and waiting callers are served in order", async () => {
+  const { pool } = fakePool({ max: 2 });
+  const c1 = await pool.acquire();
+  const c2 = await pool.acquire();
+  const order = [];
+  const p3 = pool.acquire().then(c => order.push(["third", c.id]));
+  const p4 = pool.acquire().then(c => order.push(["fourth", c.id]));
+  expect(pool.stats()).toMatchObject({ size: 2, waiting: 2 });
+  await pool.release(c2);
+  await pool.release(c1);
+  await Promise.all([p3, p4]);
+  expect(order).toEqual([["third", 2], ["fourth", 1]]);
+  expect(pool.stats()).toMatchObject({ size: 2, borrowed: 2, waiting: 0, created: 2 });
+});
+
+test("Destroying a connection frees a slot for waiting callers", async () => {
+  const { pool, ended } = fakePool({ max: 1 });
+  const c1 = await pool.acquire();
+  const p2 = pool.acquire();
+  await pool.destroy(c1);
+  const c2 = await p2;
+  expect(c2.id).toBe(2);
+  expect(ended).toEqual([1]);
+});
+
+test("Unhealthy connections are not reused", async () => {
+  let healthChecks = 0;
+  const { pool, ended } = fakePool({
+    healthCheckInterval: 0,
+    async healthCheck(connection) {
+      healthChecks++;
+      return connection.id !== 2;
+    },
+  });
+  const c1 = await pool.acquire();
+  c1.alive = false;
+  await pool.release(c1);
+  const c2 = await pool.acquire();
+  expect(c2.id).toBe(2);
+  expect(ended).toEqual([1]);
+  expect(healthChecks).toBe(0);
+  await pool.release(c2);
+  const c3 = await pool.acquire();
+  expect(c3.id).toBe(3);
+  expect(ended).toEqual([1, 2]);
+  expect(healthChecks).toBe(1);
+  expect(pool.stats()).toMatchObject({ size: 1, failedHealthChecks: 2 });
+});
+
+test("Idle connections beyond min are ended", async () => {
+  const { pool, ended } = fakePool({ min: 1, idleTimeout: 10 });
+  const c1 = await pool.acquire();
+  const c2 = await pool.acquire();
+  await pool.release(c1);
+  await pool.release(c2);
+  await futile.sleep(50);
+  expect(ended.length).toBe(1);
+  expect(pool.stats()).toMatchObject({ size: 1, idle: 1 });
+  await pool.close();
+});
+
+test("min connections are created at start and kept", async () => {
+  const { pool, ended } = fakePool({ min: 2, max: 3 });
+  expect(pool.stats()).toMatchObject({ size: 2, pending: 2 });
+  await futile.sleep(10);
+  expect(pool.stats()).toMatchObject({ size: 2, idle: 2, created: 2 });
+  const c1 = await pool.acquire();
+  expect(pool.stats()).toMatchObject({ created: 2 });
+  // Destroying a connection replaces it
+  await pool.destroy(c1);
+  expect(ended).toEqual([c1.id]);
+  await futile.sleep(10);
+  expect(pool.stats()).toMatchObject({ size: 2, idle: 2, created: 3 });
+  await pool.close();
+  expect(pool.stats()).toMatchObject({ size: 0, ended: 3 });
+});
+
+test("Failing to create min connections is counted and reported", async () => {
+  let fail = true;
+  const errors = [];
+  const pool = new ConnectionPool({
+    min: 1,
+    async create() {
+      if (fail) {
+        throw Error("Cannot connect");
+      }
+      return {};
+    },
+    async end() {},
+    onCreateError: err => errors.push(err.message),
+  });
+  await futile.sleep(10);
+  expect(pool.stats()).toMatchObject({ size: 0, pending: 0, failedCreates: 1 });
+  expect(errors).toEqual(["Cannot connect"]);
+  await expect(pool.acquire()).rejects.toThrow("Cannot connect");
+  expect(pool.stats()).toMatchObject({ size: 0, pending: 0, failedCreates: 2 });
+  fail = false;
+  const c1 = await pool.acquire();
+  await pool.destroy(c1);
+  await futile.sleep(10);
+  expect(pool.stats()).toMatchObject({ size: 1, idle: 1 });
+  await pool.close();
+});
+
+test("Failing to create a connection doesn't leak a slot", async () => {
+  const pool = new ConnectionPool({
+    max: 1,
+    async create() {
+      throw Error("Cannot connect");
+    },
+    async end() {},
+  });
+  await expect(pool.acquire()).rejects.toThrow("Cannot connect");
+  await expect(pool.acquire()).rejects.toThrow("Cannot connect");
+  expect(pool.stats()).toMatchObject({ size: 0, pending: 0 });
+});
+
+test("close", async () => {
+  const { pool, ended } = fakePool({ max: 2 });
+  const c1 = await pool.acquire();
+  const c2 = await pool.acquire();
+  await pool.release(c2);
+  const p3 = pool.acquire();
+  const p4 = pool.acquire();
+  let closed = false;
+  const closing = pool.close().then(() => {
+    closed = true;
+  });
+  // c2 was given to the first waiting caller, the second is rejected
+  expect((await p3).id).toBe(2);
+  await expect(p4).rejects.toThrow("Connection pool is closed");
+  await expect(pool.acquire()).rejects.toThrow("Connection pool is closed");
+  await pool.release(c1);
+  expect(closed).toBe(false);
+  await pool.release(c2);
+  await closing;
+  expect(closed).toBe(true);
+  expect(ended.sort()).toEqual([1, 2]);
+  expect(pool.stats()).toMatchObject({ size: 0 });
+});
+
+test("Invalid options", () => {
+  const create = async () => ({});
+  const end = async () => {};
+  expect(() => new ConnectionPool({ create })).toThrow();
+  expect(() => new ConnectionPool({ create, end, max: 0 })).toThrow();
+  expect(() => new ConnectionPool({ create, end, min: 3, max: 2 })).toThrow();
+  expect(() => new ConnectionPool({ create, end, idleTimeout: -1 })).toThrow();
+  expect(() => new ConnectionPool({ create, end, maxSize: 2 })).toThrow();
+});
@@ -0,0 +1,95 @@
+"use strict";
+const _ = require("lodash");
+const assert = require("assert");
+
+// Order SRV records the way RFC 2782 prescribes; by ascending priority, and
+// randomly weighted by weight within each priority.
+function orderSrvRecords(records, random = Math.random) {
+  const ret = [];
+  for (const priority of _.sortBy(_.uniq(_.map(records, "priority")))) {
+    const remaining = _.filter(records, { priority });
+    while (remaining.length) {
+      const total = _.sumBy(remaining, "weight");
+      let pick = 0;
+      if (0 < total) {
+        let r = random() * total;
+        pick = _.findIndex(remaining, record => {
+          r -= record.weight;
+          return r < 0;
+        });
+        if (pick === -1) {
+          // Can only happen through rounding errors
+          pick = _.findLastIndex(remaining, record => 0 < record.weight);
+        }
+      }
+      ret.push(...remaining.splice(pick, 1));
+    }
+  }
+  return ret;
+}
+
+function validSrvRecord(record) {
+  /* eslint-disable-next-line no-magic-numbers */
+  const isUint16 = x => _.isInteger(x) && 0 <= x && x <= 65535;
+  return (
+    _.isPlainObject(record) &&
+    _.isEqual(_.sortBy(_.keys(record)), ["name", "port", "priority", "weight"]) &&
+    _.isString(record.name) &&
+    record.name.match(/^[A-Za-z0-9.-]+$/u) &&
+    isUint16(record.port) &&
+    0 < record.port &&
+    isUint16(record.priority) &&
+    isUint16(record.weight)
+  );
+}
+
+// The LDAPS ports for the LDAP ports that _ldap._tcp and _gc._tcp records
+// give. Other ports, e.g. those of _ldaps._tcp records, are used as they are.
+const ldapsPorts = { 389: 636, 3268: 3269 };
+
+// With StartTLS, the ldap protocol and the port of the record are used.
+function urlsFromSrvRecords(records, protocol, random = Math.random) {
+  assert(_.includes(["ldap", "ldaps"], protocol), "Unknown protocol");
+  return _.map(orderSrvRecords(records, random), ({ name, port }) => `${protocol}://${name.replace(/\.$/u, "")}:${protocol === "ldaps" ? _.get(ldapsPorts, port, port) : port}`);
+}
+
+// Whether to try the next server after failing to connect or bind. A rejected
+// password would be rejected by every server, and trying them all could lock
+// the account.
+function shouldFailOver(err) {
+  return !(err && err.name === "InvalidCredentialsError");
+}
+
+// Whether an error is likely to go away if the operation is retried, possibly
+// against another server.
+function isTransientError(err) {
+  if (!err) {
+    return false;
+  }
+  if (_.includes(["ConnectionError", "TimeoutError", "BusyError", "UnavailableError"], err.name)) {
+    return true;
+  }
+  if (_.includes(["ECONNREFUSED", "ECONNRESET", "EHOSTUNREACH", "ENETUNREACH", "EPIPE", "ETIMEDOUT"], err.code)) {
+    return true;
+  }
+  // LDAP_BUSY and LDAP_UNAVAILABLE, as reported at the end of a search
+  /* eslint-disable-next-line no-magic-numbers */
+  return _.includes([51, 52], err.status);
+}
+
+// Exponential backoff. The exponent is capped, since there may be no limit on
+// the number of attempts, and 0 * Infinity is NaN.
+function backoffDelay(attempt, { minDelay, maxDelay }) {
+  assert(_.isInteger(attempt) && 1 <= attempt, "attempt must be a positive integer");
+  /* eslint-disable-next-line no-magic-numbers */
+  return Math.min(maxDelay, minDelay * 2 ** Math.min(attempt - 1, 32));
+}
+
+module.exports = {
+  orderSrvRecords,
+  validSrvRecord,
+  urlsFromSrvRecords,
+  shouldFailOver,
+  isTransientError,
+  backoffDelay,
+};
@@ -0,0 +1,77 @@
+"use strict";
+/* global test, expect */
+/* eslint-disable no-magic-numbers */
+const _ = require("lodash");
+const failover = require("./failover.js");
+
+const records = [
+  { name: "dc3.example.com.", port: 389, priority: 10, weight: 0 },
+  { name: "dc1.example.com.", port: 389, priority: 0, weight: 100 },
+  { name: "dc2.example.com.", port: 3268, priority: 0, weight: 300 },
+  { name: "dc4.example.com.", port: 389, priority: 10, weight: 0 },
+];
+
+test("orderSrvRecords", () => {
+  expect(_.map(failover.orderSrvRecords(records, () => 0), "name")).toEqual(["dc1.example.com.", "dc2.example.com.", "dc3.example.com.", "dc4.example.com."]);
+  expect(_.map(failover.orderSrvRecords(records, () => 0.5), "name")).toEqual(["dc2.example.com.", "dc1.example.com.", "dc3.example.com.", "dc4.example.com."]);
+  expect(_.map(failover.orderSrvRecords(records, () => 0.9999999999999999), "name")).toEqual(["dc2.example.com.", "dc1.example.com.", "dc3.example.com.", "dc4.example.com."]);
+  // Weights decide how often each record comes first
+  const counts = { "dc1.example.com.": 0, "dc2.example.com.": 0 };
+  for (let i = 0; i < 400; i++) {
+    counts[failover.orderSrvRecords(records, () => i / 400)[0].name]++;
+  }
+  expect(counts).toEqual({ "dc1.example.com.": 100, "dc2.example.com.": 300 });
+  // The argument is not altered
+  expect(records[0].name).toBe("dc3.example.com.");
+});
+
+test("validSrvRecord", () => {
+  for (const record of records) {
+    expect(failover.validSrvRecord(record)).toBeTruthy();
+  }
+  const bad = [
+    null,
+    "dc1.example.com",
+    { name: "dc1.example.com", port: 389, priority: 0 },
+    { name: "dc1.example.com", port: 389, priority: 0, weight: 0, target: "x" },
+    { name: "dc1.example.com", port: 0, priority: 0, weight: 0 },
+    { name: "dc1.example.com", port: 65536, priority: 0, weight: 0 },
+    { name: "dc1.example.com", port: 389, priority: -1, weight: 0 },
+    { name: "dc1.example.com", port: 389, priority: 0, weight: 1.5 },
+    { name: "dc1.example.com/x", port: 389, priority: 0, weight: 0 },
+  ];
+  for (const record of bad) {
+    expect(failover.validSrvRecord(record)).toBeFalsy();
+  }
+});
+
+test("urlsFromSrvRecords", () => {
+  expect(failover.urlsFromSrvRecords(records, "ldap", () => 0)).toEqual(["ldap://dc1.example.com:389", "ldap://dc2.example.com:3268", "ldap://dc3.example.com:389", "ldap://dc4.example.com:389"]);
+  expect(failover.urlsFromSrvRecords(records, "ldaps", () => 0)).toEqual(["ldaps://dc1.example.com:636", "ldaps://dc2.example.com:3269", "ldaps://dc3.example.com:636", "ldaps://dc4.example.com:636"]);
+  expect(failover.urlsFromSrvRecords([{ name: "dc1.example.com.", port: 1636, priority: 0, weight: 0 }], "ldaps")).toEqual(["ldaps://dc1.example.com:1636"]);
+  expect(() => failover.urlsFromSrvRecords(records, "http")).toThrow();
+});
+
+test("shouldFailOver", () => {
+  expect(failover.shouldFailOver({ name: "ConnectionError" })).toBe(true);
+  expect(failover.shouldFailOver({ name: "UnavailableError" })).toBe(true);
+  expect(failover.shouldFailOver({ name: "InvalidCredentialsError" })).toBe(false);
+});
+
+test("isTransientError", () => {
+  for (const err of [{ name: "ConnectionError" }, { name: "BusyError", code: 51 }, { code: "ECONNRESET" }, { message: "LDAP error", status: 52 }]) {
+    expect(failover.isTransientError(err)).toBe(true);
+  }
+  for (const err of [null, Error("Refuse to fetch non-existent attribute 'x'"), { name: "NoSuchObjectError", code: 32 }, { message: "LDAP error", status: 32 }]) {
+    expect(failover.isTransientError(err)).toBe(false);
+  }
+});
+
+test("backoffDelay", () => {
+  const options = { minDelay: 100, maxDelay: 1000 };
+  expect(_.map([1, 2, 3, 4, 5, 10], attempt => failover.backoffDelay(attempt, options))).toEqual([100, 200, 400, 800, 1000, 1000]);
+  expect(() => failover.backoffDelay(0, options)).toThrow();
+  // With no limit on the number of attempts
+  expect(failover.backoffDelay(5000, options)).toBe(1000);
+  expect(failover.backoffDelay(5000, { minDelay: 0, maxDelay: 0 })).toBe(0);
+});
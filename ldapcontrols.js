@@ -0,0 +1,178 @@
+"use strict";
+const _ = require("lodash");
+const assert = require("assert");
+const futile = require("@fujitsusweden/futile");
+const ldapjs = require("ldapjs");
+
+// The few BER tags needed for the control values below
+const tags = { integer: 0x02, octetString: 0x04, sequence: 0x30 };
+
+// Encode a BER length, in the short form if possible
+function encodeLength(length) {
+  /* eslint-disable no-magic-numbers */
+  if (length < 0x80) {
+    return Buffer.from([length]);
+  }
+  const bytes = [];
+  for (let n = length; 0 < n; n = Math.floor(n / 256)) {
+    bytes.unshift(n % 256);
+  }
+  return Buffer.from([0x80 + bytes.length, ...bytes]);
+  /* eslint-enable no-magic-numbers */
+}
+const encodeTLV = (tag, value) => Buffer.concat([Buffer.from([tag]), encodeLength(value.length), value]);
+const encodeOctetString = buffer => encodeTLV(tags.octetString, buffer);
+const encodeSequence = (...items) => encodeTLV(tags.sequence, Buffer.concat(items));
+// Encode a 32-bit signed integer in as few bytes as possible
+function encodeInteger(n) {
+  assert(_.isInteger(n) && -(2 ** 31) <= n && n < 2 ** 31, "BER integers must be 32-bit signed integers");
+  const buffer = Buffer.alloc(4);
+  buffer.writeInt32BE(n);
+  let start = 0;
+  /* eslint-disable-next-line no-magic-numbers */
+  while (start < 3 && ((buffer[start] === 0x00 && buffer[start + 1] < 0x80) || (buffer[start] === 0xff && 0x80 <= buffer[start + 1]))) {
+    start++;
+  }
+  return encodeTLV(tags.integer, buffer.subarray(start));
+}
+
+// Decode the BER element at offset, checking its tag.
+// @return: { value, end } where value is the contents and end is the offset
+// after the element.
+function decodeTLV(buffer, offset, tag) {
+  if (buffer.length < offset + 2 || buffer[offset] !== tag) {
+    throw futile.err("Invalid BER data", { offset, expectedTag: tag });
+  }
+  let length = buffer[offset + 1];
+  let start = offset + 2;
+  /* eslint-disable no-magic-numbers */
+  if (0x80 <= length) {
+    const lengthBytes = length - 0x80;
+    if (lengthBytes < 1 || 4 < lengthBytes || buffer.length < start + lengthBytes) {
+      throw futile.err("Invalid BER length", { offset });
+    }
+    length = buffer.readUIntBE(start, lengthBytes);
+    start += lengthBytes;
+  }
+  /* eslint-enable no-magic-numbers */
+  if (buffer.length < start + length) {
+    throw futile.err("Truncated BER data", { offset });
+  }
+  return { value: buffer.subarray(start, start + length), end: start + length };
+}
+function decodeInteger(buffer, offset) {
+  const { value, end } = decodeTLV(buffer, offset, tags.integer);
+  /* eslint-disable-next-line no-magic-numbers */
+  if (value.length < 1 || 4 < value.length) {
+    throw futile.err("Unsupported BER integer", { offset });
+  }
+  return { value: value.readIntBE(0, value.length), end };
+}
+
+// An ldapjs Control with a value given as a Buffer. ldapjs itself can only
+// serialize control values given as strings, and fails for Buffers.
+function control(type, { criticality = false, value = null } = {}) {
+  const ret = new ldapjs.Control({ type, criticality });
+  if (value) {
+    assert(Buffer.isBuffer(value), "The control value must be a Buffer");
+    ret.value = value;
+    ret._toBer = ber => ber.writeBuffer(value, tags.octetString);
+  }
+  return ret;
+}
+
+// The LDAP_SERVER_SD_FLAGS_OID control, asking for the owner, group and DACL
+// but not the SACL of security descriptors. Without it, AD only returns
+// security descriptors to those allowed to read the SACL.
+/* eslint-disable-next-line no-magic-numbers */
+const sdFlagsControl = control("1.2.840.113556.1.4.801", { value: encodeSequence(encodeInteger(7)) });
+
+// The LDAP_SERVER_SHOW_DELETED_OID control, including deleted objects in
+// search results.
+const showDeletedControl = control("1.2.840.113556.1.4.417", { criticality: true });
+
+// The LDAP_SERVER_NOTIFICATION_OID control, which makes a search go on until
+// abandoned, returning each object in scope as it changes.
+const notificationControl = control("1.2.840.113556.1.4.528", { criticality: true });
+
+// The LDAP_SERVER_DIRSYNC_OID control, which makes a search return only the
+// objects that changed since the search that returned cookie. It's critical, so
+// that a server that doesn't support it fails instead of returning everything.
+const dirSyncOID = "1.2.840.113556.1.4.841";
+// The maximum number of bytes for each response. The server uses a smaller
+// limit of its own.
+const dirSyncMaxBytes = 2 ** 31 - 1;
+// @arg cookie: A Buffer, empty for the first search.
+function dirSyncControl(cookie, flags = 0) {
+  assert(Buffer.isBuffer(cookie), "The DirSync cookie must be a Buffer");
+  return control(dirSyncOID, { criticality: true, value: encodeSequence(encodeInteger(flags), encodeInteger(dirSyncMaxBytes), encodeOctetString(cookie)) });
+}
+
+// Parse the DirSync control of a search result.
+// @return: { moreResults, cookie } where moreResults tells whether there are
+// more changes to fetch, and cookie is a Buffer for the next search.
+// @arg controls: The controls of the search result, as given by ldapjs.
+function parseDirSyncResponse(controls) {
+  const responseControl = _.find(controls, c => c.type === dirSyncOID);
+  if (!responseControl || !Buffer.isBuffer(responseControl.value)) {
+    throw futile.err("The search result has no DirSync control", { controls: _.map(controls, "type") });
+  }
+  const { value: sequence } = decodeTLV(responseControl.value, 0, tags.sequence);
+  const moreResults = decodeInteger(sequence, 0);
+  const unused = decodeInteger(sequence, moreResults.end);
+  const cookie = decodeTLV(sequence, unused.end, tags.octetString);
+  return { moreResults: moreResults.value !== 0, cookie: Buffer.from(cookie.value) };
+}
+
+// The server-side sort control. AD can only sort by one attribute. It's
+// critical, so that a server that can't sort fails instead of returning the
+// results unsorted.
+function sortControl(attribute, descending = false) {
+  return new ldapjs.ServerSideSortingRequestControl({ criticality: true, value: { attributeType: attribute, reverseOrder: descending } });
+}
+
+// The virtual list view control, asking for count sorted results starting at
+// offset, counted from 0. It requires the sort control.
+function vlvControl(offset, count) {
+  assert(_.isInteger(offset) && 0 <= offset, "The offset must be a non-negative integer");
+  assert(_.isInteger(count) && 1 <= count, "The count must be a positive integer");
+  // The server counts from 1, and contentCount 0 means that offset isn't
+  // relative to an earlier estimate of the number of results.
+  return new ldapjs.VirtualListViewRequestControl({ criticality: true, value: { beforeCount: 0, afterCount: count - 1, targetOffset: offset + 1, contentCount: 0 } });
+}
+
+// Parse the virtual list view control of a search result.
+// @return: The server's estimate of the number of results.
+// @arg controls: The controls of the search result, as given by ldapjs.
+function parseVLVResponse(controls) {
+  const responseControl = _.find(controls, c => c.type === ldapjs.VirtualListViewResponseControl.OID);
+  if (!responseControl) {
+    throw futile.err("The search result has no virtual list view control", { controls: _.map(controls, "type") });
+  }
+  const { contentCount, result } = responseControl.value;
+  if (result !== 0 || !_.isInteger(contentCount)) {
+    throw futile.err("The virtual list view failed", { result, contentCount });
+  }
+  return contentCount;
+}
+
+// Whether an error means that the server doesn't support a critical control,
+// or can't use it for the search, e.g. the sort control for an attribute that
+// can't be sorted by.
+const isUnavailableControlError = err => Boolean(err) && _.includes(["UnavailableCriticalExtensionError", "ControlError"], err.name);
+
+module.exports = {
+  control,
+  dirSyncControl,
+  encodeInteger,
+  encodeOctetString,
+  encodeSequence,
+  isUnavailableControlError,
+  notificationControl,
+  parseDirSyncResponse,
+  parseVLVResponse,
+  sdFlagsControl,
+  showDeletedControl,
+  sortControl,
+  vlvControl,
+};
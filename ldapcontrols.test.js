@@ -0,0 +1,72 @@
+"use strict";
+/* global test, expect */
+/* eslint-disable no-magic-numbers */
+const ldapjs = require("ldapjs");
+const ldapcontrols = require("./ldapcontrols.js");
+
+// The encoding of a search request with the given controls, as ldapjs sends it
+const encodedRequest = controls => new ldapjs.SearchRequest({ baseObject: "dc=example,dc=com", filter: ldapjs.parseFilter("(objectClass=*)"), controls }).toBer();
+
+test("BER encoding", () => {
+  expect(ldapcontrols.encodeInteger(0).toString("hex")).toBe("020100");
+  expect(ldapcontrols.encodeInteger(127).toString("hex")).toBe("02017f");
+  expect(ldapcontrols.encodeInteger(128).toString("hex")).toBe("02020080");
+  expect(ldapcontrols.encodeInteger(-1).toString("hex")).toBe("0201ff");
+  expect(ldapcontrols.encodeInteger(-129).toString("hex")).toBe("0202ff7f");
+  expect(ldapcontrols.encodeInteger(2 ** 31 - 1).toString("hex")).toBe("02047fffffff");
+  expect(() => ldapcontrols.encodeInteger(2 ** 31)).toThrow();
+  expect(ldapcontrols.encodeOctetString(Buffer.alloc(0)).toString("hex")).toBe("0400");
+  expect(ldapcontrols.encodeOctetString(Buffer.alloc(200)).subarray(0, 3).toString("hex")).toBe("0481c8");
+  expect(ldapcontrols.encodeOctetString(Buffer.alloc(300)).subarray(0, 4).toString("hex")).toBe("0482012c");
+  expect(ldapcontrols.encodeSequence(ldapcontrols.encodeInteger(7)).toString("hex")).toBe("3003020107");
+});
+
+test("Controls with binary values are sent as they are", () => {
+  const value = Buffer.from([0x30, 0x03, 0x02, 0x01, 0xff]);
+  const control = ldapcontrols.control("1.2.3.4", { criticality: true, value });
+  expect(encodedRequest([control]).includes(Buffer.concat([Buffer.from("0101ff0405", "hex"), value]))).toBe(true);
+  expect(encodedRequest([ldapcontrols.sdFlagsControl]).includes(Buffer.from("04053003020107", "hex"))).toBe(true);
+  expect(encodedRequest([ldapcontrols.showDeletedControl]).includes(Buffer.from("1.2.840.113556.1.4.417"))).toBe(true);
+  expect(encodedRequest([ldapcontrols.notificationControl]).includes(Buffer.from("1.2.840.113556.1.4.528"))).toBe(true);
+  expect(() => ldapcontrols.control("1.2.3.4", { value: "string" })).toThrow();
+});
+
+test("DirSync", () => {
+  const cookie = Buffer.from("cookie");
+  const request = ldapcontrols.dirSyncControl(cookie);
+  expect(request.type).toBe("1.2.840.113556.1.4.841");
+  expect(request.criticality).toBe(true);
+  expect(request.value.toString("hex")).toBe(`301102010002047fffffff0406${cookie.toString("hex")}`);
+  expect(encodedRequest([request]).includes(request.value)).toBe(true);
+  expect(() => ldapcontrols.dirSyncControl("cookie")).toThrow();
+
+  const response = value => [{ type: "1.2.840.113556.1.4.841", value: Buffer.from(value, "hex") }];
+  expect(ldapcontrols.parseDirSyncResponse(response("300b0201010201000403616263"))).toEqual({ moreResults: true, cookie: Buffer.from("abc") });
+  expect(ldapcontrols.parseDirSyncResponse([{ type: "1.2.3" }, ...response("3009020100020100040100")])).toEqual({ moreResults: false, cookie: Buffer.from([0]) });
+  expect(ldapcontrols.parseDirSyncResponse(response(`3082011202010002010004820108${"00".repeat(264)}`)).cookie.length).toBe(264);
+  expect(() => ldapcontrols.parseDirSyncResponse([])).toThrow("The search result has no DirSync control");
+  expect(() => ldapcontrols.parseDirSyncResponse(response("3008020100020100"))).toThrow();
+  expect(() => ldapcontrols.parseDirSyncResponse(response("300b020101020100040461626300"))).toThrow();
+});
+
+test("Sorting and virtual list views", () => {
+  const sort = ldapcontrols.sortControl("sn", true);
+  expect(sort.criticality).toBe(true);
+  expect(encodedRequest([sort]).includes(Buffer.from("040b300930070402736e8101ff", "hex"))).toBe(true);
+  expect(encodedRequest([ldapcontrols.sortControl("sn")]).includes(Buffer.from("0408300630040402736e", "hex"))).toBe(true);
+  const vlv = ldapcontrols.vlvControl(40, 50);
+  expect(vlv.criticality).toBe(true);
+  expect(encodedRequest([vlv]).includes(Buffer.from("0410300e020100020131a006020129020100", "hex"))).toBe(true);
+  expect(() => ldapcontrols.vlvControl(-1, 50)).toThrow();
+  expect(() => ldapcontrols.vlvControl(0, 0)).toThrow();
+
+  const response = value => [{ type: "2.16.840.1.113730.3.4.10", value }];
+  expect(ldapcontrols.parseVLVResponse(response({ targetPosition: 41, contentCount: 1234, result: 0 }))).toBe(1234);
+  expect(() => ldapcontrols.parseVLVResponse(response({ targetPosition: 41, contentCount: 1234, result: 76 }))).toThrow("The virtual list view failed");
+  expect(() => ldapcontrols.parseVLVResponse([])).toThrow("The search result has no virtual list view control");
+
+  expect(ldapcontrols.isUnavailableControlError({ name: "UnavailableCriticalExtensionError" })).toBe(true);
+  expect(ldapcontrols.isUnavailableControlError({ name: "ControlError" })).toBe(true);
+  expect(ldapcontrols.isUnavailableControlError({ name: "BusyError" })).toBe(false);
+  expect(ldapcontrols.isUnavailableControlError(null)).toBe(false);
+});
@@ -2,7 +2,12 @@
 /* eslint no-magic-numbers: ["error", { ignore: [0, 1, 2, 3] }] */
 const _ = require("lodash");
 const assert = require("assert");
+const { flagMask } = require("./bitflags.js");
+const ldapjs = require("ldapjs");
+const ldapformatting = require("./ldapformatting.js");
+const ldapparsing = require("./ldapparsing.js");
 const AttributeNameRE = /^[A-Za-z][A-Za-z0-9-]{0,59}$/u;
+const GuidRE = /^\{?[0-9A-Fa-f]{8}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{12}\}?$/u;
 
 // The following function is gratefully stolen from lib/helpers.js in the
 // package ldap-filter.
@@ -47,14 +52,67 @@ function _escape(inp) {
   }
 }
 
+// Format a path into a filter expression, e.g. [1, 2, 0] as "[1][2][0]"
+function formatPath(path) {
+  return path.length ? _.map(path, index => `[${index}]`).join("") : "the top level";
+}
+
+// Thrown when a filter expression is invalid.
+// @prop reason: A human-readable description of the problem.
+// @prop path: The indices leading from the whole expression to the offending
+// node, e.g. [1, 2, 0] for expression[1][2][0].
+// @prop node: The offending node, i.e. the subexpression, attribute name or
+// value at the path.
+class FilterValidationError extends Error {
+  constructor(reason, path, node) {
+    super(`Invalid filter expression at ${formatPath(path)}: ${reason}`);
+    this.name = "FilterValidationError";
+    this.reason = reason;
+    this.path = path;
+    this.node = node;
+  }
+}
+
+function check(condition, path, node, reason) {
+  if (!condition) {
+    throw new FilterValidationError(reason, path, node);
+  }
+}
+// Errors from the formatting functions concern the value at path
+function formatted(path, node, fn) {
+  try {
+    return fn();
+  } catch (err) {
+    throw new FilterValidationError(err.message, path, node);
+  }
+}
+// Synthesize each item, letting report decide what to do with the problems
+// found, so that the problems of all items can be collected.
+function each(items, fn, report) {
+  return _.map(items, (item, index) => {
+    try {
+      return fn(item, index);
+    } catch (err) {
+      if (!(err instanceof FilterValidationError)) {
+        throw err;
+      }
+      report(err);
+      return "";
+    }
+  });
+}
+
 // An LDAP Filter synthesizer. The purpose is to avoid injection vulnerabilities and other bugs related to escaping.
 // @return: The LDAP filter as a string
 // @arg i: A filter expression, made up of strings and arrays. See ./README.md for details.
 // @arg b: A set of the names for the attributes to treat as booleans.
+// @arg s: Optional schema information; an object mapping attribute names to
+// objects with an attributeSyntax property. Used for comparisons.
+// @throws: FilterValidationError for the first problem found in i.
 
 // Synthesize <attribute>
-function synthattribute(a) {
-  assert(typeof a === "string");
+function synthattribute(a, path) {
+  check(typeof a === "string", path, a, "The attribute name must be a string");
   // "_transitive_member" and "_transitive_memberOf" are special values for activating LDAP_MATCHING_RULE_TRANSITIVE_EVAL (a.k.a. LDAP_MATCHING_RULE_IN_CHAIN)
   if (a === "_transitive_member") {
     return "member:1.2.840.113556.1.4.1941:";
@@ -62,80 +120,345 @@ function synthattribute(a) {
   if (a === "_transitive_memberOf") {
     return "memberOf:1.2.840.113556.1.4.1941:";
   }
-  assert(a.match(AttributeNameRE));
+  check(a.match(AttributeNameRE), path, a, `'${a}' is not a valid attribute name`);
+  return a;
+}
+// Synthesize <attribute> for expressions that don't allow the special values
+// for transitive membership
+function synthplainattribute(a, path) {
+  check(typeof a === "string" && a.match(AttributeNameRE), path, a, `'${a}' is not a valid attribute name`);
   return a;
 }
 // Synthesize <value>
-function synthvalue(a) {
-  assert(typeof a === "string");
-  assert(a.match(/^.{1,255}$/u));
+function synthvalue(a, path) {
+  check(typeof a === "string", path, a, "The value must be a string");
+  check(a.match(/^.{1,255}$/u), path, a, "The value must be 1 to 255 characters long, without line breaks");
   return _escape(a);
 }
-// Synthesize <expression>
-function ldapfilter(i, b) {
-  assert(Array.isArray(i));
-  assert(_.isSet(b));
+// Synthesize a binary value, escaping every byte
+function synthbinary(a, path) {
+  assert(Buffer.isBuffer(a));
+  check(1 <= a.length, path, a, "A binary value must not be empty");
+  /* eslint-disable-next-line no-magic-numbers */
+  return _.map(a, byte => `\\${byte.toString(16).padStart(2, "0")}`).join("");
+}
+// The binary value to compare attribute a to for equality with v, or null if
+// v is a string value. Sid attributes accept SIDs in the form S-1-5-..., and
+// OctetString attributes accept GUIDs in the form {...}. These and Buffers are
+// sent as binary values.
+function equalitybinary(a, v, s, path) {
+  if (Buffer.isBuffer(v)) {
+    return v;
+  }
+  const syntax = _.get(s, [a, "attributeSyntax"]);
+  // Sid
+  if (syntax === "2.5.5.17" && typeof v === "string" && v.match(/^S-1-/u)) {
+    return formatted(path, v, () => ldapformatting.sidToLdapBuffer(v));
+  }
+  // OctetString
+  if (syntax === "2.5.5.10" && typeof v === "string" && v.match(GuidRE)) {
+    return formatted(path, v, () => ldapformatting.guidToLdapBuffer(v));
+  }
+  return null;
+}
+// Synthesize <value> for equality
+function synthequalityvalue(a, v, s, path) {
+  const binary = equalitybinary(a, v, s, path);
+  return binary ? synthbinary(binary, path) : synthvalue(v, path);
+}
+// Synthesize (<attribute>=<value>). The value is at valuePath, which differs
+// from [...path, 2] for the values of oneof.
+function synthequals(a, v, b, s, path, valuePath) {
+  const attribute = synthattribute(a, [...path, 1]);
+  if (b.has(a)) {
+    check(v === "TRUE" || v === "FALSE", valuePath, v, `'${a}' is a boolean attribute and can only be equal to 'TRUE' or 'FALSE'`);
+  }
+  return `(${attribute}=${synthequalityvalue(a, v, s, valuePath)})`;
+}
+// Synthesize <comparable>. Strings are used as they are, while other values
+// are encoded according to the syntax of the attribute.
+function synthcomparable(a, v, s, path) {
+  const syntax = _.get(s, [a, "attributeSyntax"]);
+  if (_.isDate(v)) {
+    // GeneralizedTime
+    if (syntax === "2.5.5.11") {
+      return synthvalue(formatted(path, v, () => ldapformatting.dateToADGeneralizedTime(v)), path);
+    }
+    // LargeInteger, if the attribute holds a date in the WinNT format
+    if (syntax === "2.5.5.16" && _.some(ldapparsing.winNTDateAttributes, x => x.toLowerCase() === a.toLowerCase())) {
+      return synthvalue(formatted(path, v, () => ldapformatting.dateToWinNT(v)), path);
+    }
+    check(false, path, v, `Cannot compare attribute '${a}' to a date`);
+  }
+  if (typeof v === "bigint" || Number.isSafeInteger(v)) {
+    return `${v}`;
+  }
+  if (Buffer.isBuffer(v)) {
+    return synthbinary(v, path);
+  }
+  return synthvalue(v, path);
+}
+// The AD matching rules allowed in "match" expressions, by name
+const matchingRules = {
+  // LDAP_MATCHING_RULE_BIT_AND
+  bitand: "1.2.840.113556.1.4.803",
+  // LDAP_MATCHING_RULE_BIT_OR
+  bitor: "1.2.840.113556.1.4.804",
+  // LDAP_MATCHING_RULE_TRANSITIVE_EVAL, a.k.a. LDAP_MATCHING_RULE_IN_CHAIN
+  inchain: "1.2.840.113556.1.4.1941",
+  // LDAP_MATCHING_RULE_DN_WITH_DATA
+  dnwithdata: "1.2.840.113556.1.4.2253",
+};
+// The name of a matching rule given by name or OID, or undefined if it isn't
+// allowed
+function matchingRuleName(rule) {
+  if (_.isString(rule) && _.has(matchingRules, rule)) {
+    return rule;
+  }
+  return _.findKey(matchingRules, oid => oid === rule);
+}
+// Synthesize ["match", attribute, rule, value]
+function synthmatch(i, b, s, path) {
+  const a = synthplainattribute(i[1], [...path, 1]);
+  const rule = matchingRuleName(i[2]);
+  check(rule, [...path, 2], i[2], `Unknown matching rule '${i[2]}'`);
+  const syntax = _.get(s, [a, "attributeSyntax"]);
+  let value = null;
+  switch (rule) {
+    case "bitand":
+    case "bitor":
+      check(!b.has(a), [...path, 1], a, `'${a}' is a boolean attribute and is not allowed with the '${rule}' matching rule`);
+      value = formatted([...path, 3], i[3], () => flagMask(a, i[3]));
+      break;
+    case "inchain":
+      // Only checked when the schema is known
+      check(_.get(s, [a, "linkID"]) !== null, [...path, 1], a, `'${a}' is not a linked attribute, so the 'inchain' matching rule cannot be used`);
+      value = synthvalue(i[3], [...path, 3]);
+      break;
+    default:
+      // DN-Binary and DN-String
+      check(_.isUndefined(syntax) || syntax === "2.5.5.7" || syntax === "2.5.5.14", [...path, 1], a, `'${a}' is not a DN-Binary or DN-String attribute, so the 'dnwithdata' matching rule cannot be used`);
+      value = synthvalue(i[3], [...path, 3]);
+  }
+  return `(${a}:${matchingRules[rule]}:=${value})`;
+}
+// Synthesize the attribute of a comparison
+function synthcomparableattribute(a, b, s, path) {
+  synthplainattribute(a, path);
+  check(!b.has(a), path, a, `'${a}' is a boolean attribute and is not allowed in comparisons`);
+  // DN
+  check(_.get(s, [a, "attributeSyntax"]) !== "2.5.5.1", path, a, `'${a}' is a DN attribute and is not allowed in comparisons`);
+  return a;
+}
+// The operators of the DSL, mapped to the number of operands each takes, or
+// the minimum number for "and" and "or". Shared with ldapfilterevaluator.js.
+const operators = {
+  and: 1,
+  or: 1,
+  not: 1,
+  equals: 2,
+  beginswith: 2,
+  endswith: 2,
+  contains: 2,
+  has: 1,
+  hasflag: 2,
+  hasanyflag: 2,
+  greaterorequal: 2,
+  lessorequal: 2,
+  between: 3,
+  oneof: 2,
+  match: 3,
+  true: 0,
+  false: 0,
+};
+const operandsText = n => (n === 1 ? "1 operand" : `${n} operands`);
+// Check that i is an expression with a known operator and the right number of
+// operands, but not the operands themselves
+// @return: The operator
+function checkExpression(i, path) {
+  check(Array.isArray(i) && i.length > 0, path, i, "A filter expression must be a non-empty array");
   const l = i.length;
-  assert(l > 0);
   const op = i[0];
-  assert(typeof op === "string");
+  check(typeof op === "string" && _.has(operators, op), [...path, 0], op, `Unknown operator '${op}'`);
+  if (op === "and" || op === "or") {
+    // The '&' and '|' syntax allows any number of operands >= 1, but let's use it only with at least 2.
+    check(l >= 2, path, i, `'${op}' needs at least 1 operand`);
+  } else {
+    check(l === operators[op] + 1, path, i, `'${op}' needs exactly ${operandsText(operators[op])}, but got ${l - 1}`);
+  }
+  return op;
+}
+// Synthesize <expression> at path, passing the problems found in
+// subexpressions to report
+function synth(i, b, s, path, report) {
+  const op = checkExpression(i, path);
+  const l = i.length;
+  // Ambiguous Name Resolution does its own prefix matching, and only works
+  // with equality
+  if (_.isString(i[1]) && i[1].toLowerCase() === "anr") {
+    check(op === "equals" || op === "oneof", [...path, 1], i[1], `'anr' is only allowed in 'equals' and 'oneof' expressions`);
+  }
+  const noBoolean = () => check(!b.has(i[1]), [...path, 1], i[1], `'${i[1]}' is a boolean attribute and is not allowed in '${op}' expressions`);
   switch (op) {
     case "and":
-    case "or":
-      // The '&' and '|' syntax allows any number of operands >= 1, but let's use it only with at least 2.
-      assert(l >= 2);
+    case "or": {
+      const operands = each(_.slice(i, 1), (x, index) => synth(x, b, s, [...path, index + 1], report), report);
       if (l === 2) {
-        return ldapfilter(i[1], b);
+        return operands[0];
       }
-      return `(${{ and: "&", or: "|" }[op]}${_.map(_.slice(i, 1), x => ldapfilter(x, b)).join("")})`;
+      return `(${{ and: "&", or: "|" }[op]}${operands.join("")})`;
+    }
     case "not":
-      assert(l === 2);
-      return `(!${ldapfilter(i[1], b)})`;
+      return `(!${synth(i[1], b, s, [...path, 1], report)})`;
     case "equals":
-      assert(l === 3);
-      if (b.has(i[1])) {
-        assert(i[2] === "TRUE" || i[2] === "FALSE", `'${i[1]} is a boolean attribute and can only be equal to 'TRUE' or 'FALSE'.`);
-      }
-      return `(${synthattribute(i[1])}=${synthvalue(i[2])})`;
+      return synthequals(i[1], i[2], b, s, path, [...path, 2]);
     case "beginswith":
-      assert(l === 3);
-      assert(!b.has(i[1]), `'${i[1]} is a boolean attribute and is not allowed in 'beginswith' expressions.`);
-      return `(${synthattribute(i[1])}=${synthvalue(i[2])}*)`;
+      noBoolean();
+      return `(${synthattribute(i[1], [...path, 1])}=${synthvalue(i[2], [...path, 2])}*)`;
     case "endswith":
-      assert(l === 3);
-      assert(!b.has(i[1]), `'${i[1]} is a boolean attribute and is not allowed in 'endswith' expressions.`);
-      return `(${synthattribute(i[1])}=*${synthvalue(i[2])})`;
+      noBoolean();
+      return `(${synthattribute(i[1], [...path, 1])}=*${synthvalue(i[2], [...path, 2])})`;
     case "contains":
-      assert(l === 3);
-      assert(!b.has(i[1]), `'${i[1]} is a boolean attribute and is not allowed in 'contains' expressions.`);
-      return `(${synthattribute(i[1])}=*${synthvalue(i[2])}*)`;
+      noBoolean();
+      return `(${synthattribute(i[1], [...path, 1])}=*${synthvalue(i[2], [...path, 2])}*)`;
     case "has":
-      assert(l === 2);
-      return `(${synthattribute(i[1])}=*)`;
-    case "oneof":
-      assert(l === 3);
-      {
-        const attribute = i[1];
-        const arrValue = i[2];
-        assert(_.isArray(arrValue));
-        if (arrValue.length === 0) {
-          // We're asked to match at least one of zero possibilities.
-          // This means matching no objects.
-          return ldapfilter(["false"], b);
-        }
-        // if arrValue has at least one element:
-        return ldapfilter(["or", ..._.map(arrValue, val => ["equals", attribute, val])], b);
+      return `(${synthattribute(i[1], [...path, 1])}=*)`;
+    case "hasflag":
+    case "hasanyflag": {
+      // LDAP_MATCHING_RULE_BIT_AND and LDAP_MATCHING_RULE_BIT_OR
+      const rule = { hasflag: "1.2.840.113556.1.4.803", hasanyflag: "1.2.840.113556.1.4.804" }[op];
+      synthplainattribute(i[1], [...path, 1]);
+      noBoolean();
+      return `(${i[1]}:${rule}:=${formatted([...path, 2], i[2], () => flagMask(i[1], i[2]))})`;
+    }
+    case "greaterorequal":
+      return `(${synthcomparableattribute(i[1], b, s, [...path, 1])}>=${synthcomparable(i[1], i[2], s, [...path, 2])})`;
+    case "lessorequal":
+      return `(${synthcomparableattribute(i[1], b, s, [...path, 1])}<=${synthcomparable(i[1], i[2], s, [...path, 2])})`;
+    case "between": {
+      const attribute = synthcomparableattribute(i[1], b, s, [...path, 1]);
+      const [low, high] = each([2, 3], index => synthcomparable(attribute, i[index], s, [...path, index]), report);
+      return `(&(${attribute}>=${low})(${attribute}<=${high}))`;
+    }
+    case "oneof": {
+      const arrValue = i[2];
+      check(_.isArray(arrValue), [...path, 2], arrValue, "The values of 'oneof' must be an array");
+      if (arrValue.length === 0) {
+        // We're asked to match at least one of zero possibilities.
+        // This means matching no objects.
+        return synth(["false"], b, s, path, report);
+      }
+      synthattribute(i[1], [...path, 1]);
+      const operands = each(arrValue, (val, index) => synthequals(i[1], val, b, s, path, [...path, 2, index]), report);
+      if (operands.length === 1) {
+        return operands[0];
       }
+      return `(|${operands.join("")})`;
+    }
+    case "match":
+      return synthmatch(i, b, s, path);
     case "true":
-      assert(l === 1);
-      return ldapfilter(["has", "objectClass"], b);
+      return "(objectClass=*)";
     case "false":
-      assert(l === 1);
-      return ldapfilter(["not", ["true"]], b);
+      return "(!(objectClass=*))";
     default:
-      throw Error("Error in LDAP filter expression");
+      throw Error("Unreachable");
   }
 }
+// Synthesize <expression>
+function ldapfilter(i, b, s = {}) {
+  assert(_.isSet(b), "The boolean attributes must be given as a Set");
+  assert(_.isPlainObject(s), "The schema information must be a plain object");
+  return synth(i, b, s, [], err => {
+    throw err;
+  });
+}
+
+// An ldapjs filter object for (<attribute>>=<value>) or
+// (<attribute><=<value>), where the value is a Buffer. ldapjs sends the values
+// of these filters as strings, so the raw bytes are sent here instead.
+function rawComparison(Filter, operator, attribute, raw) {
+  const filter = new Filter({ attribute, value: raw.toString("latin1") });
+  filter.raw = raw;
+  filter.toString = () => `(${attribute}${operator}${synthbinary(raw, [])})`;
+  filter._toBer = ber => {
+    ber.writeString(attribute);
+    // OctetString
+    /* eslint-disable-next-line no-magic-numbers */
+    ber.writeBuffer(raw, 0x04);
+    return ber;
+  };
+  return filter;
+}
+
+// Build the ldapjs filter object for <expression>, which must be valid.
+// Parsing a filter string, ldapjs re-encodes the escaped bytes of binary
+// values as UTF-8, so binary values are given to it as raw Buffers instead.
+function build(i, b, s) {
+  const op = i[0];
+  if ((op === "and" || op === "or") && i.length === 2) {
+    return build(i[1], b, s);
+  }
+  if (op === "and") {
+    return new ldapjs.AndFilter({ filters: _.map(_.slice(i, 1), x => build(x, b, s)) });
+  }
+  if (op === "or") {
+    return new ldapjs.OrFilter({ filters: _.map(_.slice(i, 1), x => build(x, b, s)) });
+  }
+  if (op === "not") {
+    return new ldapjs.NotFilter({ filter: build(i[1], b, s) });
+  }
+  // The special values for transitive membership make extensible filters,
+  // which can only have string values
+  if ((op === "equals" || op === "oneof") && i[1].match(AttributeNameRE)) {
+    const values = op === "equals" ? [i[2]] : i[2];
+    const binaries = _.map(values, v => equalitybinary(i[1], v, s, []));
+    if (_.some(binaries)) {
+      const filters = _.map(values, (v, index) => (binaries[index] ? new ldapjs.EqualityFilter({ attribute: i[1], raw: binaries[index] }) : build(["equals", i[1], v], b, s)));
+      return filters.length === 1 ? filters[0] : new ldapjs.OrFilter({ filters });
+    }
+  }
+  if (op === "greaterorequal" && Buffer.isBuffer(i[2])) {
+    return rawComparison(ldapjs.GreaterThanEqualsFilter, ">=", i[1], i[2]);
+  }
+  if (op === "lessorequal" && Buffer.isBuffer(i[2])) {
+    return rawComparison(ldapjs.LessThanEqualsFilter, "<=", i[1], i[2]);
+  }
+  if (op === "between" && (Buffer.isBuffer(i[2]) || Buffer.isBuffer(i[3]))) {
+    return new ldapjs.AndFilter({ filters: [build(["greaterorequal", i[1], i[2]], b, s), build(["lessorequal", i[1], i[3]], b, s)] });
+  }
+  return ldapjs.parseFilter(ldapfilter(i, b, s));
+}
+// Synthesize <expression> as an ldapjs filter object, for sending
+// @arg i, b, s: As for ldapfilter.
+// @throws: FilterValidationError for the first problem found in i.
+function ldapjsFilter(i, b, s = {}) {
+  // Validate the whole expression first
+  ldapfilter(i, b, s);
+  return build(i, b, s);
+}
+
+// Check a filter expression, like ldapfilter does, but collect every problem
+// instead of stopping at the first one. Problems in the operands of "and",
+// "or" and "between" and in the values of "oneof" are reported separately.
+// @return: An array of FilterValidationError, empty if the expression is valid.
+// @arg i, b, s: As for ldapfilter.
+function validateFilter(i, b, s = {}) {
+  assert(_.isSet(b), "The boolean attributes must be given as a Set");
+  assert(_.isPlainObject(s), "The schema information must be a plain object");
+  const problems = [];
+  const report = err => problems.push(err);
+  each([i], x => synth(x, b, s, [], report), report);
+  return problems;
+}
 
 module.exports = ldapfilter;
 module.exports.AttributeNameRE = AttributeNameRE;
+module.exports.GuidRE = GuidRE;
+module.exports.FilterValidationError = FilterValidationError;
+module.exports.validateFilter = validateFilter;
+module.exports.ldapjsFilter = ldapjsFilter;
+module.exports.operators = operators;
+module.exports.checkExpression = checkExpression;
+module.exports.matchingRules = matchingRules;
+module.exports.matchingRuleName = matchingRuleName;
@@ -1,5 +1,5 @@
 "use strict";
-/* global describe, test, expect */
+/* global describe, test, expect, Buffer */
 /* eslint-disable no-magic-numbers */
 const _ = require("lodash");
 const assert = require("assert");
@@ -46,6 +46,34 @@ describe("Test that erroneous ldap filter expressions won't be accepted", () =>
     ["endswith", "boolAttrib1", "FALSE"], // illegal operator for boolean attribute
     ["contains", "boolAttrib2", "TRUE"], // illegal operator for boolean attribute
     ["equals", "_abc", "def"], // underscore is illegal in attribute name
+    ["hasflag", "userAccountControl", "NO_SUCH_FLAG"], // unknown flag
+    ["hasflag", "userAccountControl", []], // no flags
+    ["hasflag", "userAccountControl", 0], // empty bit mask
+    ["hasflag", "userAccountControl", 2 ** 32], // bit mask out of range
+    ["hasflag", "userAccountControl", "2"], // bit masks must be integers
+    ["hasflag", "abc", "ACCOUNTDISABLE"], // unknown attribute requires bit mask
+    ["hasflag", "sAMAccountType", "USER_OBJECT"], // not a bit flag attribute
+    ["hasflag", "_transitive_member", 1], // special attributes not allowed
+    ["hasanyflag", "boolAttrib1", 1], // illegal operator for boolean attribute
+    ["hasflag", "userAccountControl"], // missing flags
+    ["match", "manager", "1.2.3", "cn=abc"], // unknown matching rule
+    ["match", "manager", "INCHAIN", "cn=abc"], // matching rule names are case-sensitive
+    ["match", "_transitive_member", "inchain", "cn=abc"], // special attributes not allowed
+    ["match", "manager", "inchain"], // missing value
+    ["match", "manager", "inchain", ""], // Values must not be empty
+    ["match", "userAccountControl", "bitand", "NO_SUCH_FLAG"], // unknown flag
+    ["match", "boolAttrib1", "bitor", 1], // boolean attributes not allowed
+    ["beginswith", "anr", "abc"], // anr only allowed with equality
+    ["has", "ANR"], // anr only allowed with equality
+    ["greaterorequal", "boolAttrib1", "TRUE"], // illegal operator for boolean attribute
+    ["lessorequal", "abc", new Date()], // dates require schema information
+    ["lessorequal", "abc", ""], // Values must not be empty
+    ["lessorequal", "abc", 1.5], // Numbers must be integers
+    ["greaterorequal", "_transitive_member", "def"], // special attributes not allowed
+    ["between", "abc", "1"], // between needs two values
+    ["between", "abc", "1", "2", "3"], // between needs two values
+    ["equals", "abc", Buffer.from([])], // Binary values must not be empty
+    ["beginswith", "abc", Buffer.from([1])], // Binary values only allowed for equality and comparisons
   ];
   for (const bad of test_erroneous_ldap_filters) {
     test(JSON.stringify(bad), () => {
@@ -328,6 +356,73 @@ describe("Test that ldap filter expressions are correctly synthesized", () => {
       exp: iter(2 ** 14, x => [...x, ["equals", "ab", "cd"]], ["and"]),
       obj: new ldapjs.AndFilter({ filters: iter(2 ** 14, x => [...x, new ldapjs.EqualityFilter({ attribute: "ab", value: "cd" })], []) }),
     },
+    {
+      //
+      str: "(&(userAccountControl:1.2.840.113556.1.4.803:=2)(!(userAccountControl:1.2.840.113556.1.4.803:=65552)))",
+      exp: ["and", ["hasflag", "userAccountControl", "ACCOUNTDISABLE"], ["not", ["hasflag", "userAccountControl", ["LOCKOUT", "DONT_EXPIRE_PASSWORD"]]]],
+      obj: new ldapjs.AndFilter({
+        filters: [
+          new ldapjs.ExtensibleFilter({ matchType: "userAccountControl", rule: "1.2.840.113556.1.4.803", value: "2" }),
+          new ldapjs.NotFilter({ filter: new ldapjs.ExtensibleFilter({ matchType: "userAccountControl", rule: "1.2.840.113556.1.4.803", value: "65552" }) }),
+        ],
+      }),
+    },
+    {
+      //
+      str: "(|(manager:1.2.840.113556.1.4.1941:=cn=M,dc=example)(member:1.2.840.113556.1.4.1941:=cn=G)(userAccountControl:1.2.840.113556.1.4.803:=2)(msDS-RevealedUsers:1.2.840.113556.1.4.2253:=cn=U))",
+      exp: [
+        "or",
+        ["match", "manager", "inchain", "cn=M,dc=example"],
+        ["match", "member", "1.2.840.113556.1.4.1941", "cn=G"],
+        ["match", "userAccountControl", "bitand", "ACCOUNTDISABLE"],
+        ["match", "msDS-RevealedUsers", "dnwithdata", "cn=U"],
+      ],
+      obj: new ldapjs.OrFilter({
+        filters: [
+          new ldapjs.ExtensibleFilter({ matchType: "manager", rule: "1.2.840.113556.1.4.1941", value: "cn=M,dc=example" }),
+          new ldapjs.ExtensibleFilter({ matchType: "member", rule: "1.2.840.113556.1.4.1941", value: "cn=G" }),
+          new ldapjs.ExtensibleFilter({ matchType: "userAccountControl", rule: "1.2.840.113556.1.4.803", value: "2" }),
+          new ldapjs.ExtensibleFilter({ matchType: "msDS-RevealedUsers", rule: "1.2.840.113556.1.4.2253", value: "cn=U" }),
+        ],
+      }),
+    },
+    {
+      //
+      str: "(|(groupType:1.2.840.113556.1.4.804:=2147483648)(abc:1.2.840.113556.1.4.804:=12))",
+      exp: ["or", ["hasanyflag", "groupType", "SECURITY_ENABLED"], ["hasanyflag", "abc", 12]],
+      obj: new ldapjs.OrFilter({
+        filters: [
+          new ldapjs.ExtensibleFilter({ matchType: "groupType", rule: "1.2.840.113556.1.4.804", value: "2147483648" }),
+          new ldapjs.ExtensibleFilter({ matchType: "abc", rule: "1.2.840.113556.1.4.804", value: "12" }),
+        ],
+      }),
+    },
+    {
+      //
+      str: "(&(uSNChanged>=12345678901234567890)(whenCreated<=20200101000000.0Z)(&(badPwdCount>=-1)(badPwdCount<=3)))",
+      exp: ["and", ["greaterorequal", "uSNChanged", 12345678901234567890n], ["lessorequal", "whenCreated", "20200101000000.0Z"], ["between", "badPwdCount", -1, 3]],
+      obj: new ldapjs.AndFilter({
+        filters: [
+          new ldapjs.GreaterThanEqualsFilter({ attribute: "uSNChanged", value: "12345678901234567890" }),
+          new ldapjs.LessThanEqualsFilter({ attribute: "whenCreated", value: "20200101000000.0Z" }),
+          new ldapjs.AndFilter({
+            filters: [new ldapjs.GreaterThanEqualsFilter({ attribute: "badPwdCount", value: "-1" }), new ldapjs.LessThanEqualsFilter({ attribute: "badPwdCount", value: "3" })],
+          }),
+        ],
+      }),
+    },
+    {
+      //
+      str: "(|(objectGUID=\\f6\\1b\\f0\\6e)(objectGUID=\\00\\2a\\28\\29\\5c)(objectGUID={6EF01BF6-D819-4B5D-818D-0B3A8CD2C096}))",
+      exp: ["oneof", "objectGUID", [Buffer.from([0xf6, 0x1b, 0xf0, 0x6e]), Buffer.from("\0*()\\"), "{6EF01BF6-D819-4B5D-818D-0B3A8CD2C096}"]],
+      obj: new ldapjs.OrFilter({
+        filters: [
+          new ldapjs.EqualityFilter({ attribute: "objectGUID", value: Buffer.from([0xf6, 0x1b, 0xf0, 0x6e]) }),
+          new ldapjs.EqualityFilter({ attribute: "objectGUID", value: Buffer.from("\0*()\\") }),
+          new ldapjs.EqualityFilter({ attribute: "objectGUID", value: "{6EF01BF6-D819-4B5D-818D-0B3A8CD2C096}" }),
+        ],
+      }),
+    },
     {
       //
       str: "(&(boolAttrib1=TRUE)(boolAttrib2=FALSE))",
@@ -351,3 +446,115 @@ describe("Test that ldap filter expressions are correctly synthesized", () => {
     });
   }
 });
+
+describe("Test that values are encoded according to the schema", () => {
+  const schema = {
+    whenCreated: { attributeSyntax: "2.5.5.11" },
+    lastLogonTimestamp: { attributeSyntax: "2.5.5.16" },
+    uSNChanged: { attributeSyntax: "2.5.5.16" },
+    manager: { attributeSyntax: "2.5.5.1" },
+  };
+  const date = new Date(Date.UTC(2020, 4, 5, 10, 51, 33));
+  test("dates", () => {
+    expect(ldapfilter(["lessorequal", "lastLogonTimestamp", date], booleanAttributes, schema)).toBe("(lastLogonTimestamp<=132331494930000000)");
+    expect(ldapfilter(["greaterorequal", "whenCreated", date], booleanAttributes, schema)).toBe("(whenCreated>=20200505105133.0Z)");
+    expect(ldapfilter(["not", ["between", "whenCreated", date, date]], booleanAttributes, schema)).toBe("(!(&(whenCreated>=20200505105133.0Z)(whenCreated<=20200505105133.0Z)))");
+    expect(ldapfilter(["lessorequal", "lastlogontimestamp", date], booleanAttributes, { lastlogontimestamp: schema.lastLogonTimestamp })).toBe("(lastlogontimestamp<=132331494930000000)");
+    // Other LargeInteger attributes, such as counters, don't hold dates
+    expect(() => ldapfilter(["greaterorequal", "uSNChanged", date], booleanAttributes, schema)).toThrow("Cannot compare attribute 'uSNChanged' to a date");
+    expect(ldapfilter(["greaterorequal", "uSNChanged", 12345n], booleanAttributes, schema)).toBe("(uSNChanged>=12345)");
+  });
+  test("GUIDs and SIDs", () => {
+    const guidSchema = { ...schema, objectGUID: { attributeSyntax: "2.5.5.10" }, objectSid: { attributeSyntax: "2.5.5.17" } };
+    expect(ldapfilter(["equals", "objectGUID", "{6EF01BF6-D819-4B5D-818D-0B3A8CD2C096}"], booleanAttributes, guidSchema)).toBe(
+      "(objectGUID=\\f6\\1b\\f0\\6e\\19\\d8\\5d\\4b\\81\\8d\\0b\\3a\\8c\\d2\\c0\\96)",
+    );
+    expect(ldapfilter(["oneof", "objectSid", ["S-1-5-32-544"]], booleanAttributes, guidSchema)).toBe(
+      "(objectSid=\\01\\02\\00\\00\\00\\00\\00\\05\\20\\00\\00\\00\\20\\02\\00\\00)",
+    );
+    expect(() => ldapfilter(["equals", "objectSid", "S-1-5-99999999999"], booleanAttributes, guidSchema)).toThrow();
+    expect(ldapfilter(["equals", "objectGUID", "abc"], booleanAttributes, guidSchema)).toBe("(objectGUID=abc)");
+  });
+  test("Binary values are sent as raw bytes", () => {
+    const guidSchema = { objectGUID: { attributeSyntax: "2.5.5.10" }, objectSid: { attributeSyntax: "2.5.5.17" }, cn: { attributeSyntax: "2.5.5.12" } };
+    const encoded = expression => new ldapjs.SearchRequest({ baseObject: "dc=example,dc=com", filter: ldapfilter.ldapjsFilter(expression, booleanAttributes, guidSchema) }).toBer().toString("hex");
+    const guid = "f61bf06e19d85d4b818d0b3a8cd2c096";
+    // The attribute name, followed by the 16 bytes of the GUID
+    const guidTerm = `040a${Buffer.from("objectGUID").toString("hex")}0410${guid}`;
+    expect(encoded(["equals", "objectGUID", "{6EF01BF6-D819-4B5D-818D-0B3A8CD2C096}"])).toContain(`a31e${guidTerm}`);
+    expect(encoded(["and", ["equals", "cn", "Åsa"], ["not", ["oneof", "objectGUID", [Buffer.from(guid, "hex"), "abc"]]]])).toContain(guidTerm);
+    expect(encoded(["equals", "cn", "Åsa"])).toContain(`0404${Buffer.from("Åsa").toString("hex")}`);
+    const filter = ldapfilter.ldapjsFilter(["and", ["equals", "cn", "Åsa"], ["oneof", "objectSid", ["S-1-5-32-544", "S-1-5-32-545"]], ["equals", "_transitive_member", "cn=abc"]], booleanAttributes, guidSchema);
+    expect(filter.filters[0].toString()).toBe("(cn=Åsa)");
+    expect(_.map(filter.filters[1].filters, f => f.raw.toString("hex"))).toEqual(["01020000000000052000000020020000", "01020000000000052000000021020000"]);
+    expect(filter.filters[2].toString()).toBe("(member:1.2.840.113556.1.4.1941:=cn=abc)");
+    expect(() => ldapfilter.ldapjsFilter(["equals", "objectGUID", Buffer.alloc(0)], booleanAttributes, guidSchema)).toThrow(ldapfilter.FilterValidationError);
+  });
+  test("Binary values in comparisons are sent as raw bytes", () => {
+    const schema = { objectGUID: { attributeSyntax: "2.5.5.10" }, cn: { attributeSyntax: "2.5.5.12" } };
+    const encoded = expression => new ldapjs.SearchRequest({ baseObject: "dc=example,dc=com", filter: ldapfilter.ldapjsFilter(expression, booleanAttributes, schema) }).toBer().toString("hex");
+    // Bytes that aren't valid UTF-8
+    const low = Buffer.from([0x00, 0xf6, 0xff]);
+    const high = Buffer.from([0xc0, 0x80, 0xfe]);
+    const term = value => `040a${Buffer.from("objectGUID").toString("hex")}0403${value.toString("hex")}`;
+    expect(encoded(["greaterorequal", "objectGUID", low])).toContain(`a511${term(low)}`);
+    expect(encoded(["lessorequal", "objectGUID", high])).toContain(`a611${term(high)}`);
+    expect(encoded(["between", "objectGUID", low, high])).toContain(`a511${term(low)}a611${term(high)}`);
+    // A string bound is sent as it is
+    expect(encoded(["between", "cn", Buffer.from("Å"), "Ö"])).toContain(`a6080402636e0402${Buffer.from("Ö").toString("hex")}`);
+    const filter = ldapfilter.ldapjsFilter(["between", "objectGUID", low, high], booleanAttributes, schema);
+    expect(filter.toString()).toBe("(&(objectGUID>=\\00\\f6\\ff)(objectGUID<=\\c0\\80\\fe))");
+    expect(ldapfilter(["between", "objectGUID", low, high], booleanAttributes, schema)).toBe("(&(objectGUID>=\\00\\f6\\ff)(objectGUID<=\\c0\\80\\fe))");
+  });
+  test("matching rules", () => {
+    const linkSchema = { manager: { attributeSyntax: "2.5.5.1", linkID: 42 }, cn: { attributeSyntax: "2.5.5.12", linkID: null } };
+    expect(ldapfilter(["match", "manager", "inchain", "cn=abc"], booleanAttributes, linkSchema)).toBe("(manager:1.2.840.113556.1.4.1941:=cn=abc)");
+    expect(() => ldapfilter(["match", "cn", "inchain", "cn=abc"], booleanAttributes, linkSchema)).toThrow("not a linked attribute");
+    expect(() => ldapfilter(["match", "cn", "dnwithdata", "cn=abc"], booleanAttributes, linkSchema)).toThrow("DN-Binary or DN-String");
+  });
+  test("anr", () => {
+    expect(ldapfilter(["equals", "anr", "jo sm*"], booleanAttributes)).toBe("(anr=jo sm\\2a)");
+  });
+  test("DN attributes", () => {
+    expect(() => ldapfilter(["greaterorequal", "manager", "cn=abc"], booleanAttributes, schema)).toThrow();
+    expect(ldapfilter(["equals", "manager", "cn=abc"], booleanAttributes, schema)).toBe("(manager=cn=abc)");
+  });
+});
+
+describe("Test that problems are reported with a path to the offending node", () => {
+  const { FilterValidationError, validateFilter } = ldapfilter;
+  const longValue = "x".repeat(256);
+  const catchError = fun => {
+    try {
+      fun();
+    } catch (err) {
+      return err;
+    }
+    throw Error("No error was thrown");
+  };
+  test("ldapfilter throws a FilterValidationError for the first problem", () => {
+    const err = catchError(() => ldapfilter(["and", ["has", "cn"], ["or", ["has", "mail"], ["oneof", "sn", [longValue]]]], booleanAttributes));
+    expect(err).toBeInstanceOf(FilterValidationError);
+    expect(err.path).toStrictEqual([2, 2, 2, 0]);
+    expect(err.node).toBe(longValue);
+    expect(err.reason).toMatch(/255 characters/u);
+    expect(err.message).toMatch(/^Invalid filter expression at \[2\]\[2\]\[2\]\[0\]: /u);
+  });
+  test("the offending node is the attribute, value or subexpression", () => {
+    expect(catchError(() => ldapfilter(["not", ["has", "1cn"]], booleanAttributes))).toMatchObject({ path: [1, 1], node: "1cn" });
+    expect(catchError(() => ldapfilter(["not", ["has", "cn"], ["has", "sn"]], booleanAttributes))).toMatchObject({ path: [], reason: "'not' needs exactly 1 operand, but got 2" });
+    expect(catchError(() => ldapfilter(["and", ["has", "cn"], ["equal", "cn", "x"]], booleanAttributes))).toMatchObject({ path: [2, 0], node: "equal", reason: "Unknown operator 'equal'" });
+    expect(catchError(() => ldapfilter(["or", "cn"], booleanAttributes))).toMatchObject({ path: [1], node: "cn" });
+    expect(catchError(() => ldapfilter(["equals", "boolAttrib1", "yes"], booleanAttributes))).toMatchObject({ path: [2], node: "yes" });
+    expect(catchError(() => ldapfilter(["hasflag", "userAccountControl", "NO_SUCH_FLAG"], booleanAttributes))).toMatchObject({ path: [2], reason: "Unknown flag 'NO_SUCH_FLAG' for attribute 'userAccountControl'" });
+    expect(catchError(() => ldapfilter(["between", "whenCreated", new Date(), "x"], booleanAttributes))).toMatchObject({ path: [2], reason: "Cannot compare attribute 'whenCreated' to a date" });
+  });
+  test("validateFilter collects every problem", () => {
+    expect(validateFilter(["and", ["has", "cn"], ["not", ["true"]]], booleanAttributes)).toStrictEqual([]);
+    const problems = validateFilter(["and", ["has", "1cn"], ["or", ["has", "mail"], ["not"], ["oneof", "sn", ["a", longValue, "b", ""]]], ["beginswith", "boolAttrib2", "x"]], booleanAttributes);
+    expect(_.every(problems, err => err instanceof FilterValidationError)).toBe(true);
+    expect(_.map(problems, "path")).toStrictEqual([[1, 1], [2, 2], [2, 3, 2, 1], [2, 3, 2, 3], [3, 1]]);
+    expect(validateFilter(["nand"], booleanAttributes)).toMatchObject([{ path: [0], node: "nand" }]);
+    expect(validateFilter("cn", booleanAttributes)).toMatchObject([{ path: [], node: "cn" }]);
+  });
+});
@@ -0,0 +1,310 @@
+"use strict";
+const _ = require("lodash");
+const assert = require("assert");
+const futile = require("@fujitsusweden/futile");
+const bitflags = require("./bitflags.js");
+const ldapfilter = require("./ldapfilter.js");
+const ldapformatting = require("./ldapformatting.js");
+const ldapparsing = require("./ldapparsing.js");
+const momentHandler = require("./momentHandler.js");
+const { GuidRE, matchingRuleName } = ldapfilter;
+const IntegerRE = /^-?[0-9]+$/u;
+
+// The syntaxes of the attributes whose string values are compared as
+// integers: Integer and LargeInteger
+const integerSyntaxes = ["2.5.5.9", "2.5.5.16"];
+// The GeneralizedTime and LargeInteger syntaxes
+const generalizedTimeSyntax = "2.5.5.11";
+const largeIntegerSyntax = "2.5.5.16";
+// The OctetString syntax, of e.g. objectGUID
+const octetStringSyntax = "2.5.5.10";
+
+// The key of an attribute in an object, looked up case-insensitively like AD
+// does, or undefined if there is none
+function keyOf(object, attribute) {
+  return attribute in object ? attribute : _.find(_.keys(object), k => k.toLowerCase() === attribute.toLowerCase());
+}
+
+// The attribute syntax OID of an attribute, or undefined if it isn't known
+function syntaxOf(schema, attribute) {
+  const key = keyOf(schema, attribute);
+  return key === undefined ? undefined : _.get(schema, [key, "attributeSyntax"]);
+}
+
+// Whether the string values of an attribute are compared as points in time.
+// That is GeneralizedTime attributes, and the LargeInteger attributes holding
+// dates in the WinNT format, like ldapfilter compares to dates. Other
+// LargeIntegers, e.g. uSNChanged, are only compared as integers.
+function isTimeAttribute(attribute, syntax) {
+  return syntax === generalizedTimeSyntax || (syntax === largeIntegerSyntax && _.some(ldapparsing.winNTDateAttributes, x => x.toLowerCase() === attribute.toLowerCase()));
+}
+
+// The values of an attribute, looked up case-insensitively like AD does.
+// Missing attributes, null and empty arrays all mean that the object has no
+// values. Decoded bit flags are encoded back into integers.
+function valuesOf(object, attribute) {
+  const key = keyOf(object, attribute);
+  const values = _.filter(_.castArray(key === undefined ? [] : object[key]), x => !_.isNil(x));
+  return _.map(values, value => (_.isPlainObject(value) && _.includes(bitflags.flagAttributes, key) ? bitflags.encodeFlags(key, value) : value));
+}
+
+// Interpret a string as a point in time, trying the formats used for dates in
+// filters and in the values returned by getObjects. Returns null if the string
+// isn't a date.
+function stringToTime(value) {
+  let date = null;
+  if (value.match(/^[0-9]{14}(?:[.,][0-9]+)?Z$/u)) {
+    date = ldapparsing.date_ADGeneralizedTime(value);
+  } else if (value.match(/^[0-9]{4}-[0-9]{2}-[0-9]{2} [0-9]{2}:[0-9]{2}:[0-9]{2}$/u)) {
+    date = momentHandler.parseDatestring(value, "YYYY-MM-DD HH:mm:ss");
+  } else if (value.match(/^[0-9]{15,19}$/u)) {
+    // WinNT
+    date = ldapparsing.date_WinNT(value);
+  }
+  return date && !_.isNaN(date.getTime()) ? date.getTime() : null;
+}
+
+// Turn a value into something that can be compared: { kind, value } where kind
+// is "time", "integer", "buffer" or "string".
+function comparable(value) {
+  if (_.isDate(value)) {
+    return { kind: "time", value: value.getTime() };
+  }
+  if (typeof value === "bigint" || _.isInteger(value)) {
+    return { kind: "integer", value: BigInt(value) };
+  }
+  if (Buffer.isBuffer(value)) {
+    return { kind: "buffer", value };
+  }
+  if (_.isBoolean(value)) {
+    return { kind: "string", value: value ? "TRUE" : "FALSE" };
+  }
+  return { kind: "string", value: `${value}` };
+}
+
+// Convert a string to the kind of the value it's compared to, or return null
+// if that isn't possible.
+function convertString(string, kind) {
+  switch (kind) {
+    case "time": {
+      const time = stringToTime(string);
+      return time === null ? null : { kind, value: time };
+    }
+    case "integer":
+      return string.match(IntegerRE) ? { kind, value: BigInt(string) } : null;
+    case "buffer":
+      if (string.match(GuidRE)) {
+        return { kind, value: ldapformatting.guidToLdapBuffer(string) };
+      }
+      if (string.match(/^S-1-/u)) {
+        return { kind, value: ldapformatting.sidToLdapBuffer(string) };
+      }
+      return null;
+    default:
+      return null;
+  }
+}
+
+// Compare two strings of an attribute with the given syntax. Integers and
+// dates are compared by their value only for attributes holding such values,
+// so that e.g. "00123" and "123" are different strings. GUIDs are compared by
+// the bytes they stand for, with or without braces, for OctetString attributes
+// and attributes of unknown syntax.
+function compareStrings(a, b, attribute, syntax) {
+  if (a.toLowerCase() === b.toLowerCase()) {
+    return 0;
+  }
+  if ((syntax === undefined || syntax === octetStringSyntax) && a.match(GuidRE) && b.match(GuidRE)) {
+    return Buffer.compare(ldapformatting.guidToLdapBuffer(a), ldapformatting.guidToLdapBuffer(b));
+  }
+  if (_.includes(integerSyntaxes, syntax) && a.match(IntegerRE) && b.match(IntegerRE)) {
+    return compareOrdered(BigInt(a), BigInt(b));
+  }
+  if (isTimeAttribute(attribute, syntax)) {
+    const [timeA, timeB] = [stringToTime(a), stringToTime(b)];
+    if (timeA !== null && timeB !== null) {
+      return Math.sign(timeA - timeB);
+    }
+  }
+  return compareOrdered(a.toLowerCase(), b.toLowerCase());
+}
+const compareOrdered = (a, b) => {
+  if (a === b) {
+    return 0;
+  }
+  return a < b ? -1 : 1;
+};
+
+// Compare two values of an attribute the way AD would, given its syntax.
+// Strings are compared case-insensitively, and converted to dates, integers or
+// binary values when compared to such values.
+// @return: A negative number, zero or a positive number, or null if the values
+// can't be compared.
+function compare(objectValue, filterValue, attribute, syntax) {
+  let a = comparable(objectValue);
+  let b = comparable(filterValue);
+  if (a.kind !== b.kind) {
+    if (a.kind === "string") {
+      a = convertString(a.value, b.kind);
+    } else if (b.kind === "string") {
+      b = convertString(b.value, a.kind);
+    } else if (a.kind === "time" && b.kind === "integer") {
+      b = convertString(`${b.value}`, "time");
+    } else if (a.kind === "integer" && b.kind === "time") {
+      a = convertString(`${a.value}`, "time");
+    } else {
+      return null;
+    }
+    if (a === null || b === null) {
+      return null;
+    }
+  }
+  switch (a.kind) {
+    case "buffer":
+      return Buffer.compare(a.value, b.value);
+    case "string":
+      return compareStrings(a.value, b.value, attribute, syntax);
+    default:
+      return compareOrdered(a.value, b.value);
+  }
+}
+
+const anyValue = (object, attribute, predicate) => _.some(valuesOf(object, attribute), predicate);
+const equals = (object, attribute, value, schema) => anyValue(object, attribute, x => compare(x, value, attribute, syntaxOf(schema, attribute)) === 0);
+const ordered = (n, predicate) => n !== null && predicate(n);
+// For substring matches, only strings and numbers are considered
+const anyString = (object, attribute, predicate) =>
+  anyValue(object, attribute, x => (_.isString(x) || _.isNumber(x) || typeof x === "bigint") && predicate(`${x}`.toLowerCase()));
+// The unsigned 32-bit value of an integer, or null for other values
+function unsigned32(value) {
+  if (_.isInteger(value) || typeof value === "bigint" || (_.isString(value) && value.match(IntegerRE))) {
+    /* eslint-disable-next-line no-bitwise */
+    return Number(BigInt.asUintN(32, BigInt(value)));
+  }
+  return null;
+}
+
+// How to evaluate each operator, given the object, the operands and the
+// schema. The keys must be the same as those of the operator table in
+// ldapfilter.js.
+const evaluators = {
+  and: (object, operands, schema) => _.every(operands, x => evaluate(x, object, schema)),
+  or: (object, operands, schema) => _.some(operands, x => evaluate(x, object, schema)),
+  not: (object, [operand], schema) => !evaluate(operand, object, schema),
+  equals: (object, [attribute, value], schema) => equals(object, attribute, value, schema),
+  beginswith: (object, [attribute, value]) => anyString(object, attribute, x => x.startsWith(value.toLowerCase())),
+  endswith: (object, [attribute, value]) => anyString(object, attribute, x => x.endsWith(value.toLowerCase())),
+  contains: (object, [attribute, value]) => anyString(object, attribute, x => x.includes(value.toLowerCase())),
+  has: (object, [attribute]) => valuesOf(object, attribute).length !== 0,
+  hasflag: (object, [attribute, flags]) => {
+    const mask = bitflags.flagMask(attribute, flags);
+    /* eslint-disable-next-line no-bitwise */
+    return anyValue(object, attribute, x => unsigned32(x) !== null && (unsigned32(x) & mask) >>> 0 === mask);
+  },
+  hasanyflag: (object, [attribute, flags]) => {
+    const mask = bitflags.flagMask(attribute, flags);
+    /* eslint-disable-next-line no-bitwise */
+    return anyValue(object, attribute, x => unsigned32(x) !== null && (unsigned32(x) & mask) !== 0);
+  },
+  // Only the bitwise matching rules get past check
+  match: (object, [attribute, rule, value]) => evaluators[matchingRuleName(rule) === "bitand" ? "hasflag" : "hasanyflag"](object, [attribute, value]),
+  greaterorequal: (object, [attribute, value], schema) => anyValue(object, attribute, x => ordered(compare(x, value, attribute, syntaxOf(schema, attribute)), n => n >= 0)),
+  lessorequal: (object, [attribute, value], schema) => anyValue(object, attribute, x => ordered(compare(x, value, attribute, syntaxOf(schema, attribute)), n => n <= 0)),
+  between: (object, [attribute, low, high], schema) => evaluators.greaterorequal(object, [attribute, low], schema) && evaluators.lessorequal(object, [attribute, high], schema),
+  oneof: (object, [attribute, values], schema) => _.some(values, value => equals(object, attribute, value, schema)),
+  true: () => true,
+  false: () => false,
+};
+assert(_.isEqual(_.sortBy(_.keys(evaluators)), _.sortBy(_.keys(ldapfilter.operators))), "The operators of ldapfilterevaluator.js and ldapfilter.js differ");
+
+// Check the whole expression before evaluating it, since evaluation may skip
+// parts of it. Invalid expressions fail like with validateFilter, with a
+// FilterValidationError. Expressions that are valid but need the server, e.g.
+// for transitive membership, are rejected with a plain error.
+function check(expression, schema) {
+  const booleanAttributes = new Set(_.filter(_.keys(schema), k => _.get(schema, [k, "attributeSyntax"]) === "2.5.5.8"));
+  ldapfilter(expression, booleanAttributes, schema);
+  checkClientSide(expression);
+}
+
+// Reject the parts of a valid expression that can't be evaluated client-side
+function checkClientSide([op, ...operands]) {
+  if (op === "and" || op === "or" || op === "not") {
+    operands.forEach(checkClientSide);
+    return;
+  }
+  const attribute = operands[0];
+  if (attribute === "_transitive_member" || attribute === "_transitive_memberOf") {
+    throw futile.err("Transitive membership cannot be evaluated client-side", { attribute });
+  }
+  if (_.isString(attribute) && attribute.toLowerCase() === "anr") {
+    throw futile.err("Ambiguous Name Resolution cannot be evaluated client-side", { attribute });
+  }
+  if (op === "match" && !_.includes(["bitand", "bitor"], matchingRuleName(operands[1]))) {
+    throw futile.err("This matching rule cannot be evaluated client-side", { attribute, rule: operands[1] });
+  }
+}
+
+function evaluate(expression, object, schema) {
+  const [op, ...operands] = expression;
+  return evaluators[op](object, operands, schema);
+}
+
+// Check whether an object matches a filter expression, with the same semantics
+// as AD: Attribute names and strings are case-insensitive, a multi-valued
+// attribute matches if any of its values matches, and an object without any
+// value for an attribute only matches expressions on it through "not".
+// Attributes that weren't fetched are treated as missing.
+// @return: true or false
+// @arg expression: A filter expression, see ./README.md for details.
+// @arg object: An object as returned by getObjects, in either value mode.
+// @arg schema: Optional schema information; an object mapping attribute names
+// to objects with an attributeSyntax property. Without it, strings are only
+// compared as strings.
+function evaluateFilter(expression, object, schema = {}) {
+  assert(_.isPlainObject(object), "The object must be a plain object");
+  assert(_.isPlainObject(schema), "The schema information must be a plain object");
+  check(expression, schema);
+  return evaluate(expression, object, schema);
+}
+
+// The names of the attributes that a filter expression refers to, as written
+// in it. Throws like evaluateFilter if the expression can't be evaluated.
+function filterAttributes(expression) {
+  check(expression, {});
+  const ret = [];
+  const visit = ([op, ...operands]) => {
+    if (op === "and" || op === "or" || op === "not") {
+      operands.forEach(visit);
+    } else if (op !== "true" && op !== "false") {
+      ret.push(operands[0]);
+    }
+  };
+  visit(expression);
+  return _.uniq(ret);
+}
+
+// Sort objects by an attribute, for when the server can't. Values are compared
+// like in filters, a multi-valued attribute is sorted by its lowest value, or
+// its highest when sorting in descending order, and objects without a value
+// come last. Objects with equal values keep their order.
+// @return: A new array.
+// @arg objects: Objects as returned by getObjects, in either value mode.
+// @arg schema: Optional schema information, as for evaluateFilter.
+function sortObjects(objects, attribute, descending = false, schema = {}) {
+  const direction = descending ? -1 : 1;
+  const syntax = syntaxOf(schema, attribute);
+  const cmp = (a, b) => direction * (compare(a, b, attribute, syntax) || 0);
+  const keyed = _.map(objects, object => ({ object, key: _.reduce(valuesOf(object, attribute), (a, b) => (cmp(b, a) < 0 ? b : a)) }));
+  keyed.sort((a, b) => {
+    if (_.isUndefined(a.key) || _.isUndefined(b.key)) {
+      return _.isUndefined(a.key) - _.isUndefined(b.key);
+    }
+    return cmp(a.key, b.key);
+  });
+  return _.map(keyed, "object");
+}
+
+module.exports = evaluateFilter;
+module.exports.filterAttributes = filterAttributes;
+module.exports.sortObjects = sortObjects;
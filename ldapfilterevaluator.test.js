@@ -0,0 +1,182 @@
+"use strict";
+/* global describe, test, expect, Buffer */
+/* eslint-disable no-magic-numbers */
+const evaluateFilter = require("./ldapfilterevaluator.js");
+const { filterAttributes } = evaluateFilter;
+const { FilterValidationError, validateFilter } = require("./ldapfilter.js");
+const moment = require("moment");
+
+// whenCreated, as formatted in local time and as a Date
+const whenCreated = new Date(Date.UTC(2020, 4, 5, 10, 51, 33));
+const whenCreatedFormatted = moment(whenCreated).format("YYYY-MM-DD HH:mm:ss");
+
+const formattedObject = {
+  sAMAccountName: "JSmith",
+  displayName: "John Smith",
+  mail: null,
+  proxyAddresses: ["SMTP:john.smith@example.com", "smtp:js@example.com"],
+  memberOf: [],
+  isCriticalSystemObject: false,
+  userAccountControl: 66050,
+  badPwdCount: 3,
+  whenCreated: whenCreatedFormatted,
+  objectGUID: "{6EF01BF6-D819-4B5D-818D-0B3A8CD2C096}",
+  objectSid: "S-1-5-21-1-2-3-1104",
+  uSNChanged: "12345",
+};
+const typedObject = {
+  ...formattedObject,
+  whenCreated,
+  userAccountControl: { ACCOUNTDISABLE: true, NORMAL_ACCOUNT: true, DONT_EXPIRE_PASSWORD: true },
+  uSNChanged: 12345n,
+  objectSid: Buffer.from("01050000000000051500000001000000020000000300000050040000", "hex"),
+};
+
+const schema = {
+  sAMAccountName: { attributeSyntax: "2.5.5.12" },
+  badPwdCount: { attributeSyntax: "2.5.5.9" },
+  whenCreated: { attributeSyntax: "2.5.5.11" },
+  uSNChanged: { attributeSyntax: "2.5.5.16" },
+  pwdLastSet: { attributeSyntax: "2.5.5.16" },
+  employeeID: { attributeSyntax: "2.5.5.12" },
+  sn: { attributeSyntax: "2.5.5.12" },
+};
+
+describe("Test that filter expressions are evaluated like AD does", () => {
+  const test_cases = [
+    [["equals", "sAMAccountName", "jsmith"], true],
+    [["equals", "samaccountname", "JSMITH"], true],
+    [["equals", "sAMAccountName", "smith"], false],
+    [["equals", "proxyAddresses", "smtp:JS@example.com"], true],
+    [["equals", "isCriticalSystemObject", "FALSE"], true],
+    [["equals", "isCriticalSystemObject", "TRUE"], false],
+    [["equals", "badPwdCount", "3"], true],
+    [["equals", "objectGUID", "{6ef01bf6-d819-4b5d-818d-0b3a8cd2c096}"], true],
+    [["equals", "objectGUID", Buffer.from("f61bf06e19d85d4b818d0b3a8cd2c096", "hex")], true],
+    [["beginswith", "displayName", "john"], true],
+    [["endswith", "displayName", "SMITH"], true],
+    [["contains", "proxyAddresses", "JS@"], true],
+    [["contains", "displayName", "x"], false],
+    [["has", "mail"], false],
+    [["has", "memberOf"], false],
+    [["has", "displayName"], true],
+    [["not", ["has", "mail"]], true],
+    [["not", ["equals", "mail", "x"]], true],
+    [["hasflag", "userAccountControl", ["ACCOUNTDISABLE", "NORMAL_ACCOUNT"]], true],
+    [["hasflag", "userAccountControl", ["ACCOUNTDISABLE", "LOCKOUT"]], false],
+    [["hasanyflag", "userAccountControl", ["ACCOUNTDISABLE", "LOCKOUT"]], true],
+    [["greaterorequal", "badPwdCount", 3], true],
+    [["greaterorequal", "badPwdCount", "4"], false],
+    [["lessorequal", "uSNChanged", "99999"], true],
+    [["greaterorequal", "whenCreated", new Date(Date.UTC(2020, 4, 5, 10, 51, 33))], true],
+    [["greaterorequal", "whenCreated", "20200505105134.0Z"], false],
+    [["between", "whenCreated", new Date(Date.UTC(2020, 0, 1)), new Date(Date.UTC(2021, 0, 1))], true],
+    [["lessorequal", "sAMAccountName", "k"], true],
+    [["oneof", "sAMAccountName", ["abc", "jsmith"]], true],
+    [["oneof", "sAMAccountName", []], false],
+    [["and", ["has", "displayName"], ["or", ["has", "mail"], ["equals", "badPwdCount", "3"]]], true],
+    [["and", ["has", "displayName"], ["has", "mail"]], false],
+    [["true"], true],
+    [["false"], false],
+  ];
+  for (const [expression, expected] of test_cases) {
+    test(JSON.stringify(expression), () => {
+      expect(evaluateFilter(expression, formattedObject, schema)).toBe(expected);
+      expect(evaluateFilter(expression, typedObject, schema)).toBe(expected);
+    });
+  }
+  test("Strings are compared according to the attribute syntax", () => {
+    const object = { employeeID: "123", sn: "10", badPwdCount: "10", whenCreated: whenCreatedFormatted, uSNChanged: "132331494930000000", pwdLastSet: "132331494930000000" };
+    expect(evaluateFilter(["equals", "employeeID", "00123"], object, schema)).toBe(false);
+    expect(evaluateFilter(["lessorequal", "sn", "9"], object, schema)).toBe(true);
+    expect(evaluateFilter(["lessorequal", "badPwdCount", "9"], object, schema)).toBe(false);
+    expect(evaluateFilter(["equals", "badPwdCount", "010"], object, schema)).toBe(true);
+    expect(evaluateFilter(["greaterorequal", "whenCreated", "20200505105134.0Z"], object, schema)).toBe(false);
+    expect(evaluateFilter(["greaterorequal", "whenCreated", "20200505105133.0Z"], object, schema)).toBe(true);
+    // Only LargeInteger attributes holding dates in the WinNT format are
+    // compared as points in time
+    expect(evaluateFilter(["equals", "pwdLastSet", "20200505105133.0Z"], object, schema)).toBe(true);
+    expect(evaluateFilter(["equals", "uSNChanged", "20200505105133.0Z"], object, schema)).toBe(false);
+    expect(evaluateFilter(["lessorequal", "uSNChanged", "132331494940000000"], object, schema)).toBe(true);
+    // Attribute names are looked up in the schema case-insensitively
+    expect(evaluateFilter(["equals", "badpwdcount", "010"], object, schema)).toBe(true);
+    // Without the schema, strings are only compared as strings
+    expect(evaluateFilter(["equals", "badPwdCount", "010"], object)).toBe(false);
+    expect(evaluateFilter(["greaterorequal", "whenCreated", "20200505105133.0Z"], object)).toBe(false);
+    expect(() => evaluateFilter(["true"], object, null)).toThrow("The schema information must be a plain object");
+  });
+  test("GUIDs", () => {
+    for (const guid of ["6ef01bf6-d819-4b5d-818d-0b3a8cd2c096", "{6EF01BF6-D819-4B5D-818D-0B3A8CD2C096}"]) {
+      expect(evaluateFilter(["equals", "objectGUID", guid], formattedObject)).toBe(true);
+      expect(evaluateFilter(["equals", "objectGUID", guid], { objectGUID: "6EF01BF6-D819-4B5D-818D-0B3A8CD2C096" }, { objectGUID: { attributeSyntax: "2.5.5.10" } })).toBe(true);
+    }
+    expect(evaluateFilter(["equals", "objectGUID", "6ef01bf6-d819-4b5d-818d-0b3a8cd2c097"], formattedObject)).toBe(false);
+    // Only OctetString attributes hold GUIDs
+    expect(evaluateFilter(["equals", "sAMAccountName", "6ef01bf6-d819-4b5d-818d-0b3a8cd2c096"], { sAMAccountName: "{6ef01bf6-d819-4b5d-818d-0b3a8cd2c096}" }, schema)).toBe(false);
+  });
+  test("SIDs", () => {
+    expect(evaluateFilter(["equals", "objectSid", "S-1-5-21-1-2-3-1104"], typedObject)).toBe(true);
+    expect(evaluateFilter(["equals", "objectSid", "S-1-5-21-1-2-3-1105"], formattedObject)).toBe(false);
+  });
+});
+
+describe("Test that invalid filter expressions are rejected", () => {
+  const test_cases = [[], ["nand"], ["not"], ["equals", "cn"], ["and"], ["and", "cn"], ["oneof", "cn", "x"], ["has", 1], ["equals", "_transitive_memberOf", "cn=x"], ["equals", "anr", "smith"]];
+  for (const expression of test_cases) {
+    test(JSON.stringify(expression), () => {
+      expect(() => evaluateFilter(expression, formattedObject)).toThrow();
+    });
+  }
+  test("with the operand checks of validateFilter", () => {
+    for (const expression of [["beginswith", "sn", 5], ["equals", "sn", ""], ["greaterorequal", "cn", {}], ["oneof", "sn", [1.5]], ["hasflag", "userAccountControl", "NOSUCHFLAG"]]) {
+      expect(() => evaluateFilter(expression, formattedObject, schema)).toThrow(FilterValidationError);
+      expect(validateFilter(expression, new Set(), schema)).toHaveLength(1);
+    }
+    expect(() => evaluateFilter(["beginswith", "sn", 5], formattedObject)).toThrow(expect.objectContaining({ path: [2], node: 5 }));
+    expect(() => evaluateFilter(["greaterorequal", "uSNChanged", new Date()], formattedObject, schema)).toThrow("Cannot compare attribute 'uSNChanged' to a date");
+  });
+  test("with a path to the offending node", () => {
+    expect(() => evaluateFilter(["and", ["has", "cn"], ["not"]], formattedObject)).toThrow(FilterValidationError);
+    expect(() => evaluateFilter(["or", ["true"], ["and", ["has", "sn"], ["equal", "cn", "x"]]], formattedObject)).toThrow(
+      expect.objectContaining({ path: [2, 2, 0], node: "equal" }),
+    );
+  });
+});
+
+test("Test that matching rules are evaluated where possible", () => {
+  expect(evaluateFilter(["match", "userAccountControl", "bitand", ["ACCOUNTDISABLE", "NORMAL_ACCOUNT"]], typedObject)).toBe(true);
+  expect(evaluateFilter(["match", "userAccountControl", "1.2.840.113556.1.4.804", 16], formattedObject)).toBe(false);
+  expect(() => evaluateFilter(["match", "manager", "inchain", "cn=abc"], formattedObject)).toThrow();
+  expect(() => evaluateFilter(["match", "manager", "nosuchrule", "cn=abc"], formattedObject)).toThrow(FilterValidationError);
+  // Even where evaluation wouldn't get to them
+  expect(() => evaluateFilter(["or", ["true"], ["match", "manager", "inchain", "cn=abc"]], formattedObject)).toThrow("This matching rule cannot be evaluated client-side");
+  expect(() => evaluateFilter(["and", ["false"], ["equals", "_transitive_memberOf", "cn=abc"]], formattedObject)).toThrow("Transitive membership cannot be evaluated client-side");
+});
+
+test("filterAttributes", () => {
+  expect(filterAttributes(["true"])).toEqual([]);
+  expect(filterAttributes(["and", ["has", "mail"], ["or", ["equals", "cn", "x"], ["not", ["hasflag", "userAccountControl", 2]]], ["oneof", "mail", ["a", "b"]]])).toEqual(["mail", "cn", "userAccountControl"]);
+  expect(() => filterAttributes(["equals", "anr", "smith"])).toThrow("Ambiguous Name Resolution cannot be evaluated client-side");
+  expect(() => filterAttributes(["and"])).toThrow(FilterValidationError);
+});
+
+test("sortObjects", () => {
+  const objects = [
+    { cn: "b", sn: "Svensson", badPwdCount: 10, proxyAddresses: ["smtp:x", "SMTP:c"] },
+    { cn: "a", sn: "andersson", badPwdCount: 9 },
+    { cn: "c", sn: null, badPwdCount: "2", proxyAddresses: ["smtp:b"] },
+    { cn: "d", sn: "Berg", proxyAddresses: [] },
+    { cn: "e", sn: "berg", badPwdCount: 10n, proxyAddresses: ["smtp:a", "smtp:z"] },
+  ];
+  const order = (...args) => evaluateFilter.sortObjects(...args).map(x => x.cn).join("");
+  expect(order(objects, "sn")).toBe("adebc");
+  expect(order(objects, "sn", true)).toBe("bdeac");
+  expect(order(objects, "badPwdCount")).toBe("cabed");
+  expect(order(objects, "proxyAddresses")).toBe("ecbad");
+  expect(order(objects, "proxyAddresses", true)).toBe("ebcad");
+  expect(order(objects, "whenCreated")).toBe("bacde");
+  const strings = [{ cn: "a", sn: "10" }, { cn: "b", sn: "9" }, { cn: "c", sn: "010" }];
+  expect(order(strings, "sn")).toBe("cab");
+  expect(order(strings, "sn", false, { sn: { attributeSyntax: "2.5.5.9" } })).toBe("bac");
+  expect(objects[0].cn).toBe("b");
+});
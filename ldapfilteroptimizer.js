@@ -0,0 +1,176 @@
+"use strict";
+const _ = require("lodash");
+const assert = require("assert");
+
+// A string identifying an expression, used for removing duplicates. Dates,
+// BigInts and Buffers are kept apart from strings.
+function expressionKey(expression) {
+  return JSON.stringify(expression, function (key, value) {
+    const original = this[key];
+    if (_.isDate(original)) {
+      return { date: original.toISOString() };
+    }
+    if (typeof original === "bigint") {
+      return { bigint: `${original}` };
+    }
+    if (Buffer.isBuffer(original)) {
+      return { buffer: original.toString("hex") };
+    }
+    return value;
+  });
+}
+
+const uniqueByKey = values => _.uniqBy(values, expressionKey);
+
+// Merge the equals and oneof expressions of an "or" into one oneof per
+// attribute, placed where the first of them was.
+function mergeOneofs(operands) {
+  const values = {};
+  const ret = [];
+  for (const operand of operands) {
+    const [op, attribute, value] = operand;
+    if (op === "equals" || op === "oneof") {
+      if (!(attribute in values)) {
+        values[attribute] = [];
+        ret.push(attribute);
+      }
+      values[attribute].push(...(op === "equals" ? [value] : value));
+    } else {
+      ret.push(operand);
+    }
+  }
+  return _.map(ret, x => (_.isString(x) ? optimizeFilter(["oneof", x, values[x]]) : x));
+}
+
+// Rewrite a filter expression into an equivalent one that is smaller and
+// cheaper to evaluate. Nested "and"s and "or"s are flattened, duplicate
+// operands and values are removed, "true" and "false" are folded away, double
+// negations are removed, and equals and oneof expressions on the same attribute
+// in an "or" are merged. The expression must be valid, since parts of it may be
+// left out.
+// @return: The optimized filter expression. The argument is not altered.
+// @arg expression: A filter expression, see ./README.md for details.
+function optimizeFilter(expression) {
+  const [op, ...args] = expression;
+  switch (op) {
+    case "and":
+    case "or": {
+      // The value that decides the result on its own, and the one that can be
+      // left out.
+      const [dominant, neutral] = op === "and" ? ["false", "true"] : ["true", "false"];
+      let operands = [];
+      for (const operand of _.map(args, optimizeFilter)) {
+        if (operand[0] === op) {
+          operands.push(..._.slice(operand, 1));
+        } else if (operand[0] === dominant) {
+          return [dominant];
+        } else if (operand[0] !== neutral) {
+          operands.push(operand);
+        }
+      }
+      if (op === "or") {
+        operands = mergeOneofs(operands);
+      }
+      operands = uniqueByKey(operands);
+      if (operands.length === 0) {
+        return [neutral];
+      }
+      if (operands.length === 1) {
+        return operands[0];
+      }
+      return [op, ...operands];
+    }
+    case "not": {
+      const operand = optimizeFilter(args[0]);
+      if (operand[0] === "not") {
+        return operand[1];
+      }
+      if (operand[0] === "true") {
+        return ["false"];
+      }
+      if (operand[0] === "false") {
+        return ["true"];
+      }
+      return ["not", operand];
+    }
+    case "oneof": {
+      const [attribute, values] = args;
+      const uniqueValues = uniqueByKey(values);
+      if (uniqueValues.length === 0) {
+        return ["false"];
+      }
+      if (uniqueValues.length === 1) {
+        return ["equals", attribute, uniqueValues[0]];
+      }
+      return ["oneof", attribute, uniqueValues];
+    }
+    default:
+      return expression;
+  }
+}
+
+// Replace the subexpression at path, copying only what's needed
+function replaceAt(expression, path, replacement) {
+  if (path.length === 0) {
+    return replacement;
+  }
+  const [index, ...rest] = path;
+  const ret = [...expression];
+  ret[index] = replaceAt(expression[index], rest, replacement);
+  return ret;
+}
+
+// The oneofs that splitFilter can split, as [path, oneof]
+function splittableOneofs(expression, path = []) {
+  const [op, ...args] = expression;
+  if (op === "and" || op === "or") {
+    return _.flatMap(args, (arg, index) => splittableOneofs(arg, [...path, index + 1]));
+  }
+  return op === "oneof" ? [[path, expression]] : [];
+}
+
+// The number of expressions that splitFilter would split an expression into.
+// Each oneof that is split multiplies it by the number of parts it's split
+// into, so several large oneofs can make it very large.
+function splitCount(expression, maxValues) {
+  assert(_.isInteger(maxValues) && 1 <= maxValues, "maxValues must be a positive integer");
+  return _.reduce(splittableOneofs(expression), (product, [ignored__path, [ignored__op, ignored__attribute, values]]) => product * Math.max(1, Math.ceil(values.length / maxValues)), 1);
+}
+
+// Split a filter expression into several, so that no oneof has more than
+// maxValues values, and so that an object matches the original expression if
+// and only if it matches at least one of the returned expressions. Only oneofs
+// that aren't negated can be split this way, so other oneofs are left as they
+// are. If that would take more than maxExpressions expressions, the expression
+// is not split at all.
+// @return: A non-empty array of filter expressions.
+function splitFilter(expression, maxValues, maxExpressions = Infinity) {
+  assert(_.isInteger(maxValues) && 1 <= maxValues, "maxValues must be a positive integer");
+  assert(maxExpressions === Infinity || (_.isInteger(maxExpressions) && 1 <= maxExpressions), "maxExpressions must be a positive integer");
+  if (maxExpressions < splitCount(expression, maxValues)) {
+    return [expression];
+  }
+  return split(expression, maxValues);
+}
+function split(expression, maxValues) {
+  // Find the largest oneof that needs splitting
+  let largestPath = null;
+  let largestLength = maxValues;
+  for (const [path, [ignored__op, ignored__attribute, values]] of splittableOneofs(expression)) {
+    if (largestLength < values.length) {
+      largestPath = path;
+      largestLength = values.length;
+    }
+  }
+  if (!largestPath) {
+    return [expression];
+  }
+  const [ignored__op, attribute, values] = largestPath.length ? _.get(expression, largestPath) : expression;
+  return _.flatMap(_.chunk(values, maxValues), chunk => split(replaceAt(expression, largestPath, ["oneof", attribute, chunk]), maxValues));
+}
+
+module.exports = {
+  optimizeFilter,
+  splitCount,
+  splitFilter,
+};
@@ -0,0 +1,79 @@
+"use strict";
+/* global describe, test, expect, Buffer */
+/* eslint-disable no-magic-numbers */
+const _ = require("lodash");
+const { optimizeFilter, splitCount, splitFilter } = require("./ldapfilteroptimizer.js");
+
+describe("Test that filter expressions are optimized", () => {
+  const test_cases = [
+    [["equals", "a", "b"], ["equals", "a", "b"]],
+    [["and", ["and", ["equals", "a", "b"], ["equals", "c", "d"]], ["and", ["equals", "e", "f"]]], ["and", ["equals", "a", "b"], ["equals", "c", "d"], ["equals", "e", "f"]]],
+    [["and", ["equals", "a", "b"], ["equals", "a", "b"], ["has", "c"]], ["and", ["equals", "a", "b"], ["has", "c"]]],
+    [["and", ["true"], ["equals", "a", "b"]], ["equals", "a", "b"]],
+    [["and", ["false"], ["equals", "a", "b"]], ["false"]],
+    [["or", ["true"], ["equals", "a", "b"]], ["true"]],
+    [["or", ["false"], ["has", "a"]], ["has", "a"]],
+    [["and", ["true"], ["true"]], ["true"]],
+    [["or", ["false"]], ["false"]],
+    [["not", ["not", ["has", "a"]]], ["has", "a"]],
+    [["not", ["not", ["not", ["has", "a"]]]], ["not", ["has", "a"]]],
+    [["not", ["true"]], ["false"]],
+    [["not", ["and", ["false"], ["has", "a"]]], ["true"]],
+    [["oneof", "a", []], ["false"]],
+    [["oneof", "a", ["b", "b"]], ["equals", "a", "b"]],
+    [["oneof", "a", ["b", "c", "b", "c"]], ["oneof", "a", ["b", "c"]]],
+    [["or", ["equals", "a", "b"], ["has", "x"], ["oneof", "a", ["c", "b"]], ["equals", "d", "e"]], ["or", ["oneof", "a", ["b", "c"]], ["has", "x"], ["equals", "d", "e"]]],
+    [["or", ["equals", "a", "b"], ["or", ["equals", "a", "b"]]], ["equals", "a", "b"]],
+    [["and", ["equals", "a", "b"], ["equals", "a", "c"]], ["and", ["equals", "a", "b"], ["equals", "a", "c"]]],
+    [["oneof", "a", [Buffer.from("b"), "b", Buffer.from("b")]], ["oneof", "a", [Buffer.from("b"), "b"]]],
+    [["and", ["lessorequal", "a", new Date(0)], ["lessorequal", "a", "1970-01-01T00:00:00.000Z"], ["lessorequal", "a", 5n], ["lessorequal", "a", "5"], ["lessorequal", "a", 5n]], ["and", ["lessorequal", "a", new Date(0)], ["lessorequal", "a", "1970-01-01T00:00:00.000Z"], ["lessorequal", "a", 5n], ["lessorequal", "a", "5"]]],
+    [["or", ...Array(1000).fill(["equals", "a", "b"])], ["equals", "a", "b"]],
+  ];
+  for (const [index, [expression, optimized]] of test_cases.entries()) {
+    test(`${index}`, () => {
+      const clone = _.cloneDeep(expression);
+      expect(optimizeFilter(expression)).toEqual(optimized);
+      expect(expression).toEqual(clone);
+    });
+  }
+});
+
+describe("Test that filter expressions are split", () => {
+  test("small oneofs are left alone", () => {
+    const expression = ["and", ["oneof", "a", ["1", "2"]], ["not", ["oneof", "b", ["1", "2", "3"]]]];
+    expect(splitFilter(expression, 2)).toEqual([expression]);
+  });
+  test("top level oneof", () => {
+    expect(splitFilter(["oneof", "a", ["1", "2", "3", "4", "5"]], 2)).toEqual([["oneof", "a", ["1", "2"]], ["oneof", "a", ["3", "4"]], ["oneof", "a", ["5"]]]);
+  });
+  test("nested oneofs", () => {
+    const expression = ["and", ["has", "x"], ["or", ["oneof", "a", ["1", "2", "3"]], ["oneof", "b", ["1", "2"]]], ["not", ["oneof", "c", ["1", "2", "3"]]]];
+    const clone = _.cloneDeep(expression);
+    const negated = ["not", ["oneof", "c", ["1", "2", "3"]]];
+    expect(splitFilter(expression, 1)).toEqual([
+      ["and", ["has", "x"], ["or", ["oneof", "a", ["1"]], ["oneof", "b", ["1"]]], negated],
+      ["and", ["has", "x"], ["or", ["oneof", "a", ["1"]], ["oneof", "b", ["2"]]], negated],
+      ["and", ["has", "x"], ["or", ["oneof", "a", ["2"]], ["oneof", "b", ["1"]]], negated],
+      ["and", ["has", "x"], ["or", ["oneof", "a", ["2"]], ["oneof", "b", ["2"]]], negated],
+      ["and", ["has", "x"], ["or", ["oneof", "a", ["3"]], ["oneof", "b", ["1"]]], negated],
+      ["and", ["has", "x"], ["or", ["oneof", "a", ["3"]], ["oneof", "b", ["2"]]], negated],
+    ]);
+    expect(expression).toEqual(clone);
+  });
+  test("several large oneofs multiply the number of expressions, up to a limit", () => {
+    const values = _.map(_.range(10000), x => `${x}`);
+    const expression = ["and", ["oneof", "a", values], ["oneof", "b", values]];
+    expect(splitCount(expression, 100)).toBe(10000);
+    // Beyond the limit, the expression is left as it is
+    expect(splitFilter(expression, 100, 1000)).toEqual([expression]);
+    const small = ["and", ["oneof", "a", ["1", "2", "3"]], ["oneof", "b", ["1", "2", "3", "4"]], ["not", ["oneof", "c", ["1", "2", "3"]]]];
+    expect(splitCount(small, 2)).toBe(4);
+    expect(splitFilter(small, 2, 4)).toHaveLength(4);
+    expect(splitFilter(small, 2, 3)).toEqual([small]);
+    expect(splitCount(["has", "a"], 2)).toBe(1);
+  });
+  test("invalid maxValues", () => {
+    expect(() => splitFilter(["true"], 0)).toThrow();
+    expect(() => splitFilter(["true"], 1, 0)).toThrow("maxExpressions must be a positive integer");
+  });
+});
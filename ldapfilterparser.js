@@ -0,0 +1,198 @@
+"use strict";
+const _ = require("lodash");
+const futile = require("@fujitsusweden/futile");
+const ldapfilter = require("./ldapfilter.js");
+const { AttributeNameRE, matchingRuleName } = ldapfilter;
+
+// The bitwise matching rules have expressions of their own in the DSL
+const bitwiseOperators = { bitand: "hasflag", bitor: "hasanyflag" };
+const transitiveAttributes = { member: "_transitive_member", memberOf: "_transitive_memberOf" };
+
+// Parse an RFC 4515 LDAP filter string into a filter expression for
+// ldapfilter. Whitespace between the components of "&", "|" and "!" is
+// ignored. Constructs that the DSL can't represent, e.g. approximate matches,
+// substring patterns other than those of beginswith, endswith and contains,
+// and extensible matches with matching rules that "match" doesn't allow, are
+// rejected.
+// @return: A filter expression, that ldapfilter turns back into an equivalent
+// filter string.
+// @arg filterString: The LDAP filter as a string.
+function parseFilter(filterString) {
+  if (!_.isString(filterString)) {
+    throw futile.err("The LDAP filter must be a string", { filterString });
+  }
+  let pos = 0;
+  const fail = reason => {
+    throw futile.err(`Cannot parse LDAP filter: ${reason}`, { filterString, position: pos });
+  };
+  const skipWhitespace = () => {
+    while (pos < filterString.length && filterString[pos].match(/\s/u)) {
+      pos++;
+    }
+  };
+  const expect = char => {
+    if (filterString[pos] !== char) {
+      fail(`expected '${char}'`);
+    }
+    pos++;
+  };
+
+  // Parse an escaped value, and split it on unescaped asterisks. Each part is
+  // a string, or a Buffer if it isn't valid UTF-8.
+  const parseValueParts = () => {
+    const parts = [];
+    let bytes = [];
+    const endPart = () => {
+      const buffer = Buffer.from(bytes);
+      const string = buffer.toString("utf8");
+      parts.push(Buffer.from(string, "utf8").equals(buffer) ? string : buffer);
+      bytes = [];
+    };
+    while (pos < filterString.length && filterString[pos] !== ")") {
+      const char = filterString[pos];
+      if (char === "(" || char === "\0") {
+        fail(`'${char}' must be escaped in values`);
+      }
+      if (char === "*") {
+        endPart();
+        pos++;
+      } else if (char === "\\") {
+        const hex = filterString.slice(pos + 1, pos + 3);
+        if (!hex.match(/^[0-9A-Fa-f]{2}$/u)) {
+          fail("invalid escape sequence");
+        }
+        /* eslint-disable-next-line no-magic-numbers */
+        bytes.push(Number.parseInt(hex, 16));
+        pos += 3;
+      } else {
+        const codePoint = filterString.codePointAt(pos);
+        bytes.push(...Buffer.from(String.fromCodePoint(codePoint), "utf8"));
+        pos += String.fromCodePoint(codePoint).length;
+      }
+    }
+    endPart();
+    return parts;
+  };
+
+  const parseAttribute = () => {
+    const match = filterString.slice(pos).match(/^[A-Za-z0-9-]*/u);
+    const attribute = match[0];
+    if (!attribute.match(AttributeNameRE)) {
+      fail("invalid attribute name");
+    }
+    pos += attribute.length;
+    return attribute;
+  };
+
+  // Parse the item in "(item)", after the attribute name
+  const parseItem = attribute => {
+    if (filterString[pos] === ":") {
+      const match = filterString.slice(pos).match(/^:([0-9.]+):=/u);
+      const rule = match && matchingRuleName(match[1]);
+      if (!rule) {
+        fail("unsupported extensible match");
+      }
+      pos += match[0].length;
+      const parts = parseValueParts();
+      if (parts.length !== 1 || !_.isString(parts[0])) {
+        fail("invalid value for extensible match");
+      }
+      if (rule in bitwiseOperators) {
+        if (!parts[0].match(/^[0-9]{1,10}$/u)) {
+          fail("bit masks must be integers");
+        }
+        return [bitwiseOperators[rule], attribute, Number.parseInt(parts[0])];
+      }
+      if (rule === "inchain" && attribute in transitiveAttributes) {
+        return ["equals", transitiveAttributes[attribute], parts[0]];
+      }
+      return ["match", attribute, rule, parts[0]];
+    }
+    const match = filterString.slice(pos).match(/^(=|>=|<=|~=)/u);
+    if (!match) {
+      fail("expected a filter type");
+    }
+    pos += match[0].length;
+    const parts = parseValueParts();
+    if (match[0] === "~=") {
+      fail("approximate matches are not supported");
+    }
+    if (match[0] !== "=") {
+      if (parts.length !== 1) {
+        fail("wildcards are not allowed in comparisons");
+      }
+      return [{ ">=": "greaterorequal", "<=": "lessorequal" }[match[0]], attribute, parts[0]];
+    }
+    const isEmpty = part => part.length === 0;
+    if (parts.length === 1) {
+      return ["equals", attribute, parts[0]];
+    }
+    if (_.every(parts, isEmpty)) {
+      if (parts.length === 2) {
+        return ["has", attribute];
+      }
+      fail("unsupported substring pattern");
+    }
+    if (_.some(parts, part => !_.isString(part))) {
+      fail("substring patterns must be valid UTF-8");
+    }
+    if (parts.length === 2 && isEmpty(parts[1])) {
+      return ["beginswith", attribute, parts[0]];
+    }
+    if (parts.length === 2 && isEmpty(parts[0])) {
+      return ["endswith", attribute, parts[1]];
+    }
+    if (parts.length === 3 && isEmpty(parts[0]) && isEmpty(parts[2])) {
+      return ["contains", attribute, parts[1]];
+    }
+    return fail("unsupported substring pattern");
+  };
+
+  const parseExpression = () => {
+    skipWhitespace();
+    expect("(");
+    let ret = null;
+    const char = filterString[pos];
+    if (char === "&" || char === "|") {
+      pos++;
+      const operands = [];
+      for (skipWhitespace(); filterString[pos] === "("; skipWhitespace()) {
+        operands.push(parseExpression());
+      }
+      if (operands.length === 0) {
+        // RFC 4526 absolute true and false. Return the same as for the
+        // strings ldapfilter produces for ["true"] and ["false"], so that
+        // parsing is stable.
+        ret = char === "&" ? ["has", "objectClass"] : ["not", ["has", "objectClass"]];
+      } else if (operands.length === 1) {
+        [ret] = operands;
+      } else {
+        ret = [char === "&" ? "and" : "or", ...operands];
+      }
+    } else if (char === "!") {
+      pos++;
+      ret = ["not", parseExpression()];
+      skipWhitespace();
+    } else {
+      ret = parseItem(parseAttribute());
+    }
+    expect(")");
+    return ret;
+  };
+
+  const ret = parseExpression();
+  skipWhitespace();
+  if (pos !== filterString.length) {
+    fail("unexpected characters after the filter");
+  }
+  // Make sure the result is something ldapfilter accepts, e.g. that values
+  // aren't too long.
+  try {
+    ldapfilter(ret, new Set());
+  } catch (err) {
+    throw futile.err("Cannot parse LDAP filter: the result is not a valid filter expression", { filterString, err });
+  }
+  return ret;
+}
+
+module.exports = parseFilter;
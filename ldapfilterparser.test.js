@@ -0,0 +1,88 @@
+"use strict";
+/* global describe, test, expect, Buffer */
+const ldapfilter = require("./ldapfilter.js");
+const parseFilter = require("./ldapfilterparser.js");
+
+const noBooleans = new Set();
+
+describe("Test that filter strings are parsed correctly", () => {
+  const test_cases = [
+    ["(cn=abc)", ["equals", "cn", "abc"]],
+    ["(&(cn=lkj\\2a\\28)(cn=lkj\\2a\\28*))", ["and", ["equals", "cn", "lkj*("], ["beginswith", "cn", "lkj*("]]],
+    ["(|(!(name=*Qwer*))(givenName=*P.\\29)(uid=*))", ["or", ["not", ["contains", "name", "Qwer"]], ["endswith", "givenName", "P.)"], ["has", "uid"]]],
+    ["(name=[]{}<>\\28\\29=\\2a\\00\\5cÅÄÖåäö)", ["equals", "name", "[]{}<>()=*\u0000\\ÅÄÖåäö"]],
+    ["(name=\\c3\\85)", ["equals", "name", "Å"]],
+    ["(objectGUID=\\f6\\1b\\f0\\6e)", ["equals", "objectGUID", Buffer.from([0xf6, 0x1b, 0xf0, 0x6e])]],
+    ["(&(uSNChanged>=123)(whenCreated<=20200101000000.0Z))", ["and", ["greaterorequal", "uSNChanged", "123"], ["lessorequal", "whenCreated", "20200101000000.0Z"]]],
+    ["(userAccountControl:1.2.840.113556.1.4.803:=2)", ["hasflag", "userAccountControl", 2]],
+    ["(groupType:1.2.840.113556.1.4.804:=2147483648)", ["hasanyflag", "groupType", 2147483648]],
+    ["(memberOf:1.2.840.113556.1.4.1941:=cn=G,dc=example)", ["equals", "_transitive_memberOf", "cn=G,dc=example"]],
+    ["(manager:1.2.840.113556.1.4.1941:=cn=M,dc=example)", ["match", "manager", "inchain", "cn=M,dc=example"]],
+    ["(msDS-RevealedUsers:1.2.840.113556.1.4.2253:=cn=U,dc=example)", ["match", "msDS-RevealedUsers", "dnwithdata", "cn=U,dc=example"]],
+    ["(&(a=b))", ["equals", "a", "b"]],
+    ["(&)", ["has", "objectClass"]],
+    ["(|)", ["not", ["has", "objectClass"]]],
+    [" (&\n  (a=b)\n  (!\t(c=d) )\n) ", ["and", ["equals", "a", "b"], ["not", ["equals", "c", "d"]]]],
+    ["(cn= a b )", ["equals", "cn", " a b "]],
+  ];
+  for (const [filterString, expression] of test_cases) {
+    test(JSON.stringify(filterString), () => {
+      expect(parseFilter(filterString)).toEqual(expression);
+    });
+  }
+});
+
+describe("Test that unsupported or invalid filter strings are rejected", () => {
+  const test_cases = [
+    "",
+    "cn=abc",
+    "(cn=abc",
+    "(cn=abc))",
+    "(cn=abc)(cn=def)",
+    "(cn~=abc)",
+    "(cn=a*b)",
+    "(cn=*a*b*)",
+    "(cn=**)",
+    "(cn=)",
+    "(cn=a(b)",
+    "(cn=\\2)",
+    "(cn=\\zz)",
+    "(cn>=a*)",
+    "(_cn=abc)",
+    "(cn;binary=abc)",
+    "(1.2.3=abc)",
+    "(cn:dn:=abc)",
+    "(cn:1.2.3:=abc)",
+    "(userAccountControl:1.2.840.113556.1.4.803:=abc)",
+    "(userAccountControl:1.2.840.113556.1.4.803:=0)",
+    "(manager:1.2.840.113556.1.4.1941:=cn=abc*)",
+    "(objectGUID=*\\f6*)",
+    `(cn=${"a".repeat(256)})`,
+    "(!(a=b)(c=d))",
+    "(!)",
+    null,
+  ];
+  for (const filterString of test_cases) {
+    test(JSON.stringify(filterString), () => {
+      expect(() => parseFilter(filterString)).toThrow();
+    });
+  }
+});
+
+test("Test that parsing is stable", () => {
+  const filterStrings = [
+    "(&(cn=lkj\\2a\\28)(cn=lkj\\2a\\28*))",
+    "(|(!(name=*Qwer*))(givenName=*P.\\29)(uid=*))",
+    "(name=\\c3\\85\\00\\ff)",
+    "(&(member:1.2.840.113556.1.4.1941:=cn=U)(userAccountControl:1.2.840.113556.1.4.804:=18)(x<=1))",
+    "(&)",
+    "(|)",
+    "(objectClass=*)",
+  ];
+  for (const filterString of filterStrings) {
+    const expression = parseFilter(filterString);
+    const synthesized = ldapfilter(expression, noBooleans);
+    expect(parseFilter(synthesized)).toEqual(expression);
+    expect(ldapfilter(parseFilter(synthesized), noBooleans)).toBe(synthesized);
+  }
+});
@@ -0,0 +1,143 @@
+"use strict";
+const _ = require("lodash");
+const assert = require("assert");
+const momentHandler = require("./momentHandler.js");
+const futile = require("@fujitsusweden/futile");
+const ldapparsing = require("./ldapparsing.js");
+
+// The functions in this file are the reverse of those in ldapparsing.js. Each
+// takes a value in the format produced by its counterpart, and returns a string
+// or Buffer suitable for sending to the LDAP server.
+
+// Dates may be given either as Date objects or as strings in the format
+// produced by ldapparsing, i.e. local time formatted as "YYYY-MM-DD HH:mm:ss".
+function toDate(value) {
+  let date = null;
+  if (_.isDate(value)) {
+    date = value;
+  } else if (_.isString(value) && value.match(/^[0-9]{4}-[0-9]{2}-[0-9]{2} [0-9]{2}:[0-9]{2}:[0-9]{2}$/u)) {
+    date = momentHandler.parseDatestring(value, "YYYY-MM-DD HH:mm:ss");
+  }
+  if (!date || _.isNaN(date.getTime())) {
+    throw futile.err("This value does not format to a date", { value });
+  }
+  return date;
+}
+
+// See ldapparsing.dateFormatter_WinNT
+exports.dateToWinNT = function (value) {
+  const milliseconds_since_1970 = BigInt(toDate(value).getTime());
+  /* eslint-disable-next-line no-magic-numbers */
+  const milliseconds_since_1601 = milliseconds_since_1970 + 11644473600000n;
+  /* eslint-disable-next-line no-magic-numbers */
+  return `${milliseconds_since_1601 * 10000n}`;
+};
+
+// See ldapparsing.dateFormatter_WinNTOrNever and
+// ldapparsing.dateFormatter_WinNTOrZero. null, which is what both values
+// meaning "never" are read as, and ldapparsing.winNTZero are written as 0, so
+// that a value read can be written back with the same meaning.
+exports.dateToWinNTOrNever = function (value) {
+  return value === null || value === ldapparsing.winNTZero ? "0" : exports.dateToWinNT(value);
+};
+
+exports.dateToADGeneralizedTime = function (value) {
+  const iso = toDate(value).toISOString();
+  const [ignored__match, year, month, day, hour, minute, second] = iso.match(/^([0-9]{4})-([0-9]{2})-([0-9]{2})T([0-9]{2}):([0-9]{2}):([0-9]{2})\.[0-9]{3}Z$/u);
+  return `${year}${month}${day}${hour}${minute}${second}.0Z`;
+};
+
+// Parse a string of hexadecimal digits into an array of byte values
+function hexToBytes(hexString) {
+  assert(hexString.length % 2 === 0 && hexString.match(/^[0-9A-Fa-f]*$/u), "Invalid hexadecimal string");
+  return _.map(_.chunk(hexString, 2), pair => Number.parseInt(pair.join(""), 16));
+}
+
+// See ldapparsing.ldapBufferToGuid
+exports.guidToLdapBuffer = function (value) {
+  if (Buffer.isBuffer(value)) {
+    assert(value.length === 16, "A GUID must be 16 bytes long");
+    return value;
+  }
+  const match = _.isString(value) && value.match(/^\{?([0-9A-Fa-f]{8})-([0-9A-Fa-f]{4})-([0-9A-Fa-f]{4})-([0-9A-Fa-f]{4})-([0-9A-Fa-f]{12})\}?$/u);
+  if (!match) {
+    throw futile.err("This value does not format to a GUID", { value });
+  }
+  const [ignored__match, g1, g2, g3, g4, g5] = match;
+  // The first three groups are little-endian, the last two big-endian.
+  return Buffer.from([..._.reverse(hexToBytes(g1)), ..._.reverse(hexToBytes(g2)), ..._.reverse(hexToBytes(g3)), ...hexToBytes(g4), ...hexToBytes(g5)]);
+};
+
+// See ldapparsing.ldapBufferToSid
+exports.sidToLdapBuffer = function (value) {
+  if (Buffer.isBuffer(value)) {
+    return value;
+  }
+  const match = _.isString(value) && value.match(/^S-1-([0-9]+)((?:-[0-9]+)*)$/u);
+  if (!match) {
+    throw futile.err("This value does not format to a SID", { value });
+  }
+  const authority = BigInt(match[1]);
+  const subauthorities = _.map(_.compact(match[2].split("-")), BigInt);
+  /* eslint-disable no-magic-numbers, no-bitwise */
+  assert(authority < 1n << 48n, "SID authority out of range");
+  assert(subauthorities.length <= 255, "Too many SID subauthorities");
+  assert(_.every(subauthorities, x => x < 1n << 32n), "SID subauthority out of range");
+  const bytes = [1, subauthorities.length];
+  for (let shift = 40n; 0n <= shift; shift -= 8n) {
+    bytes.push(Number((authority >> shift) & 0xffn));
+  }
+  for (const subauthority of subauthorities) {
+    for (let shift = 0n; shift < 32n; shift += 8n) {
+      bytes.push(Number((subauthority >> shift) & 0xffn));
+    }
+  }
+  /* eslint-enable no-magic-numbers, no-bitwise */
+  return Buffer.from(bytes);
+};
+
+// See ldapparsing.ldapBufferToGenericOctetString
+exports.genericOctetStringToLdapBuffer = function (value) {
+  if (Buffer.isBuffer(value)) {
+    return value;
+  }
+  if (!_.isString(value) || !value.match(/^([0-9A-Fa-f]{2}( [0-9A-Fa-f]{2})*)?$/u)) {
+    throw futile.err("This value does not format to an octet string", { value });
+  }
+  return Buffer.from(hexToBytes(value.replace(/ /gu, "")));
+};
+
+exports.ldapBool = function (value) {
+  if (value === true) {
+    return "TRUE";
+  }
+  if (value === false) {
+    return "FALSE";
+  }
+  throw futile.err("This value does not format to a boolean", { value });
+};
+
+// See ldapparsing.largeInteger. Accepts both BigInts and strings, since
+// LargeInteger values are returned as strings unless the "typed" value mode is
+// used.
+exports.largeInteger = function (value) {
+  let n = null;
+  if (typeof value === "bigint") {
+    n = value;
+  } else if (_.isString(value) && value.match(/^-?[0-9]{1,19}$/u)) {
+    n = BigInt(value);
+  }
+  /* eslint-disable-next-line no-magic-numbers */
+  if (n !== null && -(2n ** 63n) <= n && n < 2n ** 63n) {
+    return `${n}`;
+  }
+  throw futile.err("This value does not format to a signed 64-bit integer", { value });
+};
+
+exports.int32 = function (value) {
+  /* eslint-disable-next-line no-magic-numbers */
+  if (_.isInteger(value) && -2147483648 <= value && value <= 2147483647) {
+    return `${value}`;
+  }
+  throw futile.err("This value does not format to a signed 32-bit integer", { value });
+};
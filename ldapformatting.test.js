@@ -0,0 +1,143 @@
+"use strict";
+/* global test, expect, Buffer */
+/* eslint-disable no-magic-numbers */
+const ldapformatting = require("./ldapformatting.js");
+const ldapparsing = require("./ldapparsing.js");
+const moment = require("moment");
+
+// Dates are given as strings in local time, so those used here are made from
+// points in time, in whatever time zone the tests run in.
+const localTime = (...utc) => moment(Date.UTC(...utc)).format("YYYY-MM-DD HH:mm:ss");
+
+test("dateToWinNT", () => {
+  const testcases = [
+    [localTime(2020, 3, 29, 22, 19, 9), "132326723490000000"],
+    [localTime(2020, 1, 3, 12, 30, 20), "132252066200000000"],
+    [new Date(Date.UTC(2020, 4, 5, 10, 51, 33)), "132331494930000000"],
+    [new Date(Date.UTC(1601, 0, 1)), "0"],
+  ];
+  for (const [value, formatted] of testcases) {
+    expect(ldapformatting.dateToWinNT(value)).toBe(formatted);
+  }
+  for (const raw of ["132326723493372369", "132252066209257260", "132325322501226687"]) {
+    const parsed = ldapparsing.dateFormatter_WinNT(raw);
+    expect(ldapparsing.dateFormatter_WinNT(ldapformatting.dateToWinNT(parsed))).toBe(parsed);
+  }
+  for (const bad of ["2020-04-30", "2020-13-30 00:19:09", "", 132326723493372369, new Date(NaN), undefined, null]) {
+    expect(() => ldapformatting.dateToWinNT(bad)).toThrow();
+  }
+});
+
+test("dateToWinNTOrNever", () => {
+  expect(ldapformatting.dateToWinNTOrNever(null)).toBe("0");
+  expect(ldapformatting.dateToWinNTOrNever(localTime(2020, 3, 29, 22, 19, 9))).toBe("132326723490000000");
+  for (const never of ["0", "9223372036854775807"]) {
+    expect(ldapformatting.dateToWinNTOrNever(ldapparsing.dateFormatter_WinNTOrNever(never))).toBe("0");
+  }
+  // 0 read where it has a meaning of its own is written back as 0, in both
+  // value modes
+  expect(ldapformatting.dateToWinNTOrNever(ldapparsing.dateFormatter_WinNTOrZero("0"))).toBe("0");
+  expect(ldapformatting.dateToWinNTOrNever(ldapparsing.date_WinNTOrZero("0"))).toBe("0");
+  expect(() => ldapformatting.dateToWinNTOrNever("1")).toThrow("This value does not format to a date");
+});
+
+test("dateToADGeneralizedTime", () => {
+  const testcases = [
+    [localTime(2019, 5, 7, 12, 50, 0), "20190607125000.0Z"],
+    [localTime(2020, 0, 7, 5, 49, 32), "20200107054932.0Z"],
+    [new Date(Date.UTC(2019, 8, 21, 19, 36, 3, 999)), "20190921193603.0Z"],
+  ];
+  for (const [value, formatted] of testcases) {
+    expect(ldapformatting.dateToADGeneralizedTime(value)).toBe(formatted);
+  }
+  for (const raw of ["20190921193603.0Z", "20190917184453.0Z", "20190509135322.0Z"]) {
+    expect(ldapformatting.dateToADGeneralizedTime(ldapparsing.dateFormatter_ADGeneralizedTime(raw))).toBe(raw);
+  }
+});
+
+test("guidToLdapBuffer", () => {
+  const testcases = [
+    [Buffer.from([0xf6, 0x1b, 0xf0, 0x6e, 0x19, 0xd8, 0x5d, 0x4b, 0x81, 0x8d, 0x0b, 0x3a, 0x8c, 0xd2, 0xc0, 0x96]), "{6EF01BF6-D819-4B5D-818D-0B3A8CD2C096}"],
+    [Buffer.from([0xe3, 0xf2, 0x4e, 0xa1, 0xa9, 0x0d, 0xf1, 0x49, 0xa5, 0x50, 0xf3, 0x6e, 0xe7, 0xe7, 0xc3, 0x48]), "{A14EF2E3-0DA9-49F1-A550-F36EE7E7C348}"],
+    [Buffer.from([0xe4, 0x30, 0x24, 0xe2, 0x50, 0xe5, 0x5a, 0x4c, 0xa0, 0xb7, 0xa4, 0xb4, 0xdb, 0x9c, 0x35, 0x6e]), "e22430e4-e550-4c5a-a0b7-a4b4db9c356e"],
+  ];
+  for (const [buffer, formatted] of testcases) {
+    expect(ldapformatting.guidToLdapBuffer(formatted)).toEqual(buffer);
+    expect(ldapformatting.guidToLdapBuffer(buffer)).toBe(buffer);
+  }
+  for (const bad of ["{6EF01BF6-D819-4B5D-818D-0B3A8CD2C09}", "6EF01BF6D8194B5D818D0B3A8CD2C096", Buffer.from([1, 2, 3]), 123]) {
+    expect(() => ldapformatting.guidToLdapBuffer(bad)).toThrow();
+  }
+});
+
+test("sidToLdapBuffer", () => {
+  const testcases = [
+    "S-1-5-21-2162871639-323302887-2639425079-283515",
+    "S-1-5-21-4043871801-1685288247-4074252791-1842871",
+    "S-1-5-32-544",
+    "S-1-1-0",
+    "S-1-281474976710655-4294967295",
+  ];
+  for (const sid of testcases) {
+    expect(ldapparsing.ldapBufferToSid(null, ldapformatting.sidToLdapBuffer(sid))).toBe(sid);
+  }
+  expect(ldapformatting.sidToLdapBuffer("S-1-5-32-544")).toEqual(Buffer.from([0x01, 0x02, 0x00, 0x00, 0x00, 0x00, 0x00, 0x05, 0x20, 0x00, 0x00, 0x00, 0x20, 0x02, 0x00, 0x00]));
+  for (const bad of ["S-2-5-32-544", "S-1-281474976710656", "S-1-5-4294967296", "S-1-5-", "s-1-5-32", 123]) {
+    expect(() => ldapformatting.sidToLdapBuffer(bad)).toThrow();
+  }
+});
+
+test("genericOctetStringToLdapBuffer", () => {
+  const testcases = [
+    [Buffer.from([0x01, 0x05, 0x00, 0xcd, 0xea]), "01 05 00 CD EA"],
+    [Buffer.from([]), ""],
+  ];
+  for (const [buffer, formatted] of testcases) {
+    expect(ldapformatting.genericOctetStringToLdapBuffer(formatted)).toEqual(buffer);
+    expect(ldapparsing.ldapBufferToGenericOctetString(null, ldapformatting.genericOctetStringToLdapBuffer(formatted))).toBe(formatted);
+  }
+  for (const bad of ["01 5", "0105", "01 05 ", "GG", 1]) {
+    expect(() => ldapformatting.genericOctetStringToLdapBuffer(bad)).toThrow();
+  }
+});
+
+test("ldapBool", () => {
+  expect(ldapformatting.ldapBool(true)).toBe("TRUE");
+  expect(ldapformatting.ldapBool(false)).toBe("FALSE");
+  for (const bad of ["TRUE", "FALSE", 0, 1, null]) {
+    expect(() => ldapformatting.ldapBool(bad)).toThrow();
+  }
+});
+
+test("int32", () => {
+  const testcases = [
+    [0, "0"],
+    [-1, "-1"],
+    [2147483647, "2147483647"],
+    [-2147483648, "-2147483648"],
+  ];
+  for (const [value, formatted] of testcases) {
+    expect(ldapformatting.int32(value)).toBe(formatted);
+    expect(ldapparsing.int32(formatted)).toBe(value);
+  }
+  for (const bad of [2147483648, -2147483649, 1.5, "1", null]) {
+    expect(() => ldapformatting.int32(bad)).toThrow();
+  }
+});
+
+test("largeInteger", () => {
+  const testcases = [
+    [0n, "0"],
+    [-1n, "-1"],
+    ["-1", "-1"],
+    [9223372036854775807n, "9223372036854775807"],
+    ["-9223372036854775808", "-9223372036854775808"],
+  ];
+  for (const [value, formatted] of testcases) {
+    expect(ldapformatting.largeInteger(value)).toBe(formatted);
+    expect(ldapformatting.largeInteger(ldapparsing.largeInteger(formatted))).toBe(formatted);
+  }
+  for (const bad of [9223372036854775808n, "9223372036854775808", "1.5", "", 1, null]) {
+    expect(() => ldapformatting.largeInteger(bad)).toThrow();
+  }
+});
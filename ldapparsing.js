@@ -4,6 +4,49 @@ const assert = require("assert");
 const momentHandler = require("./momentHandler.js");
 const futile = require("@fujitsusweden/futile");
 
+// LargeInteger attributes holding a date in the WinNT format, which the schema
+// doesn't tell apart from other LargeIntegers. They are parsed with
+// dateFormatter_WinNT, or a variant of it if they are in winNTNeverAttributes
+// or winNTZeroAttributes, and compared to dates in filters.
+exports.winNTDateAttributes = [
+  "accountExpires",
+  "badPasswordTime",
+  "creationTime",
+  "lastLogoff",
+  "lastLogon",
+  "lastLogonTimestamp",
+  "lockoutTime",
+  "ms-Mcs-AdmPwdExpirationTime",
+  "msDS-LastFailedInteractiveLogonTime",
+  "msDS-LastSuccessfulInteractiveLogonTime",
+  "msDS-UserPasswordExpiryTimeComputed",
+  "pwdLastSet",
+];
+
+// The WinNT date attributes for which AD uses the smallest and largest
+// possible values to mean "never". They are parsed with
+// dateFormatter_WinNTOrNever.
+exports.winNTNeverAttributes = [
+  "accountExpires",
+  "badPasswordTime",
+  "lastLogoff",
+  "lastLogon",
+  "lastLogonTimestamp",
+  "msDS-LastFailedInteractiveLogonTime",
+  "msDS-LastSuccessfulInteractiveLogonTime",
+];
+
+// The WinNT date attributes for which 0 has a meaning of its own, e.g. "must
+// change password at next logon" for pwdLastSet, "not locked out" for
+// lockoutTime, and "must change password" for
+// msDS-UserPasswordExpiryTimeComputed. They are parsed with
+// dateFormatter_WinNTOrZero, which reads 0 as winNTZero.
+exports.winNTZeroAttributes = ["lockoutTime", "msDS-UserPasswordExpiryTimeComputed", "pwdLastSet"];
+
+// What 0 is read as for the attributes in winNTZeroAttributes. It's the value
+// stored in AD, rather than a date, so that it can't be mistaken for one.
+exports.winNTZero = "0";
+
 // The 18-digit Active Directory timestamps, also named 'Windows NT time
 // format', 'Win32 FILETIME or SYSTEMTIME' or NTFS file time. These are used in
 // Microsoft Active Directory for pwdLastSet, accountExpires, LastLogon,
@@ -11,17 +54,71 @@ const futile = require("@fujitsusweden/futile");
 // 100-nanosecond intervals (1 nanosecond = one billionth of a second) since Jan
 // 1, 1601 UTC. (From https://www.epochconverter.com/ldap)
 exports.dateFormatter_WinNT = function (WinNT_time) {
+  return momentHandler.formatDatestring(exports.date_WinNT(WinNT_time), null, "YYYY-MM-DD HH:mm:ss");
+};
+
+// The values meaning "never" for the attributes in winNTNeverAttributes
+const WinNT_never = ["0", "9223372036854775807"];
+
+// Variant of dateFormatter_WinNT for the attributes in winNTNeverAttributes,
+// returning null for "never"
+exports.dateFormatter_WinNTOrNever = function (WinNT_time) {
+  return _.includes(WinNT_never, `${WinNT_time}`) ? null : exports.dateFormatter_WinNT(WinNT_time);
+};
+
+// Variant of dateFormatter_WinNT for the attributes in winNTZeroAttributes,
+// returning winNTZero for 0. The largest value, which e.g.
+// msDS-UserPasswordExpiryTimeComputed uses for passwords that never expire, is
+// read as null.
+exports.dateFormatter_WinNTOrZero = function (WinNT_time) {
+  return winNTZeroOrNull(WinNT_time, exports.dateFormatter_WinNT);
+};
+function winNTZeroOrNull(WinNT_time, parse) {
+  const [zero, never] = WinNT_never;
+  switch (`${WinNT_time}`) {
+    case zero:
+      return exports.winNTZero;
+    case never:
+      return null;
+    default:
+      return parse(WinNT_time);
+  }
+}
+
+// Variants of dateFormatter_WinNT, dateFormatter_WinNTOrNever and
+// dateFormatter_WinNTOrZero that return a Date object, for the "typed" value
+// mode
+exports.date_WinNT = function (WinNT_time) {
   /* eslint-disable-next-line no-magic-numbers */
   const milliseconds_since_1601 = BigInt(WinNT_time) / 10000n;
   /* eslint-disable-next-line no-magic-numbers */
   const milliseconds_since_1970 = milliseconds_since_1601 - 11644473600000n;
-  return momentHandler.formatDatestring(new Date(Number.parseInt(milliseconds_since_1970.toString())), null, "YYYY-MM-DD HH:mm:ss");
+  return new Date(Number.parseInt(milliseconds_since_1970.toString()));
+};
+exports.date_WinNTOrNever = function (WinNT_time) {
+  return _.includes(WinNT_never, `${WinNT_time}`) ? null : exports.date_WinNT(WinNT_time);
+};
+exports.date_WinNTOrZero = function (WinNT_time) {
+  return winNTZeroOrNull(WinNT_time, exports.date_WinNT);
 };
 
 exports.dateFormatter_ADGeneralizedTime = function (x) {
   return momentHandler.formatDatestring(x, "YYYYMMDDhhmmss.Z", "YYYY-MM-DD HH:mm:ss");
 };
 
+// Variant of dateFormatter_ADGeneralizedTime that returns a Date object, for
+// the "typed" value mode. AD always uses UTC, but allows a fraction of a second.
+exports.date_ADGeneralizedTime = function (x) {
+  const match = _.isString(x) && x.match(/^([0-9]{4})([0-9]{2})([0-9]{2})([0-9]{2})([0-9]{2})([0-9]{2})(?:[.,]([0-9]+))?Z$/u);
+  if (!match) {
+    throw futile.err("This value does not parse to a GeneralizedTime", { value: x });
+  }
+  const [ignored__match, year, month, day, hour, minute, second, fraction = "0"] = match;
+  /* eslint-disable-next-line no-magic-numbers */
+  const milliseconds = Math.floor(Number(`0.${fraction}`) * 1000);
+  return new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second), milliseconds));
+};
+
 /* eslint-disable-next-line no-magic-numbers */
 const hex = n => `0${n.toString(16)}`.substr(-2).toUpperCase();
 
@@ -61,6 +158,179 @@ exports.ldapBufferToGenericOctetString = function (__ignored, buffer) {
   return b.join(" ");
 };
 
+// Names of the bits in the control field of a security descriptor, the flags
+// of an ACE and the access mask of an ACE, in bit order. See MS-DTYP section
+// 2.4 and the .NET enums ControlFlags, AceFlags and ActiveDirectoryRights.
+/* eslint-disable no-magic-numbers */
+const securityDescriptorControlNames = [
+  [0x0001, "OwnerDefaulted"],
+  [0x0002, "GroupDefaulted"],
+  [0x0004, "DaclPresent"],
+  [0x0008, "DaclDefaulted"],
+  [0x0010, "SaclPresent"],
+  [0x0020, "SaclDefaulted"],
+  [0x0040, "DaclTrusted"],
+  [0x0080, "ServerSecurity"],
+  [0x0100, "DaclAutoInheritRequired"],
+  [0x0200, "SaclAutoInheritRequired"],
+  [0x0400, "DaclAutoInherited"],
+  [0x0800, "SaclAutoInherited"],
+  [0x1000, "DaclProtected"],
+  [0x2000, "SaclProtected"],
+  [0x4000, "RMControlValid"],
+  [0x8000, "SelfRelative"],
+];
+const aceFlagNames = [
+  [0x01, "ObjectInherit"],
+  [0x02, "ContainerInherit"],
+  [0x04, "NoPropagateInherit"],
+  [0x08, "InheritOnly"],
+  [0x10, "Inherited"],
+  [0x40, "SuccessfulAccess"],
+  [0x80, "FailedAccess"],
+];
+const accessRightNames = [
+  [0x00000001, "CreateChild"],
+  [0x00000002, "DeleteChild"],
+  [0x00000004, "ListChildren"],
+  [0x00000008, "Self"],
+  [0x00000010, "ReadProperty"],
+  [0x00000020, "WriteProperty"],
+  [0x00000040, "DeleteTree"],
+  [0x00000080, "ListObject"],
+  [0x00000100, "ExtendedRight"],
+  [0x00010000, "Delete"],
+  [0x00020000, "ReadControl"],
+  [0x00040000, "WriteDacl"],
+  [0x00080000, "WriteOwner"],
+  [0x00100000, "Synchronize"],
+  [0x01000000, "AccessSystemSecurity"],
+  [0x10000000, "GenericAll"],
+  [0x20000000, "GenericExecute"],
+  [0x40000000, "GenericWrite"],
+  [0x80000000, "GenericRead"],
+];
+// ACE types, indexed by their numeric value. All but AccessAllowedCompound
+// start with an access mask followed by a SID, or for object ACEs, by flags,
+// optional GUIDs and a SID.
+const aceTypeNames = [
+  "AccessAllowed",
+  "AccessDenied",
+  "SystemAudit",
+  "SystemAlarm",
+  "AccessAllowedCompound",
+  "AccessAllowedObject",
+  "AccessDeniedObject",
+  "SystemAuditObject",
+  "SystemAlarmObject",
+  "AccessAllowedCallback",
+  "AccessDeniedCallback",
+  "AccessAllowedCallbackObject",
+  "AccessDeniedCallbackObject",
+  "SystemAuditCallback",
+  "SystemAlarmCallback",
+  "SystemAuditCallbackObject",
+  "SystemAlarmCallbackObject",
+  "SystemMandatoryLabel",
+  "SystemResourceAttribute",
+  "SystemScopedPolicyId",
+];
+const objectAceTypes = [0x05, 0x06, 0x07, 0x08, 0x0b, 0x0c, 0x0f, 0x10];
+/* eslint-enable no-magic-numbers */
+
+// The names of the bits set in value
+/* eslint-disable-next-line no-bitwise */
+const flagNames = (value, names) => _.map(_.filter(names, ([bit]) => (value & bit) !== 0), ([ignored__bit, name]) => name);
+
+// Read a SID starting at offset, where its length is given by its second byte.
+function sidAt(buffer, offset) {
+  /* eslint-disable-next-line no-magic-numbers */
+  assert(offset + 8 <= buffer.length, "SID out of bounds");
+  /* eslint-disable-next-line no-magic-numbers */
+  const end = offset + 8 + 4 * buffer[offset + 1];
+  assert(end <= buffer.length, "SID out of bounds");
+  return exports.ldapBufferToSid(null, buffer.subarray(offset, end));
+}
+
+/* eslint-disable no-magic-numbers */
+// Parse an ACE, given a buffer holding exactly that ACE
+function parseAce(ace) {
+  const typeNumber = ace[0];
+  const ret = {
+    type: aceTypeNames[typeNumber] || typeNumber,
+    flags: flagNames(ace[1], aceFlagNames),
+    accessMask: null,
+    rights: null,
+    objectType: null,
+    inheritedObjectType: null,
+    sid: null,
+  };
+  if (!(typeNumber in aceTypeNames) || typeNumber === 0x04) {
+    // Unknown layout
+    return ret;
+  }
+  ret.accessMask = ace.readUInt32LE(4);
+  ret.rights = flagNames(ret.accessMask, accessRightNames);
+  let sidOffset = 8;
+  if (_.includes(objectAceTypes, typeNumber)) {
+    assert(12 <= ace.length, "ACE out of bounds");
+    const objectFlags = ace.readUInt32LE(8);
+    sidOffset = 12;
+    if (objectFlags & 0x1) {
+      assert(sidOffset + 16 <= ace.length, "ACE out of bounds");
+      ret.objectType = exports.ldapBufferToGuid(null, ace.subarray(sidOffset, sidOffset + 16));
+      sidOffset += 16;
+    }
+    if (objectFlags & 0x2) {
+      assert(sidOffset + 16 <= ace.length, "ACE out of bounds");
+      ret.inheritedObjectType = exports.ldapBufferToGuid(null, ace.subarray(sidOffset, sidOffset + 16));
+      sidOffset += 16;
+    }
+  }
+  ret.sid = sidAt(ace, sidOffset);
+  return ret;
+}
+
+function parseAcl(buffer, offset) {
+  assert(offset + 8 <= buffer.length, "ACL out of bounds");
+  const aclSize = buffer.readUInt16LE(offset + 2);
+  const aceCount = buffer.readUInt16LE(offset + 4);
+  assert(offset + aclSize <= buffer.length, "ACL out of bounds");
+  const acl = buffer.subarray(offset, offset + aclSize);
+  const aces = [];
+  let aceOffset = 8;
+  for (let i = 0; i < aceCount; i++) {
+    assert(aceOffset + 4 <= acl.length, "ACE out of bounds");
+    const aceSize = acl.readUInt16LE(aceOffset + 2);
+    assert(8 <= aceSize && aceOffset + aceSize <= acl.length, "ACE out of bounds");
+    aces.push(parseAce(acl.subarray(aceOffset, aceOffset + aceSize)));
+    aceOffset += aceSize;
+  }
+  return aces;
+}
+/* eslint-enable no-magic-numbers */
+
+// Parse a self-relative security descriptor, as found in nTSecurityDescriptor,
+// into its owner, group, control flags, and access control entries. The owner
+// and group are SIDs, while dacl and sacl are arrays of ACEs. Each of these is
+// null if not present. Only the parts requested using the SD_FLAGS control are
+// returned by AD.
+exports.ldapBufferToSecurityDescriptor = function (__ignored, buffer) {
+  /* eslint-disable no-magic-numbers */
+  assert(Buffer.isBuffer(buffer) && 20 <= buffer.length, "A security descriptor must be at least 20 bytes long");
+  assert(buffer[0] === 1, "Unknown security descriptor revision");
+  const control = buffer.readUInt16LE(2);
+  const [ownerOffset, groupOffset, saclOffset, daclOffset] = _.map([4, 8, 12, 16], offset => buffer.readUInt32LE(offset));
+  /* eslint-enable no-magic-numbers */
+  return {
+    control: flagNames(control, securityDescriptorControlNames),
+    owner: ownerOffset ? sidAt(buffer, ownerOffset) : null,
+    group: groupOffset ? sidAt(buffer, groupOffset) : null,
+    dacl: daclOffset ? parseAcl(buffer, daclOffset) : null,
+    sacl: saclOffset ? parseAcl(buffer, saclOffset) : null,
+  };
+};
+
 exports.ldapBool = function (value) {
   if (value === "TRUE") {
     return true;
@@ -71,4 +341,8 @@ exports.ldapBool = function (value) {
   throw futile.err("This value does not parse to a boolean", { value });
 };
 
+// LargeInteger, a signed 64-bit integer, as a BigInt. Used for the "typed"
+// value mode.
+exports.largeInteger = obj => (typeof obj === "string" ? obj === "" ? null : BigInt(obj) : obj);
+
 exports.int32 = obj => (typeof obj === "string" ? obj === "" ? null : Number.parseInt(obj) : obj);
@@ -1,30 +1,44 @@
 "use strict";
 /* global test, expect, Buffer */
-/* eslint-disable no-magic-numbers */
+/* eslint-disable no-magic-numbers, no-bitwise */
+const ldapformatting = require("./ldapformatting.js");
 const ldapparsing = require("./ldapparsing.js");
+const moment = require("moment");
 const undef = {}.undef;
 
+// Dates are formatted in local time, so the expected values are given as
+// points in time and formatted in whatever time zone the tests run in.
+const localTime = (...utc) => moment(Date.UTC(...utc)).format("YYYY-MM-DD HH:mm:ss");
+
 test("dateFormatter_WinNT", () => {
   const testcases = [
-    ["132326723493372369", "2020-04-30 00:19:09"],
-    ["132252066209257260", "2020-02-03 13:30:20"],
-    ["132325322501226687", "2020-04-28 09:24:10"],
-    ["132331494933991060", "2020-05-05 12:51:33"],
-    ["132253980473557748", "2020-02-05 18:40:47"],
+    ["132326723493372369", localTime(2020, 3, 29, 22, 19, 9)],
+    ["132252066209257260", localTime(2020, 1, 3, 12, 30, 20)],
+    ["132325322501226687", localTime(2020, 3, 28, 7, 24, 10)],
+    ["132331494933991060", localTime(2020, 4, 5, 10, 51, 33)],
+    ["132253980473557748", localTime(2020, 1, 5, 17, 40, 47)],
   ];
   for (const [raw, formatted] of testcases) {
     expect(ldapparsing.dateFormatter_WinNT(raw)).toBe(formatted);
   }
+  for (const never of ["0", "9223372036854775807"]) {
+    expect(ldapparsing.dateFormatter_WinNTOrNever(never)).toBe(null);
+  }
+  expect(ldapparsing.dateFormatter_WinNTOrNever("132326723493372369")).toBe(localTime(2020, 3, 29, 22, 19, 9));
+  // Where 0 has a meaning of its own, it's read as winNTZero rather than a date
+  expect(ldapparsing.dateFormatter_WinNTOrZero("0")).toBe(ldapparsing.winNTZero);
+  expect(ldapparsing.dateFormatter_WinNTOrZero("9223372036854775807")).toBe(null);
+  expect(ldapparsing.dateFormatter_WinNTOrZero("132326723493372369")).toBe(localTime(2020, 3, 29, 22, 19, 9));
 });
 
 test("dateFormatter_ADGeneralizedTime", () => {
   const testcases = [
-    ["20190607125000.0Z", "2019-06-07 14:50:00"],
-    ["20190921193603.0Z", "2019-09-21 21:36:03"],
-    ["20190917184453.0Z", "2019-09-17 20:44:53"],
-    ["20190901162808.0Z", "2019-09-01 18:28:08"],
-    ["20190509135322.0Z", "2019-05-09 15:53:22"],
-    ["20200107054932.0Z", "2020-01-07 06:49:32"],
+    ["20190607125000.0Z", localTime(2019, 5, 7, 12, 50, 0)],
+    ["20190921193603.0Z", localTime(2019, 8, 21, 19, 36, 3)],
+    ["20190917184453.0Z", localTime(2019, 8, 17, 18, 44, 53)],
+    ["20190901162808.0Z", localTime(2019, 8, 1, 16, 28, 8)],
+    ["20190509135322.0Z", localTime(2019, 4, 9, 13, 53, 22)],
+    ["20200107054932.0Z", localTime(2020, 0, 7, 5, 49, 32)],
   ];
   for (const [raw, formatted] of testcases) {
     expect(ldapparsing.dateFormatter_ADGeneralizedTime(raw)).toBe(formatted);
@@ -119,3 +133,96 @@ test("int32", () => {
     expect(ldapparsing.int32(value, NaN)).toBe(formatted);
   }
 });
+
+test("date_WinNT", () => {
+  const testcases = [
+    ["132326723493372369", "2020-04-29T22:19:09.337Z"],
+    ["132252066209257260", "2020-02-03T12:30:20.925Z"],
+    ["116444736000000000", "1970-01-01T00:00:00.000Z"],
+  ];
+  for (const [raw, iso] of testcases) {
+    expect(ldapparsing.date_WinNT(raw).toISOString()).toBe(iso);
+  }
+  for (const never of ["0", "9223372036854775807"]) {
+    expect(ldapparsing.date_WinNTOrNever(never)).toBe(null);
+  }
+  expect(ldapparsing.date_WinNTOrNever("116444736000000000").toISOString()).toBe("1970-01-01T00:00:00.000Z");
+  expect(ldapparsing.date_WinNT("0").toISOString()).toBe("1601-01-01T00:00:00.000Z");
+  expect(ldapparsing.date_WinNTOrZero("0")).toBe(ldapparsing.winNTZero);
+  expect(ldapparsing.date_WinNTOrZero("9223372036854775807")).toBe(null);
+  expect(ldapparsing.date_WinNTOrZero("116444736000000000").toISOString()).toBe("1970-01-01T00:00:00.000Z");
+});
+
+test("date_ADGeneralizedTime", () => {
+  const testcases = [
+    ["20190607125000.0Z", "2019-06-07T12:50:00.000Z"],
+    ["20200107054932.0Z", "2020-01-07T05:49:32.000Z"],
+    ["20200107174932.25Z", "2020-01-07T17:49:32.250Z"],
+    ["20200107174932Z", "2020-01-07T17:49:32.000Z"],
+  ];
+  for (const [raw, iso] of testcases) {
+    expect(ldapparsing.date_ADGeneralizedTime(raw).toISOString()).toBe(iso);
+  }
+  for (const bad of ["20200107174932.0", "2020-01-07", "", 20200107174932]) {
+    expect(() => ldapparsing.date_ADGeneralizedTime(bad)).toThrow();
+  }
+});
+
+test("largeInteger", () => {
+  const testcases = [
+    [undef, undef],
+    [null, null],
+    ["", null],
+    ["0", 0n],
+    ["-1", -1n],
+    ["9223372036854775807", 9223372036854775807n],
+    ["-9223372036854775808", -9223372036854775808n],
+  ];
+  for (const [value, formatted] of testcases) {
+    expect(ldapparsing.largeInteger(value, NaN)).toBe(formatted);
+  }
+});
+
+test("ldapBufferToSecurityDescriptor", () => {
+  const u16 = n => [n & 0xff, n >>> 8];
+  const u32 = n => [n & 0xff, (n >>> 8) & 0xff, (n >>> 16) & 0xff, n >>> 24];
+  const owner = ldapformatting.sidToLdapBuffer("S-1-5-32-544");
+  const group = ldapformatting.sidToLdapBuffer("S-1-5-18");
+  const trustee = ldapformatting.sidToLdapBuffer("S-1-5-21-1-2-3-1104");
+  const resetPassword = ldapformatting.guidToLdapBuffer("{00299570-246D-11D0-A768-00AA006E0529}");
+  const user = ldapformatting.guidToLdapBuffer("{BF967ABA-0DE6-11D0-A285-00AA003049E2}");
+  const ace1 = [0x00, 0x02, ...u16(8 + group.length), ...u32(0x000f01ff), ...group];
+  const ace2 = [0x05, 0x0a, ...u16(12 + 32 + trustee.length), ...u32(0x00000100), ...u32(3), ...resetPassword, ...user, ...trustee];
+  const dacl = [0x02, 0x00, ...u16(8 + ace1.length + ace2.length), ...u16(2), 0x00, 0x00, ...ace1, ...ace2];
+  const sd = Buffer.from([0x01, 0x00, ...u16(0x8404), ...u32(20), ...u32(20 + owner.length), ...u32(0), ...u32(20 + owner.length + group.length), ...owner, ...group, ...dacl]);
+  expect(ldapparsing.ldapBufferToSecurityDescriptor(null, sd)).toEqual({
+    control: ["DaclPresent", "DaclAutoInherited", "SelfRelative"],
+    owner: "S-1-5-32-544",
+    group: "S-1-5-18",
+    dacl: [
+      {
+        type: "AccessAllowed",
+        flags: ["ContainerInherit"],
+        accessMask: 0x000f01ff,
+        rights: ["CreateChild", "DeleteChild", "ListChildren", "Self", "ReadProperty", "WriteProperty", "DeleteTree", "ListObject", "ExtendedRight", "Delete", "ReadControl", "WriteDacl", "WriteOwner"],
+        objectType: null,
+        inheritedObjectType: null,
+        sid: "S-1-5-18",
+      },
+      {
+        type: "AccessAllowedObject",
+        flags: ["ContainerInherit", "InheritOnly"],
+        accessMask: 0x00000100,
+        rights: ["ExtendedRight"],
+        objectType: "{00299570-246D-11D0-A768-00AA006E0529}",
+        inheritedObjectType: "{BF967ABA-0DE6-11D0-A285-00AA003049E2}",
+        sid: "S-1-5-21-1-2-3-1104",
+      },
+    ],
+    sacl: null,
+  });
+  // Truncated
+  for (const length of [0, 19, 30, sd.length - 1]) {
+    expect(() => ldapparsing.ldapBufferToSecurityDescriptor(null, sd.subarray(0, length))).toThrow();
+  }
+});
@@ -0,0 +1,78 @@
+"use strict";
+const _ = require("lodash");
+const assert = require("assert");
+
+// Run the asynchronous generators made by factories, at most concurrency at a
+// time, generating { index, value } for each of their items in the order they
+// arrive, where index is that of the factory. A generator is only asked for
+// its next item once the previous one has been consumed.
+//
+// Each factory is called with an AbortSignal, which fires when the merged
+// generator fails, is returned early, or signal fires. The generators should
+// then fail soon, since they are waited for before the merged generator ends.
+// @arg factories: An array of functions, each returning an async generator.
+// @arg concurrency: Optional positive integer. Defaults to running all of them
+// at once.
+// @arg signal: Optional AbortSignal.
+async function* mergeGenerators(factories, { concurrency = Infinity, signal } = {}) {
+  assert(_.isArray(factories) && _.every(factories, f => typeof f === "function"), "factories must be an array of functions");
+  assert(concurrency === Infinity || (_.isInteger(concurrency) && 1 <= concurrency), "concurrency must be a positive integer");
+  if (signal) {
+    signal.throwIfAborted();
+  }
+  const stop = new AbortController();
+  const onAbort = () => stop.abort(signal.reason);
+  if (signal) {
+    signal.addEventListener("abort", onAbort, { once: true });
+  }
+  // The generators that have been started but haven't ended, by index, each
+  // with the promise of its next item. The promises never reject.
+  const running = new Map();
+  let started = 0;
+  const advance = index => {
+    const item = running.get(index);
+    item.next = item.generator.next().then(
+      result => ({ index, result }),
+      err => ({ index, err }),
+    );
+  };
+  const startMore = () => {
+    while (started < factories.length && running.size < concurrency) {
+      running.set(started, { generator: factories[started](stop.signal), next: null });
+      advance(started);
+      started++;
+    }
+  };
+  try {
+    startMore();
+    while (running.size) {
+      const { index, result, err } = await Promise.race(_.map([...running.values()], "next"));
+      if (err) {
+        running.delete(index);
+        throw err;
+      }
+      if (result.done) {
+        running.delete(index);
+        startMore();
+        continue;
+      }
+      running.get(index).next = null;
+      yield { index, value: result.value };
+      advance(index);
+    }
+  } finally {
+    if (signal) {
+      signal.removeEventListener("abort", onAbort);
+    }
+    stop.abort(Error("Merged generators stopped"));
+    // Returning a generator waits for its pending item, if any
+    await Promise.all(
+      _.map([...running.values()], async ({ generator, next }) => {
+        await next;
+        await generator.return().catch(_.noop);
+      }),
+    );
+  }
+}
+
+module.exports = mergeGenerators;
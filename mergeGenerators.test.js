@@ -0,0 +1,88 @@
+"use strict";
+/* global test, expect */
+/* eslint-disable no-magic-numbers */
+const futile = require("@fujitsusweden/futile");
+const mergeGenerators = require("./mergeGenerators.js");
+
+// A generator of values, sleeping the given number of milliseconds before each,
+// that records what happens to it in log and fails when its signal fires.
+function fakeGenerator(name, delays, log) {
+  return async function* (signal) {
+    log.push(`start ${name}`);
+    try {
+      for (const [i, delay] of delays.entries()) {
+        await new Promise((resolve, reject) => {
+          const timer = setTimeout(resolve, delay);
+          signal.addEventListener("abort", () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+          });
+        });
+        if (delay < 0) {
+          throw Error(`${name} failed`);
+        }
+        yield `${name}${i}`;
+      }
+    } finally {
+      log.push(`end ${name}`);
+    }
+  };
+}
+
+async function collect(generator) {
+  const ret = [];
+  for await (const { index, value } of generator) {
+    ret.push([index, value]);
+  }
+  return ret;
+}
+
+test("Items are generated in the order they arrive", async () => {
+  const log = [];
+  const items = await collect(mergeGenerators([fakeGenerator("a", [20, 60], log), fakeGenerator("b", [1, 40], log)]));
+  expect(items).toEqual([
+    [1, "b0"],
+    [0, "a0"],
+    [1, "b1"],
+    [0, "a1"],
+  ]);
+  expect(await collect(mergeGenerators([]))).toEqual([]);
+});
+
+test("At most concurrency generators run at a time", async () => {
+  const log = [];
+  const items = await collect(mergeGenerators([fakeGenerator("a", [50], log), fakeGenerator("b", [1, 1], log), fakeGenerator("c", [1], log)], { concurrency: 2 }));
+  expect(items).toEqual([
+    [1, "b0"],
+    [1, "b1"],
+    [2, "c0"],
+    [0, "a0"],
+  ]);
+  expect(log).toEqual(["start a", "start b", "end b", "start c", "end c", "end a"]);
+  await expect(mergeGenerators([], { concurrency: 0 }).next()).rejects.toThrow("concurrency must be a positive integer");
+});
+
+test("Stopping early or failing stops the other generators", async () => {
+  const log = [];
+  for await (const { value } of mergeGenerators([fakeGenerator("a", [1, 1000], log), fakeGenerator("b", [1000], log), fakeGenerator("c", [1], log)], { concurrency: 2 })) {
+    expect(value).toBe("a0");
+    break;
+  }
+  // c is never started
+  expect([...log].sort()).toEqual(["end a", "end b", "start a", "start b"]);
+
+  log.length = 0;
+  await expect(collect(mergeGenerators([fakeGenerator("a", [1000], log), fakeGenerator("b", [1, -1], log)]))).rejects.toThrow("b failed");
+  expect([...log].sort()).toEqual(["end a", "end b", "start a", "start b"]);
+});
+
+test("The signal stops the generators", async () => {
+  const log = [];
+  const controller = new AbortController();
+  const merged = collect(mergeGenerators([fakeGenerator("a", [1000], log)], { signal: controller.signal }));
+  await futile.sleep(10);
+  controller.abort(Error("Aborted"));
+  await expect(merged).rejects.toThrow("Aborted");
+  expect(log).toEqual(["start a", "end a"]);
+  await expect(collect(mergeGenerators([fakeGenerator("a", [1], log)], { signal: controller.signal }))).rejects.toThrow("Aborted");
+});
@@ -7,3 +7,7 @@ exports.formatDatestring = function (dateString, inputFormat, returnFormat) {
   }
   return moment(dateString, inputFormat).format(returnFormat);
 };
+
+exports.parseDatestring = function (dateString, inputFormat) {
+  return moment(dateString, inputFormat, true).toDate();
+};
@@ -0,0 +1,158 @@
+"use strict";
+const _ = require("lodash");
+const assert = require("assert");
+const ldapfilter = require("./ldapfilter.js");
+
+// Check a filter expression without any subexpressions, so that mistakes are
+// reported where the expression is built rather than when searching.
+function leaf(expression) {
+  ldapfilter(expression, new Set());
+  return expression;
+}
+// Comparisons can only be fully checked with schema information, since dates
+// are encoded according to the attribute syntax.
+function comparison(expression) {
+  leaf(["has", expression[1]]);
+  return expression;
+}
+function operands(op, args) {
+  assert(_.every(args, _.isArray), `The operands of '${op}' must be filter expressions`);
+  return args;
+}
+
+// Functions building filter expressions for the where option, one for each
+// kind of expression in the DSL.
+const filter = {
+  and: (...args) => {
+    assert(1 <= args.length, "'and' needs at least one operand");
+    return ["and", ...operands("and", args)];
+  },
+  or: (...args) => {
+    assert(1 <= args.length, "'or' needs at least one operand");
+    return ["or", ...operands("or", args)];
+  },
+  not: (...args) => {
+    assert(args.length === 1, "'not' needs exactly one operand");
+    return ["not", ...operands("not", args)];
+  },
+  eq: (attribute, value) => leaf(["equals", attribute, value]),
+  beginsWith: (attribute, value) => leaf(["beginswith", attribute, value]),
+  endsWith: (attribute, value) => leaf(["endswith", attribute, value]),
+  contains: (attribute, value) => leaf(["contains", attribute, value]),
+  has: attribute => leaf(["has", attribute]),
+  oneOf: (attribute, values) => leaf(["oneof", attribute, values]),
+  hasFlag: (attribute, flags) => leaf(["hasflag", attribute, flags]),
+  hasAnyFlag: (attribute, flags) => leaf(["hasanyflag", attribute, flags]),
+  match: (attribute, rule, value) => leaf(["match", attribute, rule, value]),
+  gte: (attribute, value) => comparison(["greaterorequal", attribute, value]),
+  lte: (attribute, value) => comparison(["lessorequal", attribute, value]),
+  between: (attribute, low, high) => comparison(["between", attribute, low, high]),
+  true: () => ["true"],
+  false: () => ["false"],
+};
+
+// A chainable way of building the options for getObjects. Each method returns
+// a new Query, so a partly built query can be reused.
+class Query {
+  constructor(adHandler, options = {}) {
+    this.adHandler = adHandler;
+    this.searchOptions = options;
+  }
+
+  with(options) {
+    return new Query(this.adHandler, { ...this.searchOptions, ...options });
+  }
+
+  // Either "*", or one or more attribute names, given as arguments or as an
+  // array.
+  select(...attributes) {
+    if (attributes.length === 1 && attributes[0] === "*") {
+      return this.with({ select: "*" });
+    }
+    const select = _.flatten(attributes);
+    assert(1 <= select.length && _.every(select, _.isString), "select needs '*' or one or more attribute names");
+    return this.with({ select });
+  }
+
+  from(from) {
+    return this.with({ from });
+  }
+
+  // Calling where more than once requires all the filter expressions to match
+  where(where) {
+    assert(_.isArray(where), "where needs a filter expression");
+    return this.with({ where: "where" in this.searchOptions ? ["and", this.searchOptions.where, where] : where });
+  }
+
+  scope(scope) {
+    return this.with({ scope });
+  }
+
+  clientSideTransitiveSearch(clientSideTransitiveSearch = true) {
+    return this.with({ clientSideTransitiveSearch });
+  }
+
+  valueMode(valueMode) {
+    return this.with({ valueMode });
+  }
+
+  // An attribute name, optionally followed by true for descending order
+  orderBy(attribute, descending = false) {
+    return this.with({ orderBy: descending ? { attribute, descending } : attribute });
+  }
+
+  sizeLimit(sizeLimit) {
+    return this.with({ sizeLimit });
+  }
+
+  timeLimit(timeLimit) {
+    return this.with({ timeLimit });
+  }
+
+  paging(paging) {
+    return this.with({ paging });
+  }
+
+  concurrency(concurrency) {
+    return this.with({ concurrency });
+  }
+
+  signal(signal) {
+    return this.with({ signal });
+  }
+
+  req(req) {
+    return this.with({ req });
+  }
+
+  connection(connection) {
+    return this.with({ connection });
+  }
+
+  // The options to pass to getObjects
+  options() {
+    return { ...this.searchOptions };
+  }
+
+  stream() {
+    return this.adHandler.getObjects(this.options());
+  }
+
+  all() {
+    return this.adHandler.getObjectsA(this.options());
+  }
+
+  one() {
+    return this.adHandler.getOneObject(this.options());
+  }
+
+  // One page of sorted results; requires orderBy
+  page(offset, limit) {
+    return this.adHandler.getPage({ ...this.options(), offset, limit });
+  }
+}
+
+module.exports = {
+  filter,
+  Query,
+};
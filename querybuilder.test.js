@@ -0,0 +1,80 @@
+"use strict";
+/* global describe, test, expect */
+const { filter: f, Query } = require("./querybuilder.js");
+
+// Records the options each search function is called with
+const fakeHandler = {
+  getObjects: options => ({ fun: "getObjects", options }),
+  getObjectsA: options => ({ fun: "getObjectsA", options }),
+  getOneObject: options => ({ fun: "getOneObject", options }),
+  getPage: options => ({ fun: "getPage", options }),
+};
+
+describe("filter", () => {
+  test("builds filter expressions", () => {
+    const date = new Date(0);
+    expect(f.and(f.eq("objectClass", "user"), f.beginsWith("sn", "A"))).toEqual(["and", ["equals", "objectClass", "user"], ["beginswith", "sn", "A"]]);
+    expect(f.or(f.endsWith("a", "b"), f.contains("c", "d"), f.not(f.has("e")))).toEqual(["or", ["endswith", "a", "b"], ["contains", "c", "d"], ["not", ["has", "e"]]]);
+    expect(f.oneOf("a", ["b", "c"])).toEqual(["oneof", "a", ["b", "c"]]);
+    expect(f.and(f.hasFlag("userAccountControl", "ACCOUNTDISABLE"), f.hasAnyFlag("a", 3))).toEqual(["and", ["hasflag", "userAccountControl", "ACCOUNTDISABLE"], ["hasanyflag", "a", 3]]);
+    expect(f.and(f.gte("a", "1"), f.lte("whenCreated", date), f.between("b", 1, 2))).toEqual(["and", ["greaterorequal", "a", "1"], ["lessorequal", "whenCreated", date], ["between", "b", 1, 2]]);
+    expect(f.or(f.true(), f.false())).toEqual(["or", ["true"], ["false"]]);
+  });
+  test("rejects mistakes when building", () => {
+    expect(() => f.eq("_abc", "def")).toThrow();
+    expect(() => f.eq("abc", "")).toThrow();
+    expect(() => f.eq("abc")).toThrow();
+    expect(() => f.oneOf("abc", "def")).toThrow();
+    expect(() => f.hasFlag("userAccountControl", "NO_SUCH_FLAG")).toThrow();
+    expect(() => f.gte("_abc", "1")).toThrow();
+    expect(() => f.and()).toThrow();
+    expect(() => f.and("abc")).toThrow();
+    expect(() => f.not(f.true(), f.true())).toThrow();
+  });
+});
+
+describe("Query", () => {
+  test("builds getObjects options", () => {
+    const q = new Query(fakeHandler).select("sn").from("ou=Users,dc=example").where(f.and(f.eq("objectClass", "user"), f.beginsWith("sn", "A"))).scope("one");
+    expect(q.options()).toEqual({
+      select: ["sn"],
+      from: "ou=Users,dc=example",
+      where: ["and", ["equals", "objectClass", "user"], ["beginswith", "sn", "A"]],
+      scope: "one",
+    });
+    expect(q.stream()).toEqual({ fun: "getObjects", options: q.options() });
+    expect(q.all()).toEqual({ fun: "getObjectsA", options: q.options() });
+    expect(q.one()).toEqual({ fun: "getOneObject", options: q.options() });
+  });
+  test("select variants", () => {
+    const q = new Query(fakeHandler);
+    expect(q.select("*").options()).toEqual({ select: "*" });
+    expect(q.select("sn", "cn").options()).toEqual({ select: ["sn", "cn"] });
+    expect(q.select(["sn", "cn"]).options()).toEqual({ select: ["sn", "cn"] });
+    expect(() => q.select()).toThrow();
+    expect(() => q.select(1)).toThrow();
+  });
+  test("where is combined with and, and queries are immutable", () => {
+    const base = new Query(fakeHandler).where(f.eq("objectClass", "user"));
+    const q = base.where(f.has("mail")).clientSideTransitiveSearch().valueMode("typed").sizeLimit(10).timeLimit(5).paging({ pageSize: 500 }).concurrency(2).req("req");
+    expect(base.options()).toEqual({ where: ["equals", "objectClass", "user"] });
+    expect(q.options()).toEqual({
+      where: ["and", ["equals", "objectClass", "user"], ["has", "mail"]],
+      clientSideTransitiveSearch: true,
+      valueMode: "typed",
+      sizeLimit: 10,
+      timeLimit: 5,
+      paging: { pageSize: 500 },
+      concurrency: 2,
+      req: "req",
+    });
+    expect(() => base.where("abc")).toThrow();
+  });
+  test("orderBy and page", () => {
+    const q = new Query(fakeHandler).select("sn").orderBy("sn");
+    expect(q.options()).toEqual({ select: ["sn"], orderBy: "sn" });
+    expect(q.orderBy("sn", true).options()).toEqual({ select: ["sn"], orderBy: { attribute: "sn", descending: true } });
+    /* eslint-disable-next-line no-magic-numbers */
+    expect(q.page(100, 50)).toEqual({ fun: "getPage", options: { select: ["sn"], orderBy: "sn", offset: 100, limit: 50 } });
+  });
+});
@@ -0,0 +1,56 @@
+"use strict";
+const _ = require("lodash");
+const fs = require("fs");
+const { AttributeNameRE } = require("./ldapfilter");
+
+// Version of the format produced by ActiveDirectoryHandler.exportSchema. Bump
+// this whenever the format changes, so that old caches are ignored.
+const cacheFormat = 3;
+
+// Whether data looks like something produced by exportSchema
+function validSchemaCacheData(data) {
+  return (
+    _.isPlainObject(data) &&
+    data.cacheFormat === cacheFormat &&
+    _.isPlainObject(data.schemaVersion) &&
+    _.isPlainObject(data.attributes) &&
+    _.every(_.keys(data.attributes), k => k.match(AttributeNameRE)) &&
+    _.every(
+      data.attributes,
+      x =>
+        _.isPlainObject(x) &&
+        _.isString(x.attributeSyntax) &&
+        _.isBoolean(x.isSingleValued) &&
+        _.every([x.rangeLower, x.rangeUpper, x.searchFlags, x.linkID], y => y === null || _.isInteger(y)) &&
+        _.isBoolean(x.isMemberOfPartialAttributeSet),
+    )
+  );
+}
+
+// A schema cache adapter storing the schema as JSON in a file. The file is
+// replaced atomically, so concurrent readers never see a partial write.
+function fileSchemaCache(path) {
+  return {
+    async get() {
+      try {
+        return JSON.parse(await fs.promises.readFile(path, "utf8"));
+      } catch (err) {
+        if (err.code === "ENOENT") {
+          return null;
+        }
+        throw err;
+      }
+    },
+    async set(data) {
+      const tmpPath = `${path}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmpPath, JSON.stringify(data));
+      await fs.promises.rename(tmpPath, path);
+    },
+  };
+}
+
+module.exports = {
+  cacheFormat,
+  validSchemaCacheData,
+  fileSchemaCache,
+};
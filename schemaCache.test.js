@@ -0,0 +1,50 @@
+"use strict";
+/* global test, expect */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const schemaCache = require("./schemaCache.js");
+
+const data = {
+  cacheFormat: schemaCache.cacheFormat,
+  schemaVersion: { modifyTimeStamp: ["20240101000000.0Z"], schemaInfo: ["FF 00 00 00"] },
+  attributes: {
+    member: { attributeSyntax: "2.5.5.1", isSingleValued: false, rangeLower: null, rangeUpper: null, searchFlags: 0, isMemberOfPartialAttributeSet: true, linkID: 2 },
+    objectGUID: { attributeSyntax: "2.5.5.10", isSingleValued: true, rangeLower: 16, rangeUpper: 16, searchFlags: 9, isMemberOfPartialAttributeSet: true, linkID: null },
+  },
+};
+
+test("validSchemaCacheData", () => {
+  expect(schemaCache.validSchemaCacheData(data)).toBe(true);
+  const bad = [
+    null,
+    "string",
+    { ...data, cacheFormat: schemaCache.cacheFormat + 1 },
+    { ...data, schemaVersion: null },
+    { ...data, attributes: [] },
+    { ...data, attributes: { _bad: { attributeSyntax: "2.5.5.1", isSingleValued: false } } },
+    { ...data, attributes: { member: { attributeSyntax: "2.5.5.1", isSingleValued: "FALSE" } } },
+    { ...data, attributes: { member: { isSingleValued: false } } },
+    { ...data, attributes: { member: { ...data.attributes.member, rangeLower: "1" } } },
+    { ...data, attributes: { member: { ...data.attributes.member, isMemberOfPartialAttributeSet: undefined } } },
+    { ...data, attributes: { member: { ...data.attributes.member, linkID: undefined } } },
+  ];
+  for (const x of bad) {
+    expect(schemaCache.validSchemaCacheData(x)).toBe(false);
+  }
+});
+
+test("fileSchemaCache", async () => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "schemaCache-"));
+  try {
+    const cache = schemaCache.fileSchemaCache(path.join(dir, "schema.json"));
+    expect(await cache.get()).toBe(null);
+    await cache.set(data);
+    expect(await cache.get()).toEqual(data);
+    expect(await fs.promises.readdir(dir)).toEqual(["schema.json"]);
+    await fs.promises.writeFile(path.join(dir, "schema.json"), "{");
+    await expect(cache.get()).rejects.toThrow();
+  } finally {
+    await fs.promises.rm(dir, { recursive: true });
+  }
+});